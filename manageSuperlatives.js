@@ -1,316 +1,652 @@
+#!/usr/bin/env node
+// Command-line tool for managing an event's superlatives with the Firebase Admin SDK.
+//
+//   node manageSuperlatives.js <command> [options]      (or: npm run manage -- <command> [options])
+//
+// Run with --help for the list of commands, or `<command> --help` for one command's options.
+//
+// Superlative documents look like this (everything except title, order and nominees is optional):
+//   {
+//     title: "Most Likely to Invent a Time Machine",
+//     order: 25,
+//     nominees: [{ name: "Dr. Emmett Brown", image: "/images/docbrown.jpg" }],
+//     voting: { weights: { graduating: 2, guest: 1 } },     // Graduate votes count double (0 = don't count)
+//     // or: voting: { mode: "approval", maxSelections: 3 } / { mode: "ranked", maxSelections: 3, rankedMethod: "irv" | "borda" }
+//     tieBreakers: ["graduatingVotes", "firstVote"],        // Tie-break order when scores are equal
+//     timer: { seconds: 60 },                               // Voting timer (overrides the session-wide timer)
+//     reveal: { staged: true, runnersUp: 2, stepSeconds: 5 }, // Reveal 3rd, 2nd, drumroll, then the winner (omit stepSeconds to advance by hand)
+//     nominations: { enabled: true },                       // Participants nominate first and the admin picks the nominees (nominees can start as [])
+//     resultAnimation: { confettiShape: "dollar", colors: ["#34D399"], numberOfPieces: 150, recycle: true, soundEffectUrl: "/sounds/song.mp3" },
+//     // or custom pieces instead of a named shape (see src/confettiShapes.mjs):
+//     //   resultAnimation: { customShape: { glyphs: ["🎓"], images: ["/images/cap.png"], nomineePhotos: "winners", paths: ["M12 2 L22 22 L2 22 Z"], size: 28 } }
+//     // plus reveal effects played with the confetti (see src/RevealEffects.jsx):
+//     //   effects: [{ type: "spotlight", zoom: 1.5 }, { type: "banner", text: "{winner} takes it!", position: "bottom", delayMs: 1000 },
+//     //             { type: "video", src: "/videos/clip.mp4" }, { type: "shake", intensity: 12 }, { type: "flash", color: "gold", count: 2 }]
+//   }
+
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
 
 // ---- CONFIGURATION ----
-// IMPORTANT: Replace with the actual path to your downloaded service account key JSON file.
-const SERVICE_ACCOUNT_KEY_PATH = './serviceAccountKey.json'; // Or an absolute path
-
-// IMPORTANT: Replace with your Firestore database URL (usually found in Project settings -> General -> Project ID, then format as https://<YOUR_PROJECT_ID>.firebaseio.com or check your firebaseConfig in the client app)
-// For Firestore, you usually don't need the databaseURL if your service account has the right permissions
-// and you are using `admin.firestore()`. If you run into issues, you might need to specify it.
-// const DATABASE_URL = 'https://<YOUR_PROJECT_ID>.firebaseio.com'; 
-
-try {
-  const serviceAccount = require(SERVICE_ACCOUNT_KEY_PATH);
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    // databaseURL: DATABASE_URL // Uncomment if needed
-  });
-} catch (error) {
-  console.error("Failed to initialize Firebase Admin SDK. Ensure SERVICE_ACCOUNT_KEY_PATH is correct and the file exists.", error);
-  process.exit(1);
-}
+// The service account key comes from --key, then SUPERLATIVES_KEY_PATH, then GOOGLE_APPLICATION_CREDENTIALS.
+// The event comes from --event or SUPERLATIVES_EVENT_ID; copy it from the admin's event list
+// (it is the ?event= part of the app's URL).
+const DEFAULT_KEY_PATH = './serviceAccountKey.json';
 
-const db = admin.firestore();
+const EVENTS_COLLECTION = 'events';
+const EVENT_JOIN_CODES_COLLECTION = 'eventJoinCodes';
 const SUPERLATIVES_COLLECTION = 'superlatives';
+const VOTES_COLLECTION = 'votes';
+const TALLIES_COLLECTION = 'tallies';
+const NOMINATIONS_COLLECTION = 'nominations';
+const ROSTER_COLLECTION = 'roster';
+const STATE_COLLECTION = 'state';
+const CURRENT_STATE_DOC = 'current';
+const ADMINS_COLLECTION = 'admins';
 
-// ---- HELPER FUNCTIONS ----
+const MAX_BATCH_SIZE = 500; // Firestore's limit on writes per batch
 
-/**
- * Adds a new superlative document to Firestore.
- * @param {object} superlativeData - The data for the new superlative.
- *   Example: { title: "Most Likely to...", order: 1, nominees: [{ name: "John", image: "/img.jpg" }] }
- */
-async function addSuperlative(superlativeData) {
-  if (!superlativeData.title || typeof superlativeData.order !== 'number' || !Array.isArray(superlativeData.nominees)) {
-    console.error('Invalid superlative data:', superlativeData);
-    return null;
-  }
+// A bad command line: printed with the command's usage and exit code 2
+class UsageError extends Error {}
+
+// ---- SETUP ----
+
+let db = null;
+let options = {};
+// Schema checks and the importer, shared with the app as ES modules (loaded in main)
+const shared = { schema: null, importer: null };
+
+function initializeFirebase() {
+  const keyPath = options.key || process.env.SUPERLATIVES_KEY_PATH || process.env.GOOGLE_APPLICATION_CREDENTIALS || DEFAULT_KEY_PATH;
+  let serviceAccount;
   try {
-    const docRef = await db.collection(SUPERLATIVES_COLLECTION).add(superlativeData);
-    console.log(`Added superlative "${superlativeData.title}" with ID: ${docRef.id}`);
-    return docRef;
+    serviceAccount = JSON.parse(fs.readFileSync(path.resolve(keyPath), 'utf8'));
   } catch (error) {
-    console.error(`Error adding superlative "${superlativeData.title}":`, error);
-    return null;
+    throw new Error(`Could not read the service account key at ${keyPath} (${error.message}). Pass --key or set SUPERLATIVES_KEY_PATH.`);
   }
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  db = admin.firestore();
+}
+
+function getEventId() {
+  const eventId = options.event || process.env.SUPERLATIVES_EVENT_ID;
+  if (!eventId) throw new UsageError("This command needs an event: pass --event <id> or set SUPERLATIVES_EVENT_ID.");
+  return eventId;
 }
 
+function eventRef() {
+  return db.collection(EVENTS_COLLECTION).doc(getEventId());
+}
+
+function superlativesCollection() {
+  return eventRef().collection(SUPERLATIVES_COLLECTION);
+}
+
+// ---- HELPERS ----
+
 /**
- * Fetches all existing superlatives.
+ * Fetches the event's superlatives, sorted by order.
+ * @returns {Promise<object[]>}
  */
 async function getAllSuperlatives() {
-  try {
-    const snapshot = await db.collection(SUPERLATIVES_COLLECTION).orderBy('order', 'asc').get();
-    if (snapshot.empty) {
-      console.log('No existing superlatives found.');
-      return [];
-    }
-    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-  } catch (error) {
-    console.error("Error fetching superlatives:", error);
-    return [];
-  }
+  const eventSnap = await eventRef().get();
+  if (!eventSnap.exists) throw new Error(`No event found with ID ${getEventId()}.`);
+  const snapshot = await superlativesCollection().orderBy('order', 'asc').get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
 /**
- * Duplicates existing superlatives.
- * You can customize the title and order of the duplicated items.
- * @param {string} titleSuffix - Suffix to add to the title of duplicated items (e.g., " (Copy)").
- * @param {number} orderOffset - Value to add to the original order for duplicated items.
- *                               Ensure this offset doesn't create conflicting order numbers.
+ * Finds one superlative by --id or --order.
+ * @param {object[]} superlatives
+ * @returns {object}
  */
-async function duplicateAllSuperlatives(titleSuffix = " (Copy)", orderOffset = 100) {
-  const existingSuperlatives = await getAllSuperlatives();
-  if (existingSuperlatives.length === 0) {
-    console.log("No superlatives to duplicate.");
-    return;
+function findSuperlative(superlatives) {
+  if (options.id) {
+    const superlative = superlatives.find(s => s.id === options.id);
+    if (!superlative) throw new Error(`No superlative found with ID ${options.id}.`);
+    return superlative;
   }
+  if (options.order !== undefined) {
+    const order = parseInteger(options.order, '--order');
+    const superlative = superlatives.find(s => s.order === order);
+    if (!superlative) throw new Error(`No superlative found with order ${order}.`);
+    return superlative;
+  }
+  throw new UsageError("Pick a superlative with --id <id> or --order <n>.");
+}
 
-  let successCount = 0;
-  let failCount = 0;
+function parseInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) throw new UsageError(`${flag} must be a whole number, got "${value}".`);
+  return number;
+}
 
-  // Find the maximum existing order to avoid conflicts more reliably if orderOffset is not large enough
-  let maxOrder = 0;
-  if (existingSuperlatives.length > 0) {
-      maxOrder = Math.max(...existingSuperlatives.map(s => s.order), 0);
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read JSON from ${file}: ${error.message}`);
   }
-  const newOrderStart = maxOrder + orderOffset;
-
-
-  for (const superlative of existingSuperlatives) {
-    const newSuperlativeData = {
-      ...superlative, // Spread existing data (includes nominees, etc.)
-      id: undefined, // Remove original ID to let Firestore generate a new one
-      title: superlative.title + titleSuffix,
-      order: newOrderStart + (superlative.order || 0) // Ensure original order is used as a base for offset
-    };
-    delete newSuperlativeData.id; // Ensure id is not carried over
-
-    const result = await addSuperlative(newSuperlativeData);
-    if (result) {
-        successCount++;
-    } else {
-        failCount++;
-    }
+}
+
+function assertValidSuperlative(superlative) {
+  const errors = shared.schema.validateSuperlative(superlative);
+  if (errors.length > 0) throw new Error(`Invalid superlative "${superlative.title || '(untitled)'}": ${errors.join('; ')}.`);
+}
+
+// A copy of a superlative without its id or results, ready to be written as a new one
+function toCopy(superlative, changes) {
+  const { id, revealedWinnerData, revealedResults, ...copy } = superlative;
+  if (copy.nominations) {
+    const { closedAt, ...nominations } = copy.nominations; // Reopen the nomination round
+    copy.nominations = nominations;
   }
-  console.log(`Duplication complete. Successfully duplicated: ${successCount}, Failed: ${failCount}`);
+  return { ...copy, ...changes };
 }
 
 /**
- * Deletes all superlatives from Firestore except for the one with the specified ID.
- * @param {string} exceptionId - The ID of the superlative to keep.
+ * Prints rows as an aligned text table.
+ * @param {object[]} rows
+ * @param {{ key: string, label: string }[]} columns
  */
-async function deleteAllSuperlativesExceptOne(exceptionId) {
-  if (!exceptionId) {
-    console.error("Exception ID is required to know which superlative to keep.");
-    return;
-  }
+function printTable(rows, columns) {
+  const cell = (row, column) => String(row[column.key] ?? '');
+  const widths = columns.map(column => Math.max(column.label.length, ...rows.map(row => cell(row, column).length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns.map(c => c.label)));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  rows.forEach(row => console.log(line(columns.map(c => cell(row, c)))));
+}
+
+/**
+ * Asks before a destructive change. --yes skips the question; without a terminal to ask on, it refuses.
+ * @param {string} question
+ */
+async function confirm(question) {
+  if (options.yes || options['dry-run']) return;
+  if (!process.stdin.isTTY) throw new Error(`${question} Re-run with --yes to confirm.`);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(`${question} [y/N] `);
+  rl.close();
+  if (!/^y(es)?$/i.test(answer.trim())) throw new Error("Cancelled.");
+}
 
-  const allSuperlatives = await getAllSuperlatives();
-  if (allSuperlatives.length === 0) {
-    console.log("No superlatives to delete.");
+/**
+ * Applies a list of writes in batches, or with --dry-run only prints them.
+ * @param {{ type: 'set' | 'update' | 'delete', ref: FirebaseFirestore.DocumentReference, data?: object, label: string }[]} writes
+ */
+async function commitWrites(writes) {
+  if (options['dry-run']) {
+    writes.forEach(write => console.log(`[dry run] ${write.type} ${write.ref.path}: ${write.label}`));
+    console.log(`[dry run] ${writes.length} write(s) skipped.`);
     return;
   }
+  for (let start = 0; start < writes.length; start += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(start, start + MAX_BATCH_SIZE).forEach(({ type, ref, data }) => {
+      if (type === 'delete') batch.delete(ref);
+      else batch[type](ref, data);
+    });
+    await batch.commit();
+  }
+}
 
-  let successCount = 0;
-  let failCount = 0;
-  let keptCount = 0;
-
-  console.log(`Attempting to delete all superlatives except for ID: ${exceptionId}`);
-
-  for (const superlative of allSuperlatives) {
-    if (superlative.id === exceptionId) {
-      console.log(`Keeping superlative: "${superlative.title}" (ID: ${superlative.id})`);
-      keptCount++;
-      continue;
-    }
-    try {
-      await db.collection(SUPERLATIVES_COLLECTION).doc(superlative.id).delete();
-      console.log(`Deleted superlative: "${superlative.title}" (ID: ${superlative.id})`);
-      successCount++;
-    } catch (error) {
-      console.error(`Error deleting superlative "${superlative.title}" (ID: ${superlative.id}):`, error);
-      failCount++;
-    }
+// Writes that give the listed superlatives orders 0..n-1. While a session is running, the session
+// state's currentQuestionIndex follows the current superlative, as the in-app editor does.
+async function getRenumberWrites(orderedSuperlatives) {
+  const writes = orderedSuperlatives
+    .map((superlative, index) => ({ superlative, index }))
+    .filter(({ superlative, index }) => superlative.order !== index)
+    .map(({ superlative, index }) => ({
+      type: 'update',
+      ref: superlativesCollection().doc(superlative.id),
+      data: { order: index },
+      label: `order ${superlative.order} -> ${index} "${superlative.title}"`,
+    }));
+  const stateRef = eventRef().collection(STATE_COLLECTION).doc(CURRENT_STATE_DOC);
+  const stateSnap = await stateRef.get();
+  const currentSuperlativeId = stateSnap.exists ? stateSnap.data().currentSuperlativeId : null;
+  const currentIndex = orderedSuperlatives.findIndex(s => s.id === currentSuperlativeId);
+  if (writes.length > 0 && currentIndex !== -1) {
+    writes.push({ type: 'update', ref: stateRef, data: { currentQuestionIndex: currentIndex }, label: `currentQuestionIndex -> ${currentIndex}` });
   }
+  return writes;
+}
 
-  console.log(
-    `Deletion process complete. Successfully deleted: ${successCount}, Failed: ${failCount}, Kept: ${keptCount}`
-  );
+// Writes that delete a superlative's votes, tally and nominations (or every superlative's, for null)
+async function getVoteDeleteWrites(superlativeId) {
+  const byId = (collectionName) => {
+    const collectionRef = eventRef().collection(collectionName);
+    return superlativeId ? collectionRef.where('superlativeId', '==', superlativeId) : collectionRef;
+  };
+  const [votes, nominations, tallies] = await Promise.all([
+    byId(VOTES_COLLECTION).get(),
+    byId(NOMINATIONS_COLLECTION).get(),
+    byId(TALLIES_COLLECTION).get(), // The superlative's tally shards (see src/votes.js)
+  ]);
+  return [
+    ...votes.docs.map(doc => ({ type: 'delete', ref: doc.ref, label: 'vote' })),
+    ...nominations.docs.map(doc => ({ type: 'delete', ref: doc.ref, label: 'nominations' })),
+    ...tallies.docs.map(doc => ({ type: 'delete', ref: doc.ref, label: 'tally' })),
+  ];
 }
 
-/**
- * Duplicates the first superlative found in the collection multiple times.
- * @param {number} numberOfDuplicates - How many copies to create.
- * @param {string} titleSuffixBase - Base string to append to the title for copies (e.g., " (Copy)"). A number will be added.
- */
-async function duplicateFirstSuperlativeMultipleTimes(numberOfDuplicates, titleSuffixBase = " (Copy)") {
-  if (typeof numberOfDuplicates !== 'number' || numberOfDuplicates <= 0) {
-    console.error("Number of duplicates must be a positive number.");
+// ---- COMMANDS ----
+
+async function listCommand() {
+  const superlatives = await getAllSuperlatives();
+  if (superlatives.length === 0) {
+    console.log("No superlatives in this event.");
     return;
   }
+  printTable(superlatives.map((s, index) => ({
+    position: index + 1,
+    order: s.order,
+    title: s.title,
+    nominees: Array.isArray(s.nominees) ? s.nominees.length : '-',
+    extras: [
+      s.voting?.mode && s.voting.mode !== 'single' ? s.voting.mode : null,
+      s.nominations?.enabled ? 'nominations' : null,
+      s.timer?.seconds ? `timer ${s.timer.seconds}s` : null,
+      s.reveal?.staged ? 'staged reveal' : null,
+      s.resultAnimation ? 'animation' : null,
+      s.revealedResults ? 'revealed' : null,
+    ].filter(Boolean).join(', '),
+    id: s.id,
+  })), [
+    { key: 'position', label: '#' },
+    { key: 'order', label: 'Order' },
+    { key: 'title', label: 'Title' },
+    { key: 'nominees', label: 'Nominees' },
+    { key: 'extras', label: 'Settings' },
+    { key: 'id', label: 'ID' },
+  ]);
+}
 
-  const existingSuperlatives = await getAllSuperlatives(); // Already sorted by order
-  if (existingSuperlatives.length === 0) {
-    console.log("No superlatives to duplicate.");
+async function addCommand() {
+  const superlatives = await getAllSuperlatives();
+  let newSuperlatives;
+  if (options.file) {
+    const fileData = readJsonFile(options.file);
+    newSuperlatives = Array.isArray(fileData) ? fileData : [fileData];
+  } else if (options.title) {
+    // --nominee "Name" or --nominee "Name|/images/name.jpg", repeated
+    const nominees = (options.nominee || []).map(value => {
+      const [name, image] = value.split('|').map(part => part.trim());
+      return image ? { name, image } : { name };
+    });
+    newSuperlatives = [{ title: options.title, nominees }];
+  } else {
+    throw new UsageError("Give the superlative with --file <superlative.json> or --title <title> [--nominee <name> ...].");
+  }
+
+  let nextOrder = Math.max(-1, ...superlatives.map(s => s.order ?? 0)) + 1;
+  const writes = newSuperlatives.map(superlative => {
+    const data = { ...superlative, order: superlative.order ?? (options.order !== undefined ? parseInteger(options.order, '--order') : nextOrder++) };
+    assertValidSuperlative(data);
+    return { type: 'set', ref: superlativesCollection().doc(), data, label: `add "${data.title}" (order ${data.order})` };
+  });
+  await commitWrites(writes);
+  writes.forEach(write => console.log(`Added "${write.data.title}" with ID ${write.ref.id}.`));
+}
+
+async function updateCommand() {
+  const superlative = findSuperlative(await getAllSuperlatives());
+  const changes = options.file ? readJsonFile(options.file) : {};
+  if (options.title) changes.title = options.title;
+  if (Object.keys(changes).length === 0) throw new UsageError("Give the changes with --file <changes.json> and/or --title <title>.");
+  // Dotted keys in the file ("reveal.stepSeconds") update a single nested field, as in Firestore's update()
+  const merged = { ...superlative };
+  Object.entries(changes).forEach(([key, value]) => { if (!key.includes('.')) merged[key] = value; });
+  assertValidSuperlative(merged);
+  await commitWrites([{ type: 'update', ref: superlativesCollection().doc(superlative.id), data: changes, label: `update ${Object.keys(changes).join(', ')}` }]);
+  console.log(`Updated "${superlative.title}" (ID ${superlative.id}).`);
+}
+
+async function deleteCommand() {
+  const superlatives = await getAllSuperlatives();
+  let toDelete;
+  if (options['all-except']) {
+    const keep = superlatives.find(s => s.id === options['all-except']);
+    if (!keep) throw new Error(`No superlative found with ID ${options['all-except']}; nothing deleted.`);
+    toDelete = superlatives.filter(s => s.id !== keep.id);
+    console.log(`Keeping "${keep.title}" (ID ${keep.id}).`);
+  } else {
+    toDelete = [findSuperlative(superlatives)];
+  }
+  if (toDelete.length === 0) {
+    console.log("Nothing to delete.");
     return;
   }
+  toDelete.forEach(s => console.log(`  - "${s.title}" (ID ${s.id})`));
+  await confirm(`Delete ${toDelete.length} superlative(s) with their votes and nominations?`);
 
-  const firstSuperlative = existingSuperlatives[0];
-  console.log(`Attempting to duplicate the first superlative: "${firstSuperlative.title}" (ID: ${firstSuperlative.id}), ${numberOfDuplicates} times.`);
+  const writes = [];
+  for (const superlative of toDelete) {
+    writes.push(...await getVoteDeleteWrites(superlative.id));
+    writes.push({ type: 'delete', ref: superlativesCollection().doc(superlative.id), label: `superlative "${superlative.title}"` });
+  }
+  const deletedIds = new Set(toDelete.map(s => s.id));
+  writes.push(...await getRenumberWrites(superlatives.filter(s => !deletedIds.has(s.id))));
+  await commitWrites(writes);
+  console.log(`Deleted ${toDelete.length} superlative(s).`);
+}
 
-  let successCount = 0;
-  let failCount = 0;
+async function duplicateCommand() {
+  const superlatives = await getAllSuperlatives();
+  if (superlatives.length === 0) throw new Error("No superlatives to duplicate.");
+  const sources = options.all ? superlatives : [options.id || options.order !== undefined ? findSuperlative(superlatives) : superlatives[0]];
+  const times = options.times !== undefined ? parseInteger(options.times, '--times') : 1;
+  if (times < 1) throw new UsageError("--times must be at least 1.");
+  const suffix = options.suffix ?? ' (Copy)';
+
+  let nextOrder = Math.max(...superlatives.map(s => s.order ?? 0)) + 1;
+  const writes = [];
+  for (let copy = 1; copy <= times; copy++) {
+    sources.forEach(source => {
+      const title = times > 1 ? `${source.title}${suffix} ${copy}` : `${source.title}${suffix}`;
+      const data = toCopy(source, { title, order: nextOrder++ });
+      writes.push({ type: 'set', ref: superlativesCollection().doc(), data, label: `copy of "${source.title}" as "${title}" (order ${data.order})` });
+    });
+  }
+  await commitWrites(writes);
+  console.log(`Created ${writes.length} superlative(s).`);
+}
 
-  let maxOrder = 0;
-  if (existingSuperlatives.length > 0) {
-      maxOrder = Math.max(...existingSuperlatives.map(s => s.order), 0);
+async function reorderCommand() {
+  const superlatives = await getAllSuperlatives();
+  // --ids puts those superlatives first, in that order; the rest follow in their current order
+  const ids = options.ids ? options.ids.split(',').map(id => id.trim()).filter(Boolean) : [];
+  const unknownIds = ids.filter(id => !superlatives.some(s => s.id === id));
+  if (unknownIds.length > 0) throw new Error(`Unknown superlative ID(s): ${unknownIds.join(', ')}.`);
+  const ordered = [
+    ...ids.map(id => superlatives.find(s => s.id === id)),
+    ...superlatives.filter(s => !ids.includes(s.id)),
+  ];
+  const writes = await getRenumberWrites(ordered);
+  if (writes.length === 0) {
+    console.log("Already in order.");
+    return;
   }
+  await commitWrites(writes);
+  console.log(`Renumbered ${ordered.length} superlative(s) from 0.`);
+}
 
-  for (let i = 0; i < numberOfDuplicates; i++) {
-    const newSuperlativeData = {
-      ...firstSuperlative, // Spread existing data (includes nominees, etc.)
-      id: undefined,       // Remove original ID to let Firestore generate a new one
-      title: `${firstSuperlative.title}${titleSuffixBase} ${i + 1}`,
-      order: maxOrder + i + 1 // Assign sequential order numbers after the current max
-    };
-    delete newSuperlativeData.id; // Ensure id is not carried over
-
-    const result = await addSuperlative(newSuperlativeData);
-    if (result) {
-        successCount++;
-    } else {
-        failCount++;
-    }
+async function setAnimationCommand() {
+  const superlative = findSuperlative(await getAllSuperlatives());
+  if (!options.file) throw new UsageError("Give the animation with --file <animation.json>.");
+  const resultAnimation = readJsonFile(options.file);
+  if (typeof resultAnimation !== 'object' || resultAnimation === null || Array.isArray(resultAnimation)) {
+    throw new Error(`${options.file} must contain a JSON object.`);
   }
-  console.log(`Duplication of first superlative complete. Successfully duplicated: ${successCount}, Failed: ${failCount}`);
+  const errors = shared.schema.validateResultAnimation(resultAnimation);
+  if (errors.length > 0) throw new Error(`Invalid animation in ${options.file}: ${errors.join('; ')}.`);
+  await commitWrites([{ type: 'update', ref: superlativesCollection().doc(superlative.id), data: { resultAnimation }, label: 'set resultAnimation' }]);
+  console.log(`Set the result animation of "${superlative.title}" (order ${superlative.order}, ID ${superlative.id}).`);
+}
+
+async function resetVotesCommand() {
+  const superlatives = await getAllSuperlatives();
+  const target = options.id || options.order !== undefined ? findSuperlative(superlatives) : null;
+  const targets = target ? [target] : superlatives;
+  const writes = await getVoteDeleteWrites(target ? target.id : null);
+  targets.forEach(superlative => {
+    writes.push({
+      type: 'update',
+      ref: superlativesCollection().doc(superlative.id),
+      data: {
+        revealedWinnerData: admin.firestore.FieldValue.delete(),
+        revealedResults: admin.firestore.FieldValue.delete(),
+        ...(superlative.nominations ? { 'nominations.closedAt': admin.firestore.FieldValue.delete() } : {}),
+      },
+      label: `clear results of "${superlative.title}"`,
+    });
+  });
+  const voteCount = writes.filter(w => w.label === 'vote').length;
+  await confirm(`Delete ${voteCount} vote(s) and clear the results of ${target ? `"${target.title}"` : `all ${targets.length} superlatives`}?`);
+  await commitWrites(writes);
+  console.log(`Reset votes for ${targets.length} superlative(s). The session state was not changed.`);
 }
 
 /**
- * Adds or updates the resultAnimation field for a specific superlative identified by its order.
- * @param {number} order - The order of the superlative to update.
- * @param {object} resultAnimationData - The resultAnimation object to add.
+ * Imports superlatives from a CSV, JSON or YAML file (format in src/superlativeImport.mjs), the
+ * same as the app's importer: prints what would change, then asks before writing.
  */
-async function addResultAnimationToSuperlativeByOrder(order, resultAnimationData) {
-  if (typeof order !== 'number') {
-    console.error("Invalid order provided. Must be a number.");
-    return;
+async function importCommand() {
+  if (!options.file) throw new UsageError("Give the file with --file <superlatives.csv|.json|.yaml>.");
+  const { getImportFormat, parseImportFile, buildImportedSuperlatives, diffImport, describeImportValue } = shared.importer;
+  let parsed;
+  try {
+    parsed = parseImportFile(fs.readFileSync(path.resolve(options.file), 'utf8'), getImportFormat(options.file));
+  } catch (error) {
+    throw new Error(`Could not read ${options.file}: ${error.message}`);
   }
-  if (typeof resultAnimationData !== 'object' || resultAnimationData === null) {
-    console.error("Invalid resultAnimationData provided. Must be an object.");
+  const [superlatives, rosterSnapshot] = await Promise.all([getAllSuperlatives(), eventRef().collection(ROSTER_COLLECTION).get()]);
+  const rosterNames = rosterSnapshot.docs.map(doc => doc.data().name).sort((a, b) => a.localeCompare(b));
+  const { superlatives: imported, errors } = buildImportedSuperlatives(parsed, { rosterNames });
+  if (errors.length > 0) throw new Error(`${options.file} has problems; nothing was imported.\n  ${errors.join('\n  ')}`);
+
+  const diff = diffImport(superlatives, imported, { removeMissing: options['remove-missing'] });
+  const rows = [
+    ...diff.creates.map(s => ({ action: 'add', title: s.title, details: `order ${s.order}: ${describeImportValue(s.nominees)}` })),
+    ...diff.updates.map(u => ({
+      action: 'update',
+      title: u.title,
+      details: Object.entries(u.changes).map(([field, { from, to }]) => `${field}: ${describeImportValue(from)} -> ${describeImportValue(to)}`).join('; '),
+    })),
+    ...diff.removes.map(s => ({ action: 'delete', title: s.title, details: 'with its votes and nominations' })),
+  ];
+  if (rows.length === 0) {
+    console.log(`Nothing to change: all ${diff.unchanged.length} superlative(s) in ${options.file} are up to date.`);
     return;
   }
+  printTable(rows, [
+    { key: 'action', label: 'Change' },
+    { key: 'title', label: 'Title' },
+    { key: 'details', label: 'Details' },
+  ]);
+  if (diff.unchanged.length > 0) console.log(`Unchanged: ${diff.unchanged.length}`);
+
+  const writes = [
+    ...diff.creates.map(data => ({ type: 'set', ref: superlativesCollection().doc(), data, label: `add "${data.title}"` })),
+    ...diff.updates.map(u => ({ type: 'update', ref: superlativesCollection().doc(u.id), data: u.data, label: `update "${u.title}"` })),
+  ];
+  for (const superlative of diff.removes) {
+    writes.push(...await getVoteDeleteWrites(superlative.id));
+    writes.push({ type: 'delete', ref: superlativesCollection().doc(superlative.id), label: `delete "${superlative.title}"` });
+  }
+  await confirm(`Apply these ${rows.length} change(s)?`);
+  await commitWrites(writes);
+  console.log(`Imported ${options.file}: ${diff.creates.length} added, ${diff.updates.length} updated, ${diff.removes.length} deleted.`);
+}
 
-  try {
-    const superlativesSnapshot = await db.collection(SUPERLATIVES_COLLECTION).where('order', '==', order).limit(1).get();
+/**
+ * Grants the admin role to an existing Firebase Auth user.
+ * Sets the `admin` custom claim and writes a document to the admins collection,
+ * which is what the app and firestore.rules check. Create the user first
+ * (Firebase console -> Authentication -> Add user) with an email and password.
+ */
+async function grantAdminCommand() {
+  if (!options.email) throw new UsageError("Give the user's email with --email <address>.");
+  const user = await admin.auth().getUserByEmail(options.email);
+  if (options['dry-run']) {
+    console.log(`[dry run] Would grant the admin role to ${options.email} (UID: ${user.uid}).`);
+    return;
+  }
+  await admin.auth().setCustomUserClaims(user.uid, { ...(user.customClaims || {}), admin: true });
+  await db.collection(ADMINS_COLLECTION).doc(user.uid).set({
+    email: options.email,
+    grantedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`Granted admin role to ${options.email} (UID: ${user.uid}). They must sign in again for the claim to apply.`);
+}
 
-    if (superlativesSnapshot.empty) {
-      console.log(`No superlative found with order: ${order}`);
-      return;
-    }
+/**
+ * Moves a single-session setup into an event: creates the event (with a join code and a fresh
+ * session state) and copies the old top-level superlatives into it, without their results.
+ * The old top-level collections are left alone; delete them once the event looks right.
+ */
+async function migrateRootCommand() {
+  if (!options.name) throw new UsageError("Give the new event's name with --name <name>.");
+  const snapshot = await db.collection(SUPERLATIVES_COLLECTION).get();
+  const newEventRef = db.collection(EVENTS_COLLECTION).doc();
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Same as the app's codes (src/roster.js): no 0/O or 1/I
+  const joinCode = Array.from({ length: 6 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+  await commitWrites([
+    { type: 'set', ref: newEventRef, data: { name: options.name, joinCode, templateEventId: null, createdAt: admin.firestore.FieldValue.serverTimestamp() }, label: `event "${options.name}"` },
+    { type: 'set', ref: db.collection(EVENT_JOIN_CODES_COLLECTION).doc(joinCode), data: { eventId: newEventRef.id }, label: 'join code' },
+    {
+      type: 'set',
+      ref: newEventRef.collection(STATE_COLLECTION).doc(CURRENT_STATE_DOC),
+      data: { isSessionStarted: false, currentQuestionIndex: 0, currentSuperlativeId: null, isResultShown: false, allSuperlativesCompleted: false },
+      label: 'session state',
+    },
+    ...snapshot.docs.map(doc => ({
+      type: 'set',
+      ref: newEventRef.collection(SUPERLATIVES_COLLECTION).doc(doc.id),
+      data: toCopy({ id: doc.id, ...doc.data() }),
+      label: `superlative "${doc.data().title}"`,
+    })),
+  ]);
+  console.log(`Created event "${options.name}" (ID: ${newEventRef.id}, code: ${joinCode}) with ${snapshot.size} superlatives.`);
+}
 
-    const superlativeDoc = superlativesSnapshot.docs[0];
-    await db.collection(SUPERLATIVES_COLLECTION).doc(superlativeDoc.id).update({
-      resultAnimation: resultAnimationData
-    });
-    console.log(`Successfully added/updated resultAnimation for superlative "${superlativeDoc.data().title}" (Order: ${order}, ID: ${superlativeDoc.id})`);
-  } catch (error) {
-    console.error(`Error updating superlative with order ${order}:`, error);
+const COMMANDS = {
+  list: {
+    usage: 'list',
+    summary: "List the event's superlatives",
+    run: listCommand,
+  },
+  add: {
+    usage: 'add --file <superlative.json> | --title <title> [--nominee <name>[|<image>] ...] [--order <n>]',
+    summary: 'Add a superlative (or a JSON list of them); order defaults to after the last one',
+    run: addCommand,
+  },
+  update: {
+    usage: 'update (--id <id> | --order <n>) [--file <changes.json>] [--title <title>]',
+    summary: 'Change fields of a superlative (dotted keys like "reveal.stepSeconds" update one nested field)',
+    run: updateCommand,
+  },
+  delete: {
+    usage: 'delete (--id <id> | --order <n> | --all-except <id>)',
+    summary: 'Delete superlatives with their votes and nominations, and renumber the rest',
+    run: deleteCommand,
+  },
+  duplicate: {
+    usage: 'duplicate [--id <id> | --order <n> | --all] [--times <n>] [--suffix <text>]',
+    summary: 'Copy superlatives (the first one by default) after the last one, without their results',
+    run: duplicateCommand,
+  },
+  reorder: {
+    usage: 'reorder [--ids <id>,<id>,...]',
+    summary: 'Renumber orders from 0; the given IDs go first, in that order',
+    run: reorderCommand,
+  },
+  'set-animation': {
+    usage: 'set-animation (--order <n> | --id <id>) --file <animation.json>',
+    summary: "Replace a superlative's resultAnimation",
+    run: setAnimationCommand,
+  },
+  'reset-votes': {
+    usage: 'reset-votes [--id <id> | --order <n>]',
+    summary: 'Delete votes, tallies and nominations and clear revealed results (all superlatives by default)',
+    run: resetVotesCommand,
+  },
+  import: {
+    usage: 'import --file <superlatives.csv|.json|.yaml> [--remove-missing]',
+    summary: 'Add and update superlatives from a file, matched by title; --remove-missing deletes the ones not in it',
+    run: importCommand,
+  },
+  'grant-admin': {
+    usage: 'grant-admin --email <address>',
+    summary: 'Grant the admin role to an existing Firebase Auth user (no --event needed)',
+    run: grantAdminCommand,
+  },
+  'migrate-root': {
+    usage: 'migrate-root --name <event name>',
+    summary: 'Copy superlatives from before events existed into a new event (no --event needed)',
+    run: migrateRootCommand,
+  },
+};
+
+const OPTION_SPEC = {
+  key: { type: 'string' },
+  event: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+  id: { type: 'string' },
+  order: { type: 'string' },
+  file: { type: 'string' },
+  title: { type: 'string' },
+  nominee: { type: 'string', multiple: true },
+  'all-except': { type: 'string' },
+  all: { type: 'boolean' },
+  times: { type: 'string' },
+  suffix: { type: 'string' },
+  ids: { type: 'string' },
+  email: { type: 'string' },
+  name: { type: 'string' },
+  'remove-missing': { type: 'boolean' },
+};
+
+function printUsage(commandName) {
+  const command = COMMANDS[commandName];
+  if (command) {
+    console.log(`Usage: node manageSuperlatives.js ${command.usage} [--event <id>] [--key <path>] [--dry-run] [--yes]\n\n${command.summary}.`);
+    return;
   }
+  console.log("Usage: node manageSuperlatives.js <command> [options]\n\nCommands:");
+  printTable(Object.entries(COMMANDS).map(([name, c]) => ({ name, summary: c.summary })), [
+    { key: 'name', label: 'Command' },
+    { key: 'summary', label: 'Description' },
+  ]);
+  console.log(`
+Options for every command:
+  --event <id>   Event to work on (or SUPERLATIVES_EVENT_ID)
+  --key <path>   Service account key JSON (or SUPERLATIVES_KEY_PATH / GOOGLE_APPLICATION_CREDENTIALS; default ${DEFAULT_KEY_PATH})
+  --dry-run      Print the writes without making them
+  --yes, -y      Don't ask before destructive changes
+  --help, -h     Show help (also: <command> --help)`);
 }
 
 // ---- SCRIPT EXECUTION ----
 
 async function main() {
-  console.log("Starting superlative management script...");
-
-  // --- Example 1: Add a new single superlative ---
-  // const newSuperlative = {
-  //   title: "Most Likely to Invent a Time Machine",
-  //   order: 25, // Make sure this order number is unique or fits your sequence
-  //   nominees: [
-  //     { name: "Dr. Emmett Brown", image: "/images/docbrown.jpg" },
-  //     { name: "Sarah Connor", image: "/images/sarahconnor.jpg" },
-  //   ]
-  // };
-  // await addSuperlative(newSuperlative);
-
-  // --- Example 2: Add multiple new superlatives ---
-  // const superlativesToAdd = [
-  //   { title: "Best Laugh", order: 26, nominees: [{ name: "Nominee A", image: "/images/a.jpg"}]},
-  //   { title: "Most Optimistic", order: 27, nominees: [{ name: "Nominee B", image: "/images/b.jpg"}]},
-  // ];
-  // for (const sup of superlativesToAdd) {
-  //   await addSuperlative(sup);
-  // }
-  
-//   --- Example 3: List all current superlatives ---
-//   console.log("\n--- Current Superlatives ---");
-//   const allSuperlatives = await getAllSuperlatives();
-//   allSuperlatives.forEach(s => console.log(`Order: ${s.order}, Title: ${s.title}, ID: ${s.id}`));
-
-  // --- Example 4: Duplicate all existing superlatives ---
-  // Make sure to adjust titleSuffix and orderOffset as needed.
-  // The orderOffset is added to the *current maximum order* plus the original order of the item,
-  // so they should all appear after your current set.
-  // for (let i = 1; i < 20; i++) {
-  //   await duplicateAllSuperlatives(`Question ${i + 1}`, i); // Adds " (Round 2)" to titles, offsets order
-  // }
-
-  // --- Example 5: Delete all superlatives except one ---
-  // First, get all superlatives to find an ID to keep.
-//   const allSuperlativesForDeletion = await getAllSuperlatives();
-//   if (allSuperlativesForDeletion.length > 0) {
-//     const exceptionId = allSuperlativesForDeletion[0].id; // Keep the first one as an example
-//     console.log(`\n--- Deleting all superlatives except ID: ${exceptionId} ---`);
-//     await deleteAllSuperlativesExceptOne(exceptionId);
-//   } else {
-//     console.log("No superlatives to delete or keep.");
-//   }
-
-//   console.log("\nScript finished.");
-  // --- Example 6: Add/Update resultAnimation for a specific superlative by order ---
-//   const targetOrder = 0; // Replace with the order of the superlative you want to update
-//   const animationData = {
-//     recycle: true,
-//     numberOfPieces: 150,
-//     confettiShape: "dollar", // As defined in your App.jsx
-//     soundEffectUrl: "/sounds/your-money-song.mp3", // Path to your custom song
-//     colors: ["#34D399", "#10B981", "#059669", "#A7F3D0"] // Shades of green for money
-//   };
-//   // console.log(`\n--- Attempting to add result animation to superlative with order: ${targetOrder} ---`);
-//   await addResultAnimationToSuperlativeByOrder(targetOrder, animationData);
-
-  // --- Example 8: Add/Update "Flight Mode / No Signal" resultAnimation for a specific superlative by order ---
-
-
-
-  const targetOrderForFlightMode = 19; // <<<< CHANGE THIS to the order of the superlative you want to update
-  const flightModeAnimationData = {
-    // --- Settings for a more dynamic "Flying Airplanes" Effect ---
-    
-    soundEffectUrl: "/sounds/emjarigindi.mp3", 
-    
-  };
-  console.log(`\n--- Attempting to add "Flying Airplanes" result animation to superlative with order: ${targetOrderForFlightMode} ---`);
-  // UNCOMMENT THE LINE BELOW TO ACTUALLY RUN THIS PART
-  await addResultAnimationToSuperlativeByOrder(targetOrderForFlightMode, flightModeAnimationData);
-
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTION_SPEC, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  options = parsed.values;
+  const [commandName, ...extra] = parsed.positionals;
 
-  process.exit(0); 
+  if (!commandName || options.help) {
+    printUsage(commandName);
+    return;
+  }
+  const command = COMMANDS[commandName];
+  if (!command) throw new UsageError(`Unknown command "${commandName}".`);
+  if (extra.length > 0) throw new UsageError(`Unexpected argument(s): ${extra.join(' ')}.`);
+
+  shared.schema = await import('./src/superlativeSchema.mjs');
+  shared.importer = await import('./src/superlativeImport.mjs');
+  initializeFirebase();
+  if (options['dry-run']) console.log("Dry run: nothing will be written.");
+  await command.run();
 }
 
-main().catch(error => {
-  console.error("An error occurred in the main script execution:", error);
+main().then(() => process.exit(0)).catch(error => {
+  if (error instanceof UsageError) {
+    console.error(`Error: ${error.message}\n`);
+    printUsage(process.argv[2]);
+    process.exit(2);
+  }
+  console.error(`Error: ${error.message}`);
   process.exit(1);
-}); 
\ No newline at end of file
+});
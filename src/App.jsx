@@ -1,10 +1,7 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import LoginPage from './LoginPage';
-import Confetti from 'react-confetti';
 import { db, auth } from './firebase';
 import {
-  collection,
-  doc,
   getDocs,
   onSnapshot,
   setDoc,
@@ -13,31 +10,65 @@ import {
   query,
   where,
   orderBy,
-  serverTimestamp,
   deleteDoc,
   writeBatch,
   deleteField,
+  serverTimestamp,
 } from 'firebase/firestore';
-import { v4 as uuidv4 } from 'uuid'; // For generating unique user IDs
-import { signInAnonymously, onAuthStateChanged } from "firebase/auth";
-
-// localStorage keys
-const USER_ID_STORAGE_KEY = 'superlativesUserId';
-const USER_TYPE_STORAGE_KEY = 'superlativesUserType';
-
-// Firestore collection names and document IDs (moved back here)
-const GLOBAL_STATE_COLLECTION = 'globalState';
-const CURRENT_STATE_DOC = 'currentState';
-const SUPERLATIVES_COLLECTION = 'superlatives';
-const VOTES_COLLECTION = 'votes';
+import { signInAnonymously, onAuthStateChanged, signOut } from "firebase/auth";
+import { isAdminUser } from './adminAuth';
+import { getRosterClaim } from './roster';
+import RosterManager from './RosterManager';
+import SuperlativeEditor from './SuperlativeEditor';
+import SuperlativeImporter from './SuperlativeImporter';
+import ResultsExport from './ResultsExport';
+import CertificateGenerator from './CertificateGenerator';
+import ShareSummary from './ShareSummary';
+import { PARTICIPANTS_COLLECTION, HEARTBEAT_INTERVAL_MS, registerParticipant, sendHeartbeat } from './participants';
+import ParticipantsPanel from './ParticipantsPanel';
+import { VOTES_COLLECTION, TALLIES_COLLECTION, castVote, getVoteDocId, subscribeToBallots } from './votes';
+import {
+  aggregateVotes,
+  rankNominees,
+  tallyVotes,
+  toRevealedWinnerData,
+  describeVoteWeights,
+  getScoreUnit,
+  getVotingConfig,
+  getVoteChoices,
+  needsRawBallots,
+  describeVotingMethod,
+  describeDecision,
+  fromRevealedResults,
+} from './tally';
+import VotingBallot from './VotingBallot';
+import VoteChart from './VoteChart';
+import { NOMINATIONS_COLLECTION, isNominationRound, buildNomineesFromNominations } from './nominations';
+import NominationForm from './NominationForm';
+import NominationsPanel from './NominationsPanel';
+import { getTimerSeconds, getTimerStartFields, CLEARED_TIMER_FIELDS, getVotingEndsAt, useCountdown } from './timer';
+import CountdownTimer from './CountdownTimer';
+import ResultConfetti from './ResultConfetti';
+import RevealEffects from './RevealEffects';
+import StagedReveal from './StagedReveal';
+import { getRevealConfig, getRevealSteps, getPlaceLabel } from './reveal';
+import { useRevealSound } from './revealSound';
+import { STATE_COLLECTION, CURRENT_STATE_DOC, SUPERLATIVES_COLLECTION } from './appState';
+import { getCurrentEventId, eventDoc, eventCollection, getEventUrl, leaveEvent } from './events';
+
+// localStorage keys. The user type is kept per event, since a device may join several.
+const USER_TYPE_STORAGE_KEY = `superlativesUserType_${getCurrentEventId()}`;
 
 export default function App() {
-  // User-specific state (local to tab, persisted in localStorage)
-  const [userType, setUserType] = useState(() => localStorage.getItem(USER_TYPE_STORAGE_KEY) || null);
-  const [userId, setUserId] = useState(() => localStorage.getItem(USER_ID_STORAGE_KEY) || null);
-
-  // Ref to track if sound has played for revealed results
-  const soundPlayedForSuperlative = React.useRef({}); // { [superlativeId]: boolean }
+  // User-specific state. userType is persisted in localStorage, but the 'admin' type is never
+  // restored from it; it only comes from Firebase Auth below.
+  const [userType, setUserType] = useState(() => {
+    const storedType = localStorage.getItem(USER_TYPE_STORAGE_KEY);
+    return storedType && storedType !== 'admin' ? storedType : null;
+  });
+  // userId is always the Firebase Auth uid (anonymous for voters), so it survives reloads and logouts on this device.
+  const [userId, setUserId] = useState(null);
+  const [participantName, setParticipantName] = useState(null); // Display name from the participants collection
 
   // Global game state (synced from Firestore)
   const [superlativesList, setSuperlativesList] = useState([]);
@@ -45,17 +76,29 @@ export default function App() {
   const [isResultShown, setIsResultShown] = useState(false);
   const [allSuperlativesCompleted, setAllSuperlativesCompleted] = useState(false);
   const [isSessionStarted, setIsSessionStarted] = useState(false); // New state for session status
+  const [currentEvent, setCurrentEvent] = useState(null); // The event doc (name, joinCode) this page belongs to
+  const [isEventMissing, setIsEventMissing] = useState(false);
   const [qrCodeTargetUrl, setQrCodeTargetUrl] = useState(() => window.location.origin); // New state for QR code URL
+  // Voting timer (see timer.js): the running round, plus the session-wide settings
+  const [votingStartedAt, setVotingStartedAt] = useState(null);
+  const [votingDurationSeconds, setVotingDurationSeconds] = useState(null);
+  const [sessionTimerSeconds, setSessionTimerSeconds] = useState(null);
+  const [timerAutoStart, setTimerAutoStart] = useState(false);
+  const [timerAutoReveal, setTimerAutoReveal] = useState(false);
+  const [revealStep, setRevealStep] = useState(0); // Step of a staged reveal (see reveal.js)
   
   // Loading states
+  const [isLoadingAuth, setIsLoadingAuth] = useState(true);
   const [isLoadingSuperlatives, setIsLoadingSuperlatives] = useState(true);
   const [isLoadingAppState, setIsLoadingAppState] = useState(true);
+  const [isLoadingEvent, setIsLoadingEvent] = useState(true);
   const [isLoadingFinalSummary, setIsLoadingFinalSummary] = useState(false);
 
   // Voting-related state
-  const [localSelectedNominee, setLocalSelectedNominee] = useState(null); // User's selection in this tab
-  const [nomineeVoteStats, setNomineeVoteStats] = useState({}); // { nomineeName: { score: X, graduatingVotes: Y, firstVoteTimestamp: Z } }
+  const [localSelectedChoices, setLocalSelectedChoices] = useState([]); // User's ballot in this tab (see getVoteChoices)
+  const [currentBallots, setCurrentBallots] = useState([]); // Anonymous ballots for the current superlative (see votes.js)
   const [totalRawVotesCount, setTotalRawVotesCount] = useState(0); // New state for raw vote count for admin live view
+  const [votedUserIds, setVotedUserIds] = useState([]); // Who has voted on the current superlative (admin presence panel)
   const [isVoting, setIsVoting] = useState(false); // To prevent rapid/double voting
 
   // UI state
@@ -64,65 +107,152 @@ export default function App() {
   const [adminQrUrlInput, setAdminQrUrlInput] = useState(''); // Local input for admin to change QR URL
   const [shuffledNominees, setShuffledNominees] = useState([]);
   const [adminGoToQuestionInput, setAdminGoToQuestionInput] = useState(''); // New state for admin direct question input
+  const [adminTimerSecondsInput, setAdminTimerSecondsInput] = useState('');
+  const [isEditingSuperlatives, setIsEditingSuperlatives] = useState(false); // Admin editor during a session
 
   // Persist userType and userId in localStorage
   useEffect(() => {
-    if (userType) {
+    if (userType && userType !== 'admin') {
       localStorage.setItem(USER_TYPE_STORAGE_KEY, userType);
     } else {
       localStorage.removeItem(USER_TYPE_STORAGE_KEY);
     }
   }, [userType]);
 
+  // Derive identity from Firebase Auth. Admins come from a credential sign-in (custom claim or
+  // admins collection); everyone else is signed in anonymously, which keeps one uid per device.
   useEffect(() => {
-    if (userId) {
-      localStorage.setItem(USER_ID_STORAGE_KEY, userId);
-    } else {
-      localStorage.removeItem(USER_ID_STORAGE_KEY);
-    }
-  }, [userId]);
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      if (!user) {
+        setUserId(null);
+        setUserType(prevType => (prevType === 'admin' ? null : prevType));
+        try {
+          await signInAnonymously(auth); // Triggers this listener again with the anonymous user
+        } catch (error) {
+          console.error("Error signing in anonymously:", error);
+          setIsLoadingAuth(false);
+        }
+        return;
+      }
+      if (await isAdminUser(user)) {
+        setUserType('admin');
+      } else {
+        setUserType(prevType => (prevType === 'admin' ? null : prevType));
+      }
+      setUserId(user.uid);
+      setIsLoadingAuth(false);
+    });
+    return () => unsubscribe();
+  }, []);
 
-  // Fetch superlatives once on mount
+  // A graduating userType restored from localStorage is only kept while this uid still holds a roster claim
   useEffect(() => {
-    const fetchSuperlatives = async () => {
-      setIsLoadingSuperlatives(true);
-      try {
-        const q = query(collection(db, SUPERLATIVES_COLLECTION), orderBy('order', 'asc'));
-        const querySnapshot = await getDocs(q);
-        const fetchedSuperlatives = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        setSuperlativesList(fetchedSuperlatives);
-      } catch (error) {
-        console.error("Error fetching superlatives:", error);
+    if (userType !== 'graduating' || !userId) return;
+    let isCancelled = false;
+    getRosterClaim(userId).then((claim) => {
+      if (!claim && !isCancelled) setUserType(null);
+    }).catch(error => console.error("Error checking roster claim:", error));
+    return () => { isCancelled = true; };
+  }, [userType, userId]);
+
+  // Subscribe to this voter's participant doc for their display name.
+  // If the admin removes it, the voter is sent back to the login page.
+  useEffect(() => {
+    if (!userId || !userType || userType === 'admin') {
+      setParticipantName(userType === 'admin' ? auth.currentUser?.email || null : null);
+      return;
+    }
+    const unsubscribe = onSnapshot(eventDoc(PARTICIPANTS_COLLECTION, userId), (docSnap) => {
+      if (docSnap.exists() && !docSnap.data().removed) {
+        setParticipantName(docSnap.data().name);
+      } else if (docSnap.exists() || !docSnap.metadata.fromCache) {
+        setParticipantName(null);
+        setUserType(null);
       }
-      setIsLoadingSuperlatives(false);
+    }, (error) => {
+      console.error("Error subscribing to participant:", error);
+    });
+    return () => unsubscribe();
+  }, [userId, userType]);
+
+  // Presence heartbeats while a voter is logged in (also sent as soon as the tab becomes visible again)
+  useEffect(() => {
+    if (!userId || !userType || userType === 'admin') return;
+    const beat = () => sendHeartbeat(userId).catch(error => console.error("Error sending heartbeat:", error));
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') beat();
+    };
+    const interval = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-    fetchSuperlatives();
+  }, [userId, userType]);
+
+  // Subscribe to the current event's doc; a deleted event (or a stale link) sends users back to the event picker
+  useEffect(() => {
+    const unsubscribe = onSnapshot(eventDoc(), (docSnap) => {
+      if (docSnap.metadata.fromCache && !docSnap.exists()) return; // Wait for the server before calling it missing
+      setCurrentEvent(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+      setIsEventMissing(!docSnap.exists());
+      setIsLoadingEvent(false);
+    }, (error) => {
+      console.error("Error subscribing to event:", error);
+      setIsLoadingEvent(false);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Subscribe to superlatives, so every device picks up the admin's revealedResults as soon as they're written
+  useEffect(() => {
+    setIsLoadingSuperlatives(true);
+    const q = query(eventCollection(SUPERLATIVES_COLLECTION), orderBy('order', 'asc'));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setSuperlativesList(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setIsLoadingSuperlatives(false);
+    }, (error) => {
+      console.error("Error fetching superlatives:", error);
+      setIsLoadingSuperlatives(false);
+    });
+    return () => unsubscribe();
   }, []);
 
   // Subscribe to global app state (currentQuestionIndex, isResultShown, allSuperlativesCompleted)
   useEffect(() => {
     setIsLoadingAppState(true);
-    const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+    const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
     const unsubscribe = onSnapshot(appStateDocRef, (docSnap) => {
       if (docSnap.exists()) {
-        const data = docSnap.data();
+        const data = docSnap.data({ serverTimestamps: 'estimate' }); // So a just-started timer shows right away on the admin's device
         setIsSessionStarted(data.isSessionStarted === undefined ? false : data.isSessionStarted); // New
         setQrCodeTargetUrl(data.qrCodeTargetUrl || window.location.origin);
         setAdminQrUrlInput(data.qrCodeTargetUrl || window.location.origin); // Initialize admin input
         setCurrentQuestionIndex(data.currentQuestionIndex || 0);
         setIsResultShown(data.isResultShown || false);
         setAllSuperlativesCompleted(data.allSuperlativesCompleted || false);
+        setVotingStartedAt(data.votingStartedAt || null);
+        setVotingDurationSeconds(data.votingDurationSeconds || null);
+        setSessionTimerSeconds(data.timerSeconds || null);
+        setAdminTimerSecondsInput(data.timerSeconds ? String(data.timerSeconds) : '');
+        setTimerAutoStart(data.timerAutoStart || false);
+        setTimerAutoReveal(data.timerAutoReveal || false);
+        setRevealStep(data.revealStep || 0);
         if (!data.isResultShown && !data.allSuperlativesCompleted && data.isSessionStarted) { // Check isSessionStarted
-            setLocalSelectedNominee(null);
+            setLocalSelectedChoices([]);
         }
       } else {
-        // Initialize app state if it doesn't exist (e.g., first run)
+        // Initialize app state if it doesn't exist (e.g., first run). Only the admin may write it (see
+        // firestore.rules); voters' devices are turned down and wait for the admin's.
         setDoc(appStateDocRef, { 
             isSessionStarted: false, // New
             qrCodeTargetUrl: window.location.origin, 
             currentQuestionIndex: 0, 
+            currentSuperlativeId: null,
             isResultShown: false, 
             allSuperlativesCompleted: false 
+        }).catch(error => {
+          if (error.code !== 'permission-denied') console.error("Error initializing app state:", error);
         });
       }
       setIsLoadingAppState(false);
@@ -133,9 +263,16 @@ export default function App() {
     return () => unsubscribe();
   }, []);
   
+  const joinUrl = getEventUrl(qrCodeTargetUrl); // The QR code and links carry the event, so scanning lands in it
   const currentSuperlative = superlativesList[currentQuestionIndex];
-
-  // Effect to shuffle nominees when currentSuperlative changes
+  const currentNomineesKey = JSON.stringify(currentSuperlative?.nominees || []);
+  const isNominationPhase = isNominationRound(currentSuperlative); // Nominations come before voting (see nominations.js)
+  const currentTimerSeconds = getTimerSeconds(currentSuperlative, sessionTimerSeconds);
+  const votingEndsAt = getVotingEndsAt(votingStartedAt, votingDurationSeconds);
+  const remainingVotingSeconds = useCountdown(votingEndsAt);
+  const isVotingClosed = remainingVotingSeconds === 0; // The timer ran out; firestore.rules rejects late votes
+
+  // Effect to shuffle nominees when the superlative or its nominees change (not on every superlative doc update)
   useEffect(() => {
     if (currentSuperlative && currentSuperlative.nominees && Array.isArray(currentSuperlative.nominees)) {
       const newArray = [...currentSuperlative.nominees];
@@ -148,67 +285,68 @@ export default function App() {
     } else {
       setShuffledNominees([]);
     }
-  }, [currentSuperlative]);
+  }, [currentSuperlative?.id, currentNomineesKey]);
 
-  // Subscribe to votes for the current superlative
+  // Subscribe to the current superlative's tally shards (cheap for every client: a vote only changes one shard)
   useEffect(() => {
-    if (!currentSuperlative?.id) {
-      setNomineeVoteStats({}); // Clear stats if no current superlative
+    setCurrentBallots([]); // Clear stats while switching superlatives
+    if (!currentSuperlative?.id) return;
+
+    const unsubscribe = subscribeToBallots(currentSuperlative.id, setCurrentBallots, (error) => {
+      console.error("Error subscribing to tally:", error);
+    });
+
+    return () => unsubscribe();
+  }, [currentSuperlative?.id]);
+
+  // Per-superlative voting config (mode, ballot size, weights by voter type), and the weighted stats it produces
+  const votingConfig = useMemo(() => getVotingConfig(currentSuperlative), [currentSuperlative]);
+  const voteWeights = votingConfig.weights;
+  const voteWeightsDescription = describeVoteWeights(voteWeights);
+  const scoreUnit = getScoreUnit(votingConfig);
+  const nomineeVoteStats = useMemo( // { nomineeName: { score: X, graduatingVotes: Y, firstVoteTimestamp: Z, ... } }
+    () => aggregateVotes(currentSuperlative?.nominees || [], currentBallots, { voting: votingConfig }),
+    [currentBallots, currentSuperlative, votingConfig]
+  );
+
+  // Only the admin streams the raw votes for the current superlative (live count and who has voted)
+  useEffect(() => {
+    if (userType !== 'admin' || !currentSuperlative?.id) {
       setTotalRawVotesCount(0); // Clear raw count as well
+      setVotedUserIds([]);
       return;
     }
 
-    // Order by timestamp to process votes chronologically for firstVoteTimestamp
-    const q = query(collection(db, VOTES_COLLECTION), where('superlativeId', '==', currentSuperlative.id), orderBy('timestamp', 'asc'));
+    const q = query(eventCollection(VOTES_COLLECTION), where('superlativeId', '==', currentSuperlative.id), orderBy('timestamp', 'asc'));
     const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const newNomineeStats = {};
-      currentSuperlative.nominees.forEach(n => {
-        newNomineeStats[n.name] = { score: 0, graduatingVotes: 0, firstVoteTimestamp: null };
-      });
-
       setTotalRawVotesCount(querySnapshot.size);
+      setVotedUserIds(querySnapshot.docs.map(d => d.data().userId));
+    }, (error) => {
+      console.error("Error subscribing to votes:", error);
+    });
 
-      querySnapshot.forEach((doc) => {
-        const vote = doc.data();
-        const nomineeName = vote.nomineeName;
-
-        if (newNomineeStats[nomineeName] !== undefined) {
-          newNomineeStats[nomineeName].score += 1; // All votes have a weight of 1
+    return () => unsubscribe();
+  }, [userType, currentSuperlative?.id]);
 
-          if (vote.userType === 'graduating') {
-            newNomineeStats[nomineeName].graduatingVotes += 1;
-          }
+  // Follow this user's own vote doc so their selection survives reloads
+  useEffect(() => {
+    if (!userId || !currentSuperlative?.id) return;
 
-          // Set firstVoteTimestamp if it's the first vote for this nominee
-          // Firestore timestamps can be null if serverTimestamp() is used and not yet resolved
-          // Or they can be Firestore Timestamp objects.
-          if (!newNomineeStats[nomineeName].firstVoteTimestamp && vote.timestamp) {
-             newNomineeStats[nomineeName].firstVoteTimestamp = vote.timestamp.toDate ? vote.timestamp.toDate() : new Date(vote.timestamp);
-          }
-        }
-      });
-      setNomineeVoteStats(newNomineeStats);
-      
-      // Update localSelectedNominee if this user has already voted on this question
-      const userVoteDoc = querySnapshot.docs.find(d => d.data().userId === userId);
-      if (userVoteDoc) {
-        setLocalSelectedNominee(userVoteDoc.data().nomineeName);
-      } else {
+    const voteDocRef = eventDoc(VOTES_COLLECTION, getVoteDocId(currentSuperlative.id, userId));
+    const unsubscribe = onSnapshot(voteDocRef, (docSnap) => {
+      if (docSnap.exists()) {
+        setLocalSelectedChoices(getVoteChoices(docSnap.data()));
+      } else if (!isResultShown) {
         // If the user's vote is not found (e.g., after a reset or if they haven't voted on this one yet)
-        // and the results are not shown, ensure localSelectedNominee is clear for this question.
-        // This handles the case where a user moves to a new question where they haven't voted.
-        if(!isResultShown) {
-            setLocalSelectedNominee(null);
-        }
+        // and the results are not shown, ensure localSelectedChoices is clear for this question.
+        setLocalSelectedChoices([]);
       }
-
     }, (error) => {
-      console.error("Error subscribing to votes:", error);
+      console.error("Error subscribing to own vote:", error);
     });
 
     return () => unsubscribe();
-  }, [currentSuperlative?.id, userId, currentSuperlative?.nominees, isResultShown]); // Added isResultShown to dependencies
-
+  }, [currentSuperlative?.id, userId, isResultShown]);
 
   // Window dimensions for Confetti
   useEffect(() => {
@@ -218,143 +356,233 @@ export default function App() {
     return () => window.removeEventListener('resize', updateDimensions);
   }, []);
 
-  const handleLogin = (type, approvedId) => {
-    setUserType(type);
-    if (type === 'admin') {
-      // Admin logs in directly, generate their ID if it doesn't exist or is new session
-      if (!userId) { // Check if userId already exists from a previous session for admin
-      setUserId(uuidv4());
-      }
-    } else {
-      // For guest/graduating, userId is pre-approved and passed in
-      setUserId(approvedId);
+  const handleLogin = async (type, name) => {
+    // Admins never come through here; their role is set by onAuthStateChanged after signing in.
+    if (!userId) {
+      alert("Could not connect to the voting service. Please refresh the page and try again.");
+      return;
+    }
+    try {
+      await registerParticipant(userId, name, type);
+    } catch (error) {
+      console.error("Error registering participant:", error);
+      // Firestore errors carry a code; registerParticipant's own errors are written for the voter
+      alert(error.code ? "Could not join the session. Please try again." : error.message);
+      return;
     }
+    setUserType(type);
     // Global app state handled by Firestore, no client-side reset needed here beyond user identification.
   };
   
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    if (userType === 'admin') {
+      // Signing out drops back to an anonymous voter identity via onAuthStateChanged
+      try {
+        await signOut(auth);
+      } catch (error) {
+        console.error("Error signing out admin:", error);
+      }
+    }
+    // Voters keep their anonymous uid, so logging back in never creates a second identity.
     setUserType(null);
-    // Optionally, clear userId too if you want a fresh ID on next login
-    // localStorage.removeItem(USER_ID_STORAGE_KEY);
-    // setUserId(null);
   };
 
 
-  const handleVote = async (nomineeName) => {
+  const handleVote = async (choices) => {
     if (!userId || !currentSuperlative?.id || isResultShown || isVoting || allSuperlativesCompleted || !isSessionStarted) return; // Check !isSessionStarted
+    if (choices.length === 0 || isNominationPhase || isVotingClosed) return;
 
     setIsVoting(true);
-    setLocalSelectedNominee(nomineeName); // Optimistic UI update
-
-    const voteDocId = `${currentSuperlative.id}_${userId}`; // Unique ID for a user's vote on a superlative
-    const voteDocRef = doc(db, VOTES_COLLECTION, voteDocId);
+    const previousChoices = localSelectedChoices;
+    setLocalSelectedChoices(choices); // Optimistic UI update
 
     try {
-      await setDoc(voteDocRef, {
+      // Writes the vote doc and its ballot in the superlative's tally shards in one batch
+      await castVote({
         superlativeId: currentSuperlative.id,
-        nomineeName: nomineeName,
         userId: userId,
-        userType: userType, // Optional: store user type with vote
-        timestamp: serverTimestamp(),
+        userType: userType,
+        choices: choices,
+        voting: votingConfig,
       });
       // console.log("Vote cast/updated successfully");
     } catch (error) {
       console.error("Error casting vote:", error);
-      // Potentially revert optimistic UI update if needed
+      setLocalSelectedChoices(previousChoices);
+      alert("Your vote could not be saved. Please try again.");
     }
     setIsVoting(false);
   };
   
-  const getWinner = useCallback(() => {
-    if (!currentSuperlative || Object.keys(nomineeVoteStats).length === 0) return null;
-
-    // Create an array of nominee data objects from nomineeVoteStats
-    const nomineeDataForSorting = Object.entries(nomineeVoteStats)
-      .map(([name, stats]) => ({
-        name,
-        score: stats.score,
-        graduatingVotes: stats.graduatingVotes,
-        firstVoteTimestamp: stats.firstVoteTimestamp,
-      }))
-      .filter(n => n.score > 0); // Only consider nominees with actual votes
-
-    if (nomineeDataForSorting.length === 0) return null;
-
-    // Sort nominees:
-    // 1. Score (descending)
-    // 2. Graduating Votes (descending)
-    // 3. First Vote Timestamp (ascending - earlier is better)
-    nomineeDataForSorting.sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      if (b.graduatingVotes !== a.graduatingVotes) {
-        return b.graduatingVotes - a.graduatingVotes;
-      }
-      // Handle null timestamps (e.g., if a vote somehow didn't get one)
-      if (!a.firstVoteTimestamp && !b.firstVoteTimestamp) return 0;
-      if (!a.firstVoteTimestamp) return 1; // b comes first if a has no timestamp
-      if (!b.firstVoteTimestamp) return -1; // a comes first if b has no timestamp
-      return new Date(a.firstVoteTimestamp).getTime() - new Date(b.firstVoteTimestamp).getTime();
-    });
-    
-    if (nomineeDataForSorting.length === 0) return null; // Should be caught by filter earlier, but safeguard
-
-    const topNominee = nomineeDataForSorting[0];
-    
-    // Find all nominees who are tied with the top nominee based on all criteria
-    const tiedWinners = nomineeDataForSorting.filter(n => 
-        n.score === topNominee.score &&
-        n.graduatingVotes === topNominee.graduatingVotes &&
-        ( (n.firstVoteTimestamp === null && topNominee.firstVoteTimestamp === null) ||
-          (n.firstVoteTimestamp && topNominee.firstVoteTimestamp && new Date(n.firstVoteTimestamp).getTime() === new Date(topNominee.firstVoteTimestamp).getTime()) )
-    );
+  // Ranked results for the current superlative from the live stats (see tally.js for the tie-break rules)
+  const currentTallyResult = useMemo(() => {
+    if (!currentSuperlative || !Array.isArray(currentSuperlative.nominees)) return null;
+    return rankNominees(currentSuperlative.nominees, nomineeVoteStats, { tieBreakers: currentSuperlative.tieBreakers });
+  }, [nomineeVoteStats, currentSuperlative]);
 
-    const winnerObjects = tiedWinners.map(winner => {
-      const nomineeObj = currentSuperlative.nominees.find(n => n.name === winner.name);
-      return nomineeObj ? { 
-        ...nomineeObj, 
-        count: winner.score, // The 'count' is their total score
-        isTie: tiedWinners.length > 1 
-      } : null;
-    }).filter(Boolean);
-      
-    return winnerObjects.length > 0 ? winnerObjects : null;
+  const revealConfig = useMemo(() => getRevealConfig(currentSuperlative), [currentSuperlative]);
 
-  }, [nomineeVoteStats, currentSuperlative]);
+  // What everyone sees once results are shown: only the admin's revealedResults, recounted from the raw
+  // votes, so no device can show a different winner while they are being written ("Tallying the votes...").
+  const displayedTallyResult = useMemo(() => {
+    if (!isResultShown) return currentTallyResult;
+    return currentSuperlative?.revealedResults ? fromRevealedResults(currentSuperlative.revealedResults) : null;
+  }, [isResultShown, currentSuperlative, currentTallyResult]);
+
+  const revealSteps = useMemo(() => getRevealSteps(displayedTallyResult, revealConfig), [displayedTallyResult, revealConfig]);
+  const currentRevealStep = Math.min(revealStep, revealSteps.length - 1);
+  const isWinnerRevealed = isResultShown && Boolean(displayedTallyResult) && revealSteps[currentRevealStep].type === 'winner';
+
+  const getWinner = useCallback(() => {
+    if (!displayedTallyResult || displayedTallyResult.winners.length === 0) return null;
+    return displayedTallyResult.winners.map(winner => ({
+      ...winner,
+      count: winner.score, // The 'count' is their total score
+      isTie: displayedTallyResult.isTie,
+    }));
+  }, [displayedTallyResult]);
 
 
   const handleRevealWinner = async () => {
     if (userType === 'admin' && currentSuperlative?.id) {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
-      const superlativeDocRef = doc(db, SUPERLATIVES_COLLECTION, currentSuperlative.id);
-      
-      // Get winner data *before* setting isResultShown to true to avoid race conditions with getWinner relying on it
-      const winnersArray = getWinner(); // This should ideally not depend on isResultShown for its calculation logic
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
+      const superlativeDocRef = eventDoc(SUPERLATIVES_COLLECTION, currentSuperlative.id);
 
       try {
-        await updateDoc(appStateDocRef, { isResultShown: true });
-        // Store the revealed winner data on the superlative document itself
-        if (winnersArray && winnersArray.length > 0) {
-          await updateDoc(superlativeDocRef, {
-            revealedWinnerData: winnersArray.map(w => ({ name: w.name, image: w.image, count: w.count, isTie: w.isTie }))
-          });
-        }
+        // Showing results closes voting (see firestore.rules), so the raw votes read next are final.
+        // Stale revealedResults from an earlier reveal are cleared in the same batch.
+        const batch = writeBatch(db);
+        batch.update(appStateDocRef, { isResultShown: true, revealStep: 0 });
+        batch.update(superlativeDocRef, { revealedResults: deleteField() });
+        await batch.commit();
+
+        const votesQuery = query(eventCollection(VOTES_COLLECTION), where('superlativeId', '==', currentSuperlative.id));
+        const voteDocsSnapshot = await getDocs(votesQuery);
+        const result = tallyVotes(
+          currentSuperlative.nominees,
+          voteDocsSnapshot.docs.map(d => d.data()),
+          { tieBreakers: currentSuperlative.tieBreakers, voting: votingConfig }
+        );
+
+        // Store the revealed results on the superlative document itself; every device waits for them
+        await updateDoc(superlativeDocRef, {
+          revealedWinnerData: result.winners.length > 0 ? toRevealedWinnerData(result) : deleteField(),
+          revealedResults: {
+            status: result.status,
+            isTie: result.isTie,
+            decidedBy: result.decidedBy,
+            tieBreakers: result.tieBreakers,
+            weights: voteWeights,
+            voting: { mode: votingConfig.mode, maxSelections: votingConfig.maxSelections, rankedMethod: votingConfig.rankedMethod },
+            rounds: result.rounds || null,
+            rankings: result.rankings.map(r => ({ name: r.name, image: r.image || null, score: r.score, voteCount: r.voteCount, rank: r.rank })),
+          },
+        });
         // console.log("Winner revealed and data stored.");
       } catch (error) {
         console.error("Error revealing winner or storing winner data:", error);
+        alert("The votes could not be counted. Please try again.");
       }
     }
   };
 
+  // Turns the admin's picks from the nomination round into the superlative's nominees, which opens voting
+  const handleFinalizeNominees = async (names) => {
+    if (userType !== 'admin' || !currentSuperlative?.id) return;
+    const superlativeDocRef = eventDoc(SUPERLATIVES_COLLECTION, currentSuperlative.id);
+    try {
+      const batch = writeBatch(db);
+      batch.update(superlativeDocRef, {
+        nominees: buildNomineesFromNominations(names, currentSuperlative.nominees || []),
+        'nominations.closedAt': serverTimestamp(),
+      });
+      if (timerAutoStart && currentTimerSeconds) {
+        batch.update(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), getTimerStartFields(currentTimerSeconds));
+      }
+      await batch.commit();
+    } catch (error) {
+      console.error("Error finalizing nominees:", error);
+      alert("Failed to save the nominees.");
+    }
+  };
+
+  // Global state for moving to a superlative. With auto-start on, its timer starts straight away
+  // (after the nomination round, if it has one).
+  const getQuestionStateFields = (index) => {
+    const superlative = superlativesList[index];
+    const timerSeconds = getTimerSeconds(superlative, sessionTimerSeconds);
+    const shouldStartTimer = timerAutoStart && timerSeconds && !isNominationRound(superlative);
+    return {
+      currentQuestionIndex: index,
+      currentSuperlativeId: superlative?.id ?? null, // Security rules only accept votes for this superlative
+      ...(shouldStartTimer ? getTimerStartFields(timerSeconds) : CLEARED_TIMER_FIELDS),
+    };
+  };
+
+  const handleStartTimer = async () => {
+    if (userType !== 'admin' || !currentTimerSeconds) return;
+    try {
+      await updateDoc(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), getTimerStartFields(currentTimerSeconds));
+    } catch (error) {
+      console.error("Error starting timer:", error);
+    }
+  };
+
+  const handleStopTimer = async () => {
+    if (userType !== 'admin') return;
+    try {
+      await updateDoc(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), CLEARED_TIMER_FIELDS);
+    } catch (error) {
+      console.error("Error stopping timer:", error);
+    }
+  };
+
+  const handleUpdateTimerSettings = async (settings) => {
+    if (userType !== 'admin') return;
+    try {
+      await updateDoc(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), settings);
+    } catch (error) {
+      console.error("Error updating timer settings:", error);
+      alert("Failed to update timer settings.");
+    }
+  };
+
+  // With auto-reveal on, the admin's device reveals the winner as soon as the timer runs out (once per round)
+  const autoRevealedRoundRef = React.useRef(null);
+  useEffect(() => {
+    if (userType !== 'admin' || !timerAutoReveal || !isVotingClosed || isResultShown || !votingStartedAt) return;
+    if (currentBallots.length === 0) return; // Nothing to reveal; the admin moves on from the voting screen
+    const roundKey = `${currentSuperlative?.id}_${votingStartedAt.toMillis()}`;
+    if (autoRevealedRoundRef.current === roundKey) return;
+    autoRevealedRoundRef.current = roundKey;
+    handleRevealWinner();
+  }, [userType, timerAutoReveal, isVotingClosed, isResultShown, votingStartedAt, currentSuperlative?.id, currentBallots.length]);
+
+  const handleSetRevealStep = async (step) => {
+    if (userType !== 'admin') return;
+    try {
+      await updateDoc(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), { revealStep: step });
+    } catch (error) {
+      console.error("Error advancing reveal:", error);
+    }
+  };
+
+  // A staged reveal with reveal.stepSeconds advances itself from the admin's device
+  useEffect(() => {
+    if (userType !== 'admin' || !isResultShown || !displayedTallyResult || !revealConfig.stepSeconds) return;
+    if (currentRevealStep >= revealSteps.length - 1) return;
+    const timeout = setTimeout(() => handleSetRevealStep(currentRevealStep + 1), revealConfig.stepSeconds * 1000);
+    return () => clearTimeout(timeout);
+  }, [userType, isResultShown, displayedTallyResult, revealConfig.stepSeconds, currentRevealStep, revealSteps.length]);
+
   const nextQuestion = async () => {
     if (userType === 'admin' && superlativesList.length > 0) {
       const newIndex = (currentQuestionIndex + 1);
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         if (newIndex < superlativesList.length) {
           await updateDoc(appStateDocRef, {
-            currentQuestionIndex: newIndex,
+            ...getQuestionStateFields(newIndex),
             isResultShown: false,
             allSuperlativesCompleted: false,
           });
@@ -369,7 +597,7 @@ export default function App() {
 
   const proceedToFinalSummary = async () => {
     if (userType === 'admin') {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         // Check if we are already on the last question and results are shown
         // If so, this button effectively just confirms moving to the summary.
@@ -390,10 +618,10 @@ export default function App() {
   const handlePreviousQuestion = async () => {
     if (userType === 'admin' && currentQuestionIndex > 0) {
       const newIndex = currentQuestionIndex - 1;
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         await updateDoc(appStateDocRef, {
-          currentQuestionIndex: newIndex,
+          ...getQuestionStateFields(newIndex),
           isResultShown: false, 
           allSuperlativesCompleted: false, // Exiting summary view if going back
         });
@@ -405,12 +633,12 @@ export default function App() {
 
   const handleResetCurrentResults = async () => {
     if (userType === 'admin' && currentSuperlative?.id) {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
-      const superlativeDocRef = doc(db, SUPERLATIVES_COLLECTION, currentSuperlative.id);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
+      const superlativeDocRef = eventDoc(SUPERLATIVES_COLLECTION, currentSuperlative.id);
       try {
-        await updateDoc(appStateDocRef, { isResultShown: false });
+        await updateDoc(appStateDocRef, { isResultShown: false, ...CLEARED_TIMER_FIELDS }); // The admin can start a fresh timer
         // Optionally remove revealedWinnerData if results are reset
-        await updateDoc(superlativeDocRef, { revealedWinnerData: deleteField() });
+        await updateDoc(superlativeDocRef, { revealedWinnerData: deleteField(), revealedResults: deleteField() });
       } catch (error) {
         console.error("Error resetting results:", error);
       }
@@ -421,14 +649,14 @@ export default function App() {
     if (userType !== 'admin') return;
 
     const confirmation = window.confirm(
-      "ARE YOU SURE? This will delete all votes, clear all revealed winners, and reset the application. Users will return to the login page, and the admin will see the session start page. This action cannot be undone."
+      "ARE YOU SURE? This will delete all votes and nominations in this event, clear all revealed winners, and reset the event. Users will return to the login page, and the admin will see the session start page. This action cannot be undone."
     );
 
     if (confirmation) {
       console.log("Initiating full application reset...");
       try {
         // 1. Delete all votes
-        const votesQuery = query(collection(db, VOTES_COLLECTION));
+        const votesQuery = query(eventCollection(VOTES_COLLECTION));
         const voteDocsSnapshot = await getDocs(votesQuery);
         if (!voteDocsSnapshot.empty) {
           const batch = writeBatch(db);
@@ -437,24 +665,47 @@ export default function App() {
           console.log("All votes deleted.");
         }
 
-        // 2. Clear revealedWinnerData from all superlatives
-        const superlativesQuery = query(collection(db, SUPERLATIVES_COLLECTION));
+        // 1b. Delete the aggregate tallies kept alongside the votes
+        const talliesSnapshot = await getDocs(query(eventCollection(TALLIES_COLLECTION)));
+        if (!talliesSnapshot.empty) {
+          const tallyBatch = writeBatch(db);
+          talliesSnapshot.forEach(doc => tallyBatch.delete(doc.ref));
+          await tallyBatch.commit();
+          console.log("All tallies deleted.");
+        }
+
+        // 1c. Delete nominations
+        const nominationsSnapshot = await getDocs(query(eventCollection(NOMINATIONS_COLLECTION)));
+        if (!nominationsSnapshot.empty) {
+          const nominationBatch = writeBatch(db);
+          nominationsSnapshot.forEach(doc => nominationBatch.delete(doc.ref));
+          await nominationBatch.commit();
+          console.log("All nominations deleted.");
+        }
+
+        // 2. Clear revealedWinnerData from all superlatives and reopen their nomination rounds
+        const superlativesQuery = query(eventCollection(SUPERLATIVES_COLLECTION));
         const superlativeDocsSnapshot = await getDocs(superlativesQuery);
         if (!superlativeDocsSnapshot.empty) {
           const superlativeBatch = writeBatch(db);
           superlativeDocsSnapshot.forEach(doc => {
-            superlativeBatch.update(doc.ref, { revealedWinnerData: deleteField() });
+            superlativeBatch.update(doc.ref, {
+              revealedWinnerData: deleteField(),
+              revealedResults: deleteField(),
+              ...(doc.data().nominations ? { 'nominations.closedAt': deleteField() } : {}),
+            });
           });
           await superlativeBatch.commit();
           console.log("Cleared revealed winner data from all superlatives.");
         }
 
         // 3. Reset global app state
-        const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+        const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
         await setDoc(appStateDocRef, {
           isSessionStarted: false, // New
           qrCodeTargetUrl: window.location.origin, 
           currentQuestionIndex: 0,
+          currentSuperlativeId: null,
           isResultShown: false,
           allSuperlativesCompleted: false,
         });
@@ -473,10 +724,10 @@ export default function App() {
 
   const handleGoToQuestion = async (index) => {
     if (userType === 'admin' && superlativesList.length > 0 && index >= 0 && index < superlativesList.length) {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         await updateDoc(appStateDocRef, {
-          currentQuestionIndex: index,
+          ...getQuestionStateFields(index),
           isResultShown: false,
           allSuperlativesCompleted: false, // Ensure we are not in summary view
         });
@@ -489,7 +740,7 @@ export default function App() {
 
   const handleUpdateQrUrl = async () => {
     if (userType === 'admin' && adminQrUrlInput.trim() !== '') {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         await updateDoc(appStateDocRef, { qrCodeTargetUrl: adminQrUrlInput });
         // setQrCodeTargetUrl(adminQrUrlInput); // State will update via onSnapshot
@@ -503,11 +754,11 @@ export default function App() {
 
   const handleStartVotingSession = async () => {
     if (userType === 'admin') {
-      const appStateDocRef = doc(db, GLOBAL_STATE_COLLECTION, CURRENT_STATE_DOC);
+      const appStateDocRef = eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC);
       try {
         await updateDoc(appStateDocRef, { 
           isSessionStarted: true, // New
-          currentQuestionIndex: 0, 
+          ...getQuestionStateFields(0),
           isResultShown: false, 
           allSuperlativesCompleted: false,
           // qrCodeTargetUrl: window.location.origin // Ensure this is set or remains default if admin changed it
@@ -528,7 +779,7 @@ export default function App() {
         try {
           // Re-fetch all superlatives to ensure we have `revealedWinnerData`
           // This assumes `revealedWinnerData` was stored by `handleRevealWinner`
-          const q = query(collection(db, SUPERLATIVES_COLLECTION), orderBy('order', 'asc'));
+          const q = query(eventCollection(SUPERLATIVES_COLLECTION), orderBy('order', 'asc'));
           const querySnapshot = await getDocs(q);
           const fullSuperlativesData = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
           
@@ -563,37 +814,13 @@ export default function App() {
     }
   }, [allSuperlativesCompleted, superlativesList.length]); // Rerun if completion state changes or initial list length changes
 
-  // Effect to play sound when winner is revealed
-  useEffect(() => {
-    const winners = getWinner(); // Calculate winners from memoized getWinner
-    const superlativeId = currentSuperlative?.id;
-    const defaultSoundUrl = '/sounds/default-winner-reveal.mp3'; // Default sound
-    
-    const customSoundUrl = currentSuperlative?.resultAnimation?.soundEffectUrl;
-    // Use custom sound if it's a non-empty string after trimming, otherwise use defaultSoundUrl.
-    const soundToPlay = (customSoundUrl && customSoundUrl.trim()) ? customSoundUrl.trim() : defaultSoundUrl;
-
-    if (superlativeId && winners && winners.length > 0) {
-      if (isResultShown && !soundPlayedForSuperlative.current[superlativeId]) {
-        // Play sound effect
-        const audio = new Audio(soundToPlay); 
-        audio.play().catch(error => console.error(`Error playing sound '${soundToPlay}':`, error)); // Enhanced logging
-        
-        soundPlayedForSuperlative.current[superlativeId] = true;
-      } else if (!isResultShown && soundPlayedForSuperlative.current[superlativeId]) {
-        // Reset if results are hidden again, allowing sound to play if re-revealed
-        soundPlayedForSuperlative.current[superlativeId] = false;
-      }
-    }
-    // If navigating away from a question for which sound status was tracked, 
-    // but then coming back, its state in soundPlayedForSuperlative.current will persist as intended.
-    // No specific cleanup needed for a superlativeId that is no longer current, its state remains until next interaction.
-  }, [isResultShown, getWinner, currentSuperlative]); // Added currentSuperlative to deps for resultAnimation check
+  // Play the reveal sound when the winner is revealed
+  useRevealSound({ superlative: currentSuperlative, isResultShown: isWinnerRevealed, hasWinner: Boolean(getWinner()?.length) });
 
   // --- Render Logic ---
   console.log("[DEBUG App.jsx] Render. userType:", userType);
 
-  if (isLoadingSuperlatives || isLoadingAppState) {
+  if (isLoadingAuth || isLoadingEvent || isLoadingSuperlatives || isLoadingAppState) {
     // console.log('[DEBUG] App State: isLoadingSuperlatives:', isLoadingSuperlatives, 'isLoadingAppState:', isLoadingAppState);
     return <div className="text-xl text-center mt-10">Loading Application...</div>;
   }
@@ -603,36 +830,31 @@ export default function App() {
   // console.log('[DEBUG] allSuperlativesCompleted:', allSuperlativesCompleted, 'currentQuestionIndex:', currentQuestionIndex);
   // console.log('[DEBUG] superlativesList length:', superlativesList.length, 'currentSuperlative (direct access for log):', superlativesList[currentQuestionIndex]);
 
+  if (isEventMissing) {
+    return (
+      <div className="max-w-lg mx-auto p-6 text-center mt-10">
+        <p className="text-xl text-gray-700 mb-4">This event could not be found. It may have been deleted, or the link is out of date.</p>
+        <button onClick={leaveEvent} className="bg-indigo-500 text-white py-2 px-4 rounded hover:bg-indigo-600 transition duration-150">
+          Choose an event
+        </button>
+      </div>
+    );
+  }
+
   // Always show LoginPage if user is not logged in
   if (!userId || !userType) {
-    return <LoginPage onLogin={handleLogin} />;
+    return <LoginPage onLogin={handleLogin} userId={userId} />;
   }
 
   // User is logged in. Now determine view based on userType and isSessionStarted.
   return (
     <>
-      <style>
-        {`
-          @keyframes inYourFaceAnimation {
-            0% { transform: scale(0.2); opacity: 0; }    /* Start smaller */
-            40% { transform: scale(2.2); opacity: 1; }  /* Pop bigger and earlier */
-            60% { transform: scale(0.8); }             /* Bounce back more significantly */
-            80% { transform: scale(1.1); }             /* Overshoot slightly */
-            100% { transform: scale(1); opacity: 1; }   /* Settle */
-          }
-          .animate-in-your-face {
-            animation-name: inYourFaceAnimation;
-            animation-duration: 1s;
-            animation-timing-function: cubic-bezier(0.34, 1.56, 0.64, 1);
-          }
-        `}
-      </style>
       <div className="max-w-xl mx-auto p-4 relative pb-20">
         {userType === 'admin' && !isSessionStarted && (
           // Admin Start Page (Session Not Started)
           <div className="max-w-lg mx-auto p-6 text-center">
             <div className="flex justify-between items-center mb-6">
-              <span className="text-sm text-gray-600">Admin: {userId.substring(0,8)}</span>
+              <span className="text-sm text-gray-600">Admin: {participantName || userId.substring(0,8)}</span>
               <div>
                 <button 
                   onClick={handleFullReset} 
@@ -643,20 +865,25 @@ export default function App() {
                     <path fillRule="evenodd" d="M4.755 10.059a7.5 7.5 0 0112.548-3.364l.908-.907a.75.75 0 01.9902.055l.75.75a.75.75 0 01-.055.99l-1.5 1.5a.75.75 0 01-1.06 0l-1.5-1.5a.75.75 0 01.055-.99l.908-.907A6.002 6.002 0 005.005 10.5a6 6 0 005.793 5.995V19.5a.75.75 0 01-.75.75H8.25a.75.75 0 01-.75-.75v-2.278A7.501 7.501 0 014.755 10.059zM19.245 13.941a7.5 7.5 0 01-12.548 3.364l-.908.907a.75.75 0 01-.9902-.055l-.75-.75a.75.75 0 01.055-.99l1.5-1.5a.75.75 0 011.06 0l1.5 1.5a.75.75 0 01-.055.99l-.908.907A6.002 6.002 0 0018.995 13.5a6 6 0 00-5.793-5.995V4.5a.75.75 0 01.75-.75h2.25a.75.75 0 01.75.75v2.278a7.501 7.501 0 01-4.755 6.662z" clipRule="evenodd" />
                   </svg>
                 </button>
+                <button onClick={leaveEvent} className="text-sm text-blue-500 hover:underline mr-3">Switch event</button>
                 <button onClick={handleLogout} className="text-sm text-blue-500 hover:underline">Logout</button>
               </div>
             </div>
-            <h1 className="text-3xl font-bold text-indigo-600 mb-4">Admin Dashboard</h1>
+            <h1 className="text-3xl font-bold text-indigo-600 mb-1">Admin Dashboard</h1>
+            <p className="text-lg text-gray-600 mb-4">{currentEvent?.name}</p>
             <p className="text-gray-700 mb-6">Session has not started. Share the QR code or link below for users to join the login page. Click "Start Voting Session" when ready.</p>
             <div className="flex justify-center mb-6">
               <img 
-                src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(qrCodeTargetUrl)}&size=250x250&format=png`} 
-                alt={`QR Code for ${qrCodeTargetUrl}`} 
+                src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(joinUrl)}&size=250x250&format=png`} 
+                alt={`QR Code for ${joinUrl}`} 
                 className="border-4 border-gray-300 rounded shadow-lg"
               />
             </div>
             <p className="text-gray-800 font-medium mb-1">Login Page URL:</p>
-            <a href={qrCodeTargetUrl} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline break-all">{qrCodeTargetUrl}</a>
+            <a href={joinUrl} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline break-all">{joinUrl}</a>
+            {currentEvent?.joinCode && (
+              <p className="text-gray-700 mt-3">Event code: <span className="font-mono font-bold text-lg tracking-widest">{currentEvent.joinCode}</span></p>
+            )}
             
             <div className="mt-8 pt-6 border-t border-gray-300">
               <h2 className="text-xl font-semibold text-gray-700 mb-3">Admin Controls</h2>
@@ -685,6 +912,10 @@ export default function App() {
                 Start Voting Session
               </button>
             </div>
+            <SuperlativeEditor superlatives={superlativesList} />
+            <SuperlativeImporter superlatives={superlativesList} />
+            <ParticipantsPanel />
+            <RosterManager joinUrl={joinUrl} />
           </div>
         )}
 
@@ -692,10 +923,10 @@ export default function App() {
           // Non-Admin Waiting Page (Session Not Started)
           <div className="max-w-lg mx-auto p-6 text-center">
              <div className="flex justify-between items-center mb-6">
-              <span className="text-sm text-gray-600">User: {userType} ({userId.substring(0,8)})</span>
+              <span className="text-sm text-gray-600">User: {userType} ({participantName || userId.substring(0,8)})</span>
               <button onClick={handleLogout} className="text-sm text-blue-500 hover:underline">Logout</button>
             </div>
-            <h1 className="text-2xl font-bold text-indigo-600 mb-4">Welcome, {userId.substring(0,8)}!</h1>
+            <h1 className="text-2xl font-bold text-indigo-600 mb-4">Welcome, {participantName || userId.substring(0,8)}!</h1>
             <p className="text-gray-700 text-lg">You have successfully logged in.</p>
             <p className="text-gray-600 mt-2">Please wait for the admin to start the voting session.</p>
             <div className="mt-8">
@@ -725,7 +956,14 @@ export default function App() {
               isLoadingFinalSummary ? (
                 <div className="text-xl text-center mt-10">Generating Final Results Summary...</div>
               ) : !finalSummaryData || Object.keys(finalSummaryData).length === 0 ? (
-                <div className="text-xl text-center mt-10">No winners to summarize, or still processing. Thanks for participating!</div>
+                <div className="text-xl text-center mt-10">
+                  No winners to summarize, or still processing. Thanks for participating!
+                  {userType === 'admin' && (
+                    <div className="flex justify-center mt-6 text-base">
+                      <ResultsExport superlatives={superlativesList} eventName={currentEvent?.name} />
+                    </div>
+                  )}
+                </div>
               ) : (
                 <div className="max-w-2xl mx-auto p-4">
                   <h1 className="text-3xl font-bold text-center mb-6 text-indigo-600">🏆 Final Results Summary 🏆</h1>
@@ -750,8 +988,11 @@ export default function App() {
                       </div>
                     ))}
                   </div>
+                  <ShareSummary summary={finalSummaryData} eventName={currentEvent?.name} participantName={participantName} />
                   {userType === 'admin' && (
                     <div className="text-center mt-8 flex flex-col items-center gap-4">
+                      <ResultsExport superlatives={superlativesList} eventName={currentEvent?.name} />
+                      <CertificateGenerator superlatives={superlativesList} eventName={currentEvent?.name} certificate={currentEvent?.certificate} />
                       <button 
                         onClick={handlePreviousQuestion} 
                         className="bg-gray-500 text-white py-2 px-4 rounded hover:bg-gray-600 transition duration-150 w-full sm:w-auto"
@@ -779,7 +1020,7 @@ export default function App() {
               <div className="text-xl text-center mt-10">
                 Thanks for participating! All superlatives completed. (Waiting for admin to show final summary)
               </div>
-            ) : currentSuperlative && typeof currentSuperlative.title === 'string' && Array.isArray(currentSuperlative.nominees) ? (
+            ) : currentSuperlative && typeof currentSuperlative.title === 'string' && (Array.isArray(currentSuperlative.nominees) || isNominationPhase) ? (
               <>
                 {(() => { 
                   // console.log('[DEBUG] Rendering: Main Question/Voting View. Superlative:', currentSuperlative);
@@ -788,246 +1029,60 @@ export default function App() {
                 <div className="current-superlative-view">
                   {(() => {
                     const winnerDetails = getWinner();
-                    if (isResultShown && winnerDetails && winnerDetails.length > 0) {
-                      const isActuallyTie = winnerDetails[0].isTie;
-
-                      // Default confetti settings
-                      let resolvedConfettiProps = {
-                        recycle: false,
-                        numberOfPieces: isActuallyTie ? 500 : 800, 
-                        width: dimensions.width,
-                        height: dimensions.height,
-                        // Reverted to sensible defaults for a central explosion
-                        origin: { x: 0.5, y: 0.5 }, 
-                        angle: 90,                  
-                        spread: 360,                
-                        startVelocity: 50,          
-                        gravity: 0.08,             
-                        scalar: 1.2,                
-                        drift: 0, // Changed global default drift to 0 to reduce flicker                 
-                        colors: ['#f44336', '#e91e63', '#9c27b0', '#673ab7', '#3f51b5', '#2196f3', '#03a9f4', '#00bcd4', '#009688', '#4CAF50', '#8BC34A', '#CDDC39', '#FFEB3B', '#FFC107', '#FF9800', '#FF5722', '#795548'],
-                      };
-
-                      // Helper function to draw a dollar sign
-                      const drawDollarSign = (ctx) => {
-                        const fontSize = 22; // Size of the dollar sign
-                        ctx.font = `bold ${fontSize}px Arial`;
-                        // react-confetti handles cycling through its `colors` prop for fillStyle
-                        const text = '$';
-                        const textMetrics = ctx.measureText(text);
-                        // Center the text. react-confetti draws from the center of the piece.
-                        const actualHeight = textMetrics.actualBoundingBoxAscent + textMetrics.actualBoundingBoxDescent;
-                        ctx.fillText(text, -textMetrics.width / 2, actualHeight / 2);
-                      };
-
-                      // Helper function to draw a "No Drinking" sign
-                      const drawNoDrinkingSign = (ctx) => {
-                        const size = 20; // Overall size of the symbol
-                        const lineWidth = 2.5;
-
-                        // Red circle
-                        ctx.beginPath();
-                        ctx.arc(0, 0, size / 2, 0, 2 * Math.PI, false);
-                        ctx.fillStyle = 'rgba(255, 0, 0, 0.8)'; // Semi-transparent red
-                        ctx.fill();
-                        ctx.lineWidth = lineWidth;
-                        ctx.strokeStyle = 'darkred';
-                        ctx.stroke();
-
-                        // Simple Martini Glass (white or light gray)
-                        ctx.beginPath();
-                        // Cup (inverted triangle)
-                        ctx.moveTo(-size / 5, -size / 5);
-                        ctx.lineTo(size / 5, -size / 5);
-                        ctx.lineTo(0, size / 8);
-                        ctx.closePath();
-                        // Stem
-                        ctx.moveTo(0, size / 8);
-                        ctx.lineTo(0, size / 3);
-                        // Base
-                        ctx.moveTo(-size / 6, size / 3);
-                        ctx.lineTo(size / 6, size / 3);
-                        
-                        ctx.strokeStyle = '#FFFFFF'; // White outline for glass
-                        ctx.lineWidth = lineWidth * 0.8;
-                        ctx.stroke();
-
-                        // Red slash (top-left to bottom-right)
-                        ctx.beginPath();
-                        ctx.moveTo(-size / 2 * 0.7, -size / 2 * 0.7);
-                        ctx.lineTo(size / 2 * 0.7, size / 2 * 0.7);
-                        ctx.strokeStyle = 'darkred';
-                        ctx.lineWidth = lineWidth * 1.2;
-                        ctx.stroke();
-                      };
-
-                      // Helper function to draw just an Airplane
-                      const drawAirplane = (ctx) => {
-                        const size = 22; // Overall size of the symbol
-                        const lineWidth = 2;
-                        ctx.lineWidth = lineWidth;
-                        ctx.fillStyle = 'rgba(75, 85, 99, 0.9)'; // Darker gray for airplane
-                        ctx.strokeStyle = '#333333'; 
-
-                        ctx.beginPath();
-                        // Fuselage
-                        ctx.moveTo(-size * 0.4, 0);
-                        ctx.lineTo(-size * 0.3, -size * 0.1);
-                        ctx.lineTo(size * 0.4, -size * 0.15);
-                        ctx.lineTo(size * 0.45, 0);
-                        ctx.lineTo(size * 0.4, size * 0.15);
-                        ctx.lineTo(-size * 0.3, size * 0.1);
-                        ctx.closePath();
-                        // Wing
-                        ctx.moveTo(-size * 0.15, -size * 0.1);
-                        ctx.lineTo(0, -size * 0.4);
-                        ctx.lineTo(size * 0.1, -size * 0.35);
-                        ctx.lineTo(size * 0.05, -size * 0.1);
-                        // Tail wing
-                        ctx.moveTo(-size * 0.35, 0);
-                        ctx.lineTo(-size * 0.45, -size * 0.2);
-                        ctx.lineTo(-size * 0.4, -size * 0.18);
-                        ctx.fill();
-                        ctx.stroke();
-                      };
-
-                      // Helper function to draw Flight Mode related symbols (Airplane, No Signal, No Wi-Fi)
-                      const drawFlightModeSymbols = (ctx) => {
-                        const size = 22; // Overall size of the symbol
-                        const lineWidth = 2;
-                        ctx.lineWidth = lineWidth;
-                        ctx.fillStyle = 'rgba(100, 100, 100, 0.8)'; // Default fill for symbols
-                        ctx.strokeStyle = '#333333'; // Default stroke for symbols
-
-                        const symbolType = Math.floor(Math.random() * 3); // 0: Airplane, 1: No Signal, 2: No Wi-Fi
-
-                        ctx.beginPath();
-
-                        if (symbolType === 0) { // Airplane
-                          ctx.fillStyle = 'rgba(75, 85, 99, 0.9)'; // Darker gray for airplane
-                          // Fuselage
-                          ctx.moveTo(-size * 0.4, 0);
-                          ctx.lineTo(-size * 0.3, -size * 0.1);
-                          ctx.lineTo(size * 0.4, -size * 0.15);
-                          ctx.lineTo(size * 0.45, 0);
-                          ctx.lineTo(size * 0.4, size * 0.15);
-                          ctx.lineTo(-size * 0.3, size * 0.1);
-                          ctx.closePath();
-                          // Wing
-                          ctx.moveTo(-size * 0.15, -size * 0.1);
-                          ctx.lineTo(0, -size * 0.4);
-                          ctx.lineTo(size * 0.1, -size * 0.35);
-                          ctx.lineTo(size * 0.05, -size * 0.1);
-                          // Tail wing
-                          ctx.moveTo(-size * 0.35, 0);
-                          ctx.lineTo(-size * 0.45, -size * 0.2);
-                          ctx.lineTo(-size * 0.4, -size * 0.18);
-                          ctx.fill();
-                          ctx.stroke();
-                        } else if (symbolType === 1) { // No Signal Bars
-                          const barWidth = size / 6;
-                          const barSpacing = size / 12;
-                          let currentX = -size / 2 + barWidth / 2;
-                          for (let i = 0; i < 4; i++) {
-                            const barHeight = (size / 2) * ((i + 1) / 4);
-                            ctx.rect(currentX, size / 2 - barHeight, barWidth, barHeight);
-                            currentX += barWidth + barSpacing;
-                          }
-                          ctx.fill();
-                          ctx.stroke();
-                          // Red X or Slash over signal bars (optional, can be part of a general "no" symbol)
-                          ctx.beginPath();
-                          ctx.moveTo(-size/2.5, -size/3);
-                          ctx.lineTo(size/2.5, size/3);
-                          ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
-                          ctx.lineWidth = lineWidth * 1.5;
-                          ctx.stroke();
-                        } else { // No Wi-Fi Symbol (crossed out)
-                          ctx.strokeStyle = 'rgba(0, 120, 255, 0.8)'; // Blue for Wi-Fi symbol
-                          for (let i = 0; i < 3; i++) {
-                            ctx.beginPath();
-                            const radius = (size / 3) * (i + 1) * 0.4;
-                            ctx.arc(0, size / 2.5, radius, Math.PI * 1.25, Math.PI * 1.75, false);
-                            ctx.stroke();
-                          }
-                           // Red slash
-                          ctx.beginPath();
-                          ctx.moveTo(-size / 2.2, size / 2.2); // from top-left of symbol bounds
-                          ctx.lineTo(size / 2.2, -size / 2.2); // to bottom-right of symbol bounds
-                          ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
-                          ctx.lineWidth = lineWidth * 1.5;
-                          ctx.stroke();
-                        }
-                      };
-
-                      if (currentSuperlative?.resultAnimation) {
-                        const customAnim = currentSuperlative.resultAnimation;
-                        resolvedConfettiProps.recycle = customAnim.recycle ?? resolvedConfettiProps.recycle;
-                        resolvedConfettiProps.numberOfPieces = customAnim.tieNumberOfPieces ?? customAnim.numberOfPieces ?? resolvedConfettiProps.numberOfPieces;
-
-                        if (customAnim.confettiShape === 'dollar') {
-                          resolvedConfettiProps.drawShape = drawDollarSign;
-                          resolvedConfettiProps.colors = customAnim.colors ?? ['#34D399', '#10B981', '#059669', '#047857']; 
-                        } else if (customAnim.confettiShape === 'noDrinkingSign') { // New shape
-                          resolvedConfettiProps.drawShape = drawNoDrinkingSign;
-                          // Colors for noDrinkingSign are mostly defined in the draw function, 
-                          // but you can override confetti piece colors if needed (e.g. for background pieces)
-                          resolvedConfettiProps.colors = customAnim.colors ?? ['#FF0000', '#FFFFFF']; // Example: Red and White pieces
-                        } else if (customAnim.confettiShape === 'flightModeSymbols') { // New flight mode symbols
-                          resolvedConfettiProps.drawShape = drawFlightModeSymbols;
-                          // Colors for background pieces, symbols have their own internal colors mostly
-                          resolvedConfettiProps.colors = customAnim.colors ?? ['#A0A0A0', '#606060', '#EAEAEA']; 
-                        } else if (customAnim.confettiShape === 'flyingAirplanes') { // New: Only flying airplanes
-                          resolvedConfettiProps.drawShape = drawAirplane;
-                          // For flying airplanes, we typically don't want other colored confetti dots
-                          // Force transparent colors for this specific shape to ensure no default confetti appears
-                          resolvedConfettiProps.colors = ['rgba(0,0,0,0)']; 
-                        } else if (customAnim.colors) {
-                           resolvedConfettiProps.colors = customAnim.colors;
-                        }
-                        resolvedConfettiProps.origin = customAnim.origin ?? resolvedConfettiProps.origin;
-                        resolvedConfettiProps.angle = customAnim.angle ?? resolvedConfettiProps.angle;
-                        resolvedConfettiProps.spread = customAnim.spread ?? resolvedConfettiProps.spread;
-                        resolvedConfettiProps.startVelocity = customAnim.startVelocity ?? resolvedConfettiProps.startVelocity;
-                        resolvedConfettiProps.gravity = customAnim.gravity ?? resolvedConfettiProps.gravity; 
-                        resolvedConfettiProps.scalar = customAnim.scalar ?? resolvedConfettiProps.scalar;
-                        resolvedConfettiProps.drift = customAnim.drift ?? resolvedConfettiProps.drift;
-                      }
-                      return <Confetti {...resolvedConfettiProps} />;
+                    if (isWinnerRevealed && winnerDetails && winnerDetails.length > 0) {
+                      return (
+                        <>
+                          <ResultConfetti superlative={currentSuperlative} isTie={winnerDetails[0].isTie} winners={winnerDetails} width={dimensions.width} height={dimensions.height} />
+                          <RevealEffects key={currentSuperlative.id} superlative={currentSuperlative} winners={winnerDetails} />
+                        </>
+                      );
                     }
                     return null;
                   })()}
                   <div className="flex justify-between items-center mb-2">
-                    <span className="text-sm text-gray-600">User: {userType} ({userId.substring(0,8)})</span>
+                    <span className="text-sm text-gray-600">User: {userType} ({participantName || userId.substring(0,8)})</span>
                     <button onClick={handleLogout} className="text-sm text-blue-500 hover:underline">Logout</button>
                   </div>
                   <h1 className="text-2xl font-bold text-center mb-4">{currentSuperlative.title}</h1>
+                  {!isResultShown && !isNominationPhase && <CountdownTimer endsAt={votingEndsAt} className="text-2xl mb-4" />}
                   {!isResultShown ? (
                     // Voting Phase
                     <div className="grid gap-4">
-                      {shuffledNominees.map((n) => (
-                        <label
-                          key={n.name}
-                          className={`flex items-center gap-4 border p-4 rounded hover:shadow ${isResultShown ? 'cursor-not-allowed opacity-70' : 'cursor-pointer'} ${localSelectedNominee === n.name ? 'ring-2 ring-blue-500 border-blue-500' : 'border-gray-300'}`}
-                        >
-                          <input type="radio" name={currentSuperlative.id} value={n.name} checked={localSelectedNominee === n.name} onChange={() => handleVote(n.name)} disabled={isResultShown || isVoting || !isSessionStarted} className="form-radio h-5 w-5 text-blue-600"/>
-                          <img 
-                            src={n.image || '/images/default-avatar.png'} 
-                            alt={n.name} 
-                            className="w-16 h-16 rounded-full object-cover" 
-                            onError={(e) => { e.target.style.display = 'none'; }}
-                          />
-                          <span className="text-lg font-medium">{n.name}</span>
-                        </label>
-                      ))}
-                      {userType === 'admin' && !isResultShown && !allSuperlativesCompleted && (
+                      {isNominationPhase ? (
+                        <NominationForm superlativeId={currentSuperlative.id} userId={userId} disabled={!isSessionStarted} />
+                      ) : (
+                        <VotingBallot
+                          superlativeId={currentSuperlative.id}
+                          nominees={shuffledNominees}
+                          voting={votingConfig}
+                          selectedChoices={localSelectedChoices}
+                          onSubmit={handleVote}
+                          disabled={isResultShown || isVoting || !isSessionStarted || isVotingClosed}
+                        />
+                      )}
+                      {userType === 'admin' && isNominationPhase && !allSuperlativesCompleted && (
+                        <NominationsPanel superlativeId={currentSuperlative.id} onFinalize={handleFinalizeNominees} />
+                      )}
+                      {userType === 'admin' && !isNominationPhase && !isResultShown && !allSuperlativesCompleted && (
                         <div className="mt-4 p-3 border rounded bg-gray-50">
                           <h3 className="text-md font-semibold text-gray-700 mb-1">Live Vote Status (Admin View):</h3>
                           {shuffledNominees.length > 0 ? (
                             <div className="text-sm text-gray-600">
                               Total Votes Cast: {totalRawVotesCount} 
+                              {needsRawBallots(votingConfig) && (
+                                <div className="text-xs text-gray-500">Showing first choices; the runoff is tallied on reveal.</div>
+                              )}
+                              {voteWeightsDescription && (
+                                <div className="text-xs text-gray-500">Weighting: {voteWeightsDescription}</div>
+                              )}
+                              {currentTallyResult && (
+                                <div className="mt-2">
+                                  <VoteChart rankings={currentTallyResult.rankings} unit={scoreUnit} showVoteCounts={Boolean(voteWeightsDescription)} />
+                                </div>
+                              )}
                             </div>
                           ) : <p className="text-sm text-gray-500">No nominees for this superlative.</p>}
+                          <ParticipantsPanel votedUserIds={votedUserIds} />
                         </div>
                       )}
                       {userType === 'admin' && !isResultShown && !allSuperlativesCompleted && (
@@ -1040,13 +1095,31 @@ export default function App() {
                               Previous Superlative
                             </button>
                           )}
-                          <button
-                            onClick={handleRevealWinner}
-                            disabled={Object.values(nomineeVoteStats).every(stats => stats.score === 0) && !localSelectedNominee} 
-                            className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 disabled:opacity-50 transition duration-150"
-                          >
-                            Reveal Winner
-                          </button>
+                          {!isNominationPhase && (
+                            <button
+                              onClick={handleRevealWinner}
+                              disabled={currentBallots.length === 0 && localSelectedChoices.length === 0} 
+                              className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 disabled:opacity-50 transition duration-150"
+                            >
+                              Reveal Winner
+                            </button>
+                          )}
+                          {!isNominationPhase && currentTimerSeconds && (votingEndsAt === null || isVotingClosed) && (
+                            <button
+                              onClick={handleStartTimer}
+                              className="bg-indigo-500 text-white py-2 px-4 rounded hover:bg-indigo-600 transition duration-150"
+                            >
+                              {votingEndsAt === null ? 'Start' : 'Restart'} {currentTimerSeconds}s Timer
+                            </button>
+                          )}
+                          {votingEndsAt !== null && !isVotingClosed && (
+                            <button
+                              onClick={handleStopTimer}
+                              className="bg-gray-500 text-white py-2 px-4 rounded hover:bg-gray-600 transition duration-150"
+                            >
+                              Stop Timer
+                            </button>
+                          )}
                           {currentQuestionIndex < superlativesList.length - 1 && (
                             <button 
                               onClick={nextQuestion} 
@@ -1057,33 +1130,97 @@ export default function App() {
                           )}
                         </div>
                       )}
-                      {userType !== 'admin' && !allSuperlativesCompleted && (<p className="text-center text-gray-600 mt-4">{localSelectedNominee ? "Your vote has been cast. Waiting for Admin to reveal winner." : "Please cast your vote."}</p>)}
+                      {userType !== 'admin' && !allSuperlativesCompleted && isNominationPhase && (<p className="text-center text-gray-600 mt-4">Voting opens once the admin closes nominations.</p>)}
+                      {userType !== 'admin' && !allSuperlativesCompleted && !isNominationPhase && (<p className="text-center text-gray-600 mt-4">{isVotingClosed ? "Voting has closed. Waiting for Admin to reveal winner." : localSelectedChoices.length > 0 ? "Your vote has been cast. Waiting for Admin to reveal winner." : "Please cast your vote."}</p>)}
                     </div>
                   ) : (
                     // Results Phase
-                    getWinner() && getWinner().length > 0 && (
+                    !displayedTallyResult ? (
                       <div className="text-center">
-                        <h2 className="text-xl font-semibold mb-4">🏆 {getWinner()[0].isTie ? "It's a Tie!" : `Winner: ${getWinner()[0].name}`} 🏆</h2>
-                        <div className={`flex ${getWinner().length > 1 ? 'justify-around' : 'justify-center'} items-start flex-wrap`}>
-                          {getWinner().map((w, index) => (
-                            <div key={index} className="text-center m-2 flex flex-col items-center">
-                              <img 
-                                src={w.image || '/images/default-avatar.png'} 
-                                alt={w.name} 
-                                className={`w-40 h-40 rounded-full mb-2 object-cover shadow-lg border-4 border-yellow-400 ${isResultShown ? 'animate-in-your-face' : ''}`} 
-                                onError={(e) => { e.target.style.display = 'none'; }}
+                        <p className="text-gray-600">Tallying the votes...</p>
+                        {userType === 'admin' && (
+                          <button
+                            onClick={handleRevealWinner}
+                            className="mt-4 text-sm text-blue-600 hover:underline"
+                          >
+                            Count again
+                          </button>
+                        )}
+                      </div>
+                    ) : !isWinnerRevealed ? (
+                      <div className="text-center">
+                        <StagedReveal steps={revealSteps} currentStep={currentRevealStep} unit={scoreUnit} drumrollSoundUrl={revealConfig.drumrollSoundUrl} />
+                        {userType === 'admin' && (
+                          <div className="mt-8 flex justify-center gap-2 flex-wrap">
+                            <button
+                              onClick={() => handleSetRevealStep(currentRevealStep + 1)}
+                              className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 transition duration-150"
+                            >
+                              {(() => {
+                                const nextStep = revealSteps[currentRevealStep + 1];
+                                if (nextStep.type === 'runnerUp') return `Reveal ${getPlaceLabel(nextStep.rank)} Place`;
+                                if (nextStep.type === 'drumroll') return 'Drumroll...';
+                                return 'Reveal Winner!';
+                              })()}
+                            </button>
+                            <button
+                              onClick={() => handleSetRevealStep(revealSteps.length - 1)}
+                              className="bg-gray-500 text-white py-2 px-4 rounded hover:bg-gray-600 transition duration-150"
+                            >
+                              Skip to Winner
+                            </button>
+                          </div>
+                        )}
+                        {userType === 'admin' && revealConfig.stepSeconds && (
+                          <p className="mt-2 text-sm text-gray-500">Advancing every {revealConfig.stepSeconds}s.</p>
+                        )}
+                      </div>
+                    ) : (
+                      <div className="text-center">
+                        {getWinner() ? (
+                          <>
+                            <h2 className="text-xl font-semibold mb-4">🏆 {getWinner()[0].isTie ? "It's a Tie!" : `Winner: ${getWinner()[0].name}`} 🏆</h2>
+                            <div className={`flex ${getWinner().length > 1 ? 'justify-around' : 'justify-center'} items-start flex-wrap`}>
+                              {getWinner().map((w, index) => (
+                                <div key={index} className="text-center m-2 flex flex-col items-center">
+                                  <img 
+                                    src={w.image || '/images/default-avatar.png'} 
+                                    alt={w.name} 
+                                    className={`w-40 h-40 rounded-full mb-2 object-cover shadow-lg border-4 border-yellow-400 ${isResultShown ? 'animate-in-your-face' : ''}`} 
+                                    onError={(e) => { e.target.style.display = 'none'; }}
+                                  />
+                                  {(getWinner()[0].isTie || getWinner().length > 1) && (<div className="text-lg font-medium mt-1">{w.name}</div>)}
+                                  <div className="text-md font-semibold">{w.count} {scoreUnit}</div>
+                                </div>
+                              ))}
+                            </div>
+                            <p className="mt-4 text-sm text-gray-600">{describeVotingMethod(votingConfig)} {describeDecision(displayedTallyResult)}</p>
+                            <div className="mt-6 mb-6">
+                              <h3 className="text-lg font-semibold text-gray-700 mb-2">Final Vote Tally:</h3>
+                              {voteWeightsDescription && (
+                                <p className="text-sm text-gray-500 mb-2">Weighted voting: {voteWeightsDescription}</p>
+                              )}
+                              <VoteChart
+                                key={currentSuperlative.id}
+                                rankings={displayedTallyResult.rankings}
+                                unit={scoreUnit}
+                                winnerNames={displayedTallyResult.winners.map(w => w.name)}
+                                showVoteCounts={Boolean(voteWeightsDescription)}
+                                animateIn
                               />
-                              {(getWinner()[0].isTie || getWinner().length > 1) && (<div className="text-lg font-medium mt-1">{w.name}</div>)}
-                              <div className="text-md font-semibold">{w.count} vote(s)</div>
+                              {displayedTallyResult.rounds?.length > 1 && (
+                                <ol className="mt-3 text-sm text-gray-500 space-y-0.5">
+                                  {displayedTallyResult.rounds.map((round, index) => round.eliminated.length > 0 && (
+                                    <li key={index}>Round {index + 1}: {round.eliminated.join(', ')} eliminated</li>
+                                  ))}
+                                </ol>
+                              )}
                             </div>
-                          ))}
-                        </div>
-                        <div className="mt-6 mb-6">
-                          <h3 className="text-lg font-semibold text-gray-700 mb-2">Final Vote Tally:</h3>
-                          <ul className="list-none p-0 space-y-1">
-                            {shuffledNominees.map(nominee => (<li key={nominee.name} className="text-gray-600">{nominee.name}: <span className="font-semibold">{nomineeVoteStats[nominee.name]?.score || 0} vote(s)</span></li>))}
-                          </ul>
-                        </div>
+                          </>
+                        ) : (
+                          // Nobody voted: nothing to celebrate, but the admin still needs the controls below
+                          <p className="text-xl text-gray-600 mb-6">{describeDecision(displayedTallyResult)}</p>
+                        )}
                         {userType === 'admin' && isResultShown && !allSuperlativesCompleted && (
                           <div className="mt-6 flex flex-col sm:flex-row justify-center gap-2 items-center flex-wrap">
                             {currentQuestionIndex > 0 && (<button onClick={handlePreviousQuestion} className="bg-gray-500 text-white py-2 px-4 rounded hover:bg-gray-600 transition duration-150">Previous Question</button>)}
@@ -1123,13 +1260,17 @@ export default function App() {
           </>
         )}
 
+        {userType === 'admin' && isSessionStarted && isEditingSuperlatives && (
+          <SuperlativeEditor superlatives={superlativesList} currentSuperlativeId={currentSuperlative?.id ?? null} />
+        )}
+
         {/* Persistent Pinned Admin Tools - Shown only if session started and not in final summary */}
         {userType === 'admin' && isSessionStarted && !allSuperlativesCompleted && (
           <div className="fixed bottom-4 left-4 bg-gray-800 bg-opacity-80 text-white p-3 rounded-lg shadow-xl z-50 flex flex-col items-start gap-3 w-auto max-w-xs">
             <div className="text-center self-start">
               <p className="text-xs mb-1">QR to Join/View:</p>
               <img 
-                src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(qrCodeTargetUrl)}&size=80x80&format=png&bgcolor=4A5568&color=FFFFFF&qzone=1`}
+                src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(joinUrl)}&size=80x80&format=png&bgcolor=4A5568&color=FFFFFF&qzone=1`}
                 alt="QR Code" 
                 className="w-20 h-20 rounded border-2 border-gray-500"
               />
@@ -1173,6 +1314,36 @@ export default function App() {
                 </div>
               </div>
             )}
+            <a href={`/display?event=${encodeURIComponent(getCurrentEventId())}`} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-300 hover:underline">Open big-screen display ↗</a>
+            <button onClick={() => setIsEditingSuperlatives(prev => !prev)} className="text-xs text-blue-300 hover:underline">
+              {isEditingSuperlatives ? 'Hide superlative editor' : 'Edit superlatives'}
+            </button>
+            {/* Session-wide voting timer settings (a superlative's own timer.seconds takes precedence) */}
+            <div className="w-full text-xs">
+              <label htmlFor="admin-timer-seconds" className="block mb-1">Timer (seconds, blank = off):</label>
+              <input
+                type="number"
+                id="admin-timer-seconds"
+                min="1"
+                value={adminTimerSecondsInput}
+                onChange={(e) => setAdminTimerSecondsInput(e.target.value)}
+                onBlur={() => {
+                  const seconds = parseInt(adminTimerSecondsInput, 10);
+                  const newTimerSeconds = !isNaN(seconds) && seconds > 0 ? seconds : null;
+                  if (newTimerSeconds !== sessionTimerSeconds) handleUpdateTimerSettings({ timerSeconds: newTimerSeconds });
+                }}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                className="w-full px-2 py-1 text-sm text-gray-900 rounded border-gray-300 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <label className="flex items-center gap-1 mt-1">
+                <input type="checkbox" checked={timerAutoStart} onChange={(e) => handleUpdateTimerSettings({ timerAutoStart: e.target.checked })} />
+                Start timer with each superlative
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={timerAutoReveal} onChange={(e) => handleUpdateTimerSettings({ timerAutoReveal: e.target.checked })} />
+                Reveal winner when time runs out
+              </label>
+            </div>
              {/* Button to end session and show final summary, accessible from persistent tools */}
             {superlativesList.length > 0 && (
                 <button 
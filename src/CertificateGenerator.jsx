@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { downloadFile } from './resultsExport';
+import {
+  CERTIFICATE_TEMPLATES,
+  PAPER_SIZES,
+  getCertificateSettings,
+  saveCertificateSettings,
+  getCertificateEntries,
+  renderCertificate,
+  certificateToPng,
+  certificatesToPdf,
+} from './certificates';
+
+const inputClassName = "block w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+const TEXT_FIELDS = [
+  { key: 'heading', label: 'Heading' },
+  { key: 'intro', label: 'Line above the name' },
+  { key: 'body', label: 'Line above the superlative' },
+  { key: 'footer', label: 'Footer' },
+  { key: 'signature', label: 'Signature line (blank = none)' },
+];
+
+const toFileName = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Admin certificate generator on the final summary: one certificate per revealed winner, from an
+// editable template saved on the event. Everything is drawn and saved in the browser.
+export default function CertificateGenerator({ superlatives, eventName, certificate }) {
+  const [settings, setSettings] = useState(() => getCertificateSettings(certificate));
+  const [selectedKey, setSelectedKey] = useState('');
+  const [format, setFormat] = useState('pdf');
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    setSettings(getCertificateSettings(certificate));
+  }, [certificate]);
+
+  const entries = getCertificateEntries(superlatives);
+  const selectedEntry = entries.find(e => e.key === selectedKey) || entries[0];
+
+  useEffect(() => {
+    if (!selectedEntry) return;
+    let isCancelled = false;
+    renderCertificate(selectedEntry, settings, eventName).then(canvas => {
+      if (!isCancelled) setPreviewUrl(canvas.toDataURL('image/jpeg', 0.7));
+    }).catch(error => console.error("Error drawing certificate preview:", error));
+    return () => { isCancelled = true; };
+    // selectedEntry is rebuilt every render; its key identifies it
+  }, [selectedEntry?.key, settings, eventName]);
+
+  const updateSettings = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    try {
+      await saveCertificateSettings(settings);
+    } catch (error) {
+      console.error("Error saving certificate template:", error);
+      alert("Failed to save the certificate template.");
+    }
+  };
+
+  const handleDownload = async (entriesToDownload) => {
+    setIsWorking(true);
+    try {
+      const canvases = [];
+      for (const entry of entriesToDownload) {
+        canvases.push(await renderCertificate(entry, settings, eventName));
+      }
+      const baseName = entriesToDownload.length === 1
+        ? `certificate-${toFileName(entriesToDownload[0].name)}-${toFileName(entriesToDownload[0].superlative)}`
+        : `certificates-${toFileName(eventName || 'event')}`;
+      if (format === 'pdf') {
+        downloadFile(`${baseName}.pdf`, await certificatesToPdf(canvases, settings.paperSize), 'application/pdf');
+      } else {
+        // One file per certificate; the browser may ask once to allow several downloads
+        for (let i = 0; i < canvases.length; i++) {
+          const entry = entriesToDownload[i];
+          downloadFile(`certificate-${toFileName(entry.name)}-${toFileName(entry.superlative)}.png`, await certificateToPng(canvases[i]), 'image/png');
+        }
+      }
+    } catch (error) {
+      console.error("Error generating certificates:", error);
+      alert("Failed to generate the certificates.");
+    }
+    setIsWorking(false);
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-2xl bg-white shadow rounded-lg p-4 text-left">
+      <h3 className="font-semibold text-gray-700 mb-1 text-center">Award Certificates</h3>
+      <p className="text-xs text-gray-500 mb-3 text-center">
+        One per revealed winner. Text can use {'{name}'}, {'{superlative}'}, {'{event}'} and {'{date}'}.
+      </p>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <label className="text-xs text-gray-600">
+          Template
+          <select value={settings.templateId} onChange={(e) => updateSettings({ templateId: e.target.value })} className={inputClassName}>
+            {CERTIFICATE_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Paper
+          <select value={settings.paperSize} onChange={(e) => updateSettings({ paperSize: e.target.value })} className={inputClassName}>
+            {Object.entries(PAPER_SIZES).map(([id, paper]) => <option key={id} value={id}>{paper.label} (landscape)</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Accent color
+          <input type="color" value={settings.accentColor} onChange={(e) => updateSettings({ accentColor: e.target.value })} className="block w-full h-8" />
+        </label>
+        <label className="text-xs text-gray-600">
+          Date (blank = today)
+          <input type="text" value={settings.date} onChange={(e) => updateSettings({ date: e.target.value })} placeholder="June 14, 2025" className={inputClassName} />
+        </label>
+        {TEXT_FIELDS.map(field => (
+          <label key={field.key} className="text-xs text-gray-600 col-span-2">
+            {field.label}
+            <input type="text" value={settings[field.key]} onChange={(e) => updateSettings({ [field.key]: e.target.value })} className={inputClassName} />
+          </label>
+        ))}
+      </div>
+      <button onClick={handleSave} className="text-sm text-blue-500 hover:underline mb-3">Save template for this event</button>
+
+      <label className="block text-xs text-gray-600 mb-2">
+        Preview
+        <select value={selectedEntry.key} onChange={(e) => setSelectedKey(e.target.value)} className={inputClassName}>
+          {entries.map(entry => (
+            <option key={entry.key} value={entry.key}>{entry.name} — {entry.superlative}{entry.isTie ? ' (tie)' : ''}</option>
+          ))}
+        </select>
+      </label>
+      {previewUrl && <img src={previewUrl} alt={`Certificate for ${selectedEntry.name}`} className="w-full border rounded shadow-sm mb-3" />}
+
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md text-sm">
+          <option value="pdf">PDF</option>
+          <option value="png">PNG</option>
+        </select>
+        <button
+          disabled={isWorking}
+          onClick={() => handleDownload([selectedEntry])}
+          className="bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          Download this one
+        </button>
+        <button
+          disabled={isWorking}
+          onClick={() => handleDownload(entries)}
+          className="bg-indigo-600 text-white py-1 px-3 rounded hover:bg-indigo-700 text-sm disabled:opacity-50"
+        >
+          {isWorking ? 'Generating...' : `Download all (${entries.length})`}
+        </button>
+      </div>
+    </div>
+  );
+}
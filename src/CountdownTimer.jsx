@@ -0,0 +1,17 @@
+import React from 'react';
+import { useCountdown, formatCountdown } from './timer';
+
+// Countdown to the end of a timed voting round; renders nothing when no timer is running.
+export default function CountdownTimer({ endsAt, className = '', colorClassName = 'text-gray-800' }) {
+  const remainingSeconds = useCountdown(endsAt);
+  if (remainingSeconds === null) return null;
+
+  if (remainingSeconds === 0) {
+    return <div className={`text-center font-semibold text-red-600 ${className}`}>Voting closed</div>;
+  }
+  return (
+    <div className={`text-center font-mono font-bold ${remainingSeconds <= 10 ? 'text-red-600 animate-pulse' : colorClassName} ${className}`}>
+      ⏱ {formatCountdown(remainingSeconds)}
+    </div>
+  );
+}
@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { auth } from './firebase';
+import { onSnapshot, orderBy, query } from 'firebase/firestore';
+import { signInAnonymously, onAuthStateChanged } from 'firebase/auth';
+import { STATE_COLLECTION, CURRENT_STATE_DOC, SUPERLATIVES_COLLECTION } from './appState';
+import { eventDoc, eventCollection, getEventUrl } from './events';
+import { subscribeToBallots } from './votes';
+import { aggregateVotes, rankNominees, getVotingConfig, fromRevealedResults, getScoreUnit } from './tally';
+import { isNominationRound } from './nominations';
+import { PARTICIPANTS_COLLECTION, HEARTBEAT_INTERVAL_MS, isParticipantOnline } from './participants';
+import { getVotingEndsAt } from './timer';
+import CountdownTimer from './CountdownTimer';
+import VoteChart from './VoteChart';
+import ResultConfetti from './ResultConfetti';
+import RevealEffects from './RevealEffects';
+import StagedReveal from './StagedReveal';
+import { getRevealConfig, getRevealSteps } from './reveal';
+import { useRevealSound } from './revealSound';
+
+// Read-only big-screen view for the projector, served at /display. It follows
+// the current event's state doc and never logs in as a voter or shows admin controls.
+export default function Display() {
+  const [appState, setAppState] = useState(null);
+  const [superlativesList, setSuperlativesList] = useState([]);
+  const [currentBallots, setCurrentBallots] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [isSignedIn, setIsSignedIn] = useState(false);
+  const [isSoundEnabled, setIsSoundEnabled] = useState(false); // Browsers only allow audio after a click
+  const [dimensions, setDimensions] = useState({ width: window.innerWidth, height: window.innerHeight });
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), (docSnap) => {
+      setAppState(docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : {});
+    }, (error) => {
+      console.error("Error subscribing to app state:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    const q = query(eventCollection(SUPERLATIVES_COLLECTION), orderBy('order', 'asc'));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setSuperlativesList(querySnapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Error subscribing to superlatives:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Participants are only readable when signed in; an anonymous session is enough and never registers as a voter
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      setIsSignedIn(Boolean(user));
+      if (!user) {
+        signInAnonymously(auth).catch(error => console.error("Error signing in anonymously:", error));
+      }
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!isSignedIn) return;
+    const unsubscribe = onSnapshot(eventCollection(PARTICIPANTS_COLLECTION), (querySnapshot) => {
+      setParticipants(querySnapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(p => !p.removed));
+    }, (error) => {
+      console.error("Error subscribing to participants:", error);
+    });
+    return () => unsubscribe();
+  }, [isSignedIn]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), HEARTBEAT_INTERVAL_MS / 2);
+    const updateDimensions = () => setDimensions({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', updateDimensions);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('resize', updateDimensions);
+    };
+  }, []);
+
+  const currentSuperlative = superlativesList[appState?.currentQuestionIndex || 0];
+  const isResultShown = appState?.isResultShown || false;
+
+  useEffect(() => {
+    setCurrentBallots([]);
+    if (!currentSuperlative?.id) return;
+    const unsubscribe = subscribeToBallots(currentSuperlative.id, setCurrentBallots, (error) => {
+      console.error("Error subscribing to tally:", error);
+    });
+    return () => unsubscribe();
+  }, [currentSuperlative?.id]);
+
+  // Same rules as the voting app: once results are shown, only the admin's revealedResults count
+  const votingConfig = useMemo(() => getVotingConfig(currentSuperlative), [currentSuperlative]);
+  const revealConfig = useMemo(() => getRevealConfig(currentSuperlative), [currentSuperlative]);
+  const result = useMemo(() => {
+    if (!currentSuperlative || !Array.isArray(currentSuperlative.nominees)) return null;
+    if (isResultShown) return currentSuperlative.revealedResults ? fromRevealedResults(currentSuperlative.revealedResults) : null;
+    const stats = aggregateVotes(currentSuperlative.nominees, currentBallots, { voting: votingConfig });
+    return rankNominees(currentSuperlative.nominees, stats, { tieBreakers: currentSuperlative.tieBreakers });
+  }, [currentSuperlative, currentBallots, isResultShown, votingConfig]);
+  const revealSteps = useMemo(() => getRevealSteps(result, revealConfig), [result, revealConfig]);
+  const currentRevealStep = Math.min(appState?.revealStep || 0, revealSteps.length - 1);
+  const isWinnerRevealed = isResultShown && Boolean(result) && revealSteps[currentRevealStep].type === 'winner';
+  const winners = isWinnerRevealed ? result.winners : [];
+  const scoreUnit = getScoreUnit(votingConfig);
+
+  useRevealSound({ superlative: currentSuperlative, isResultShown: isWinnerRevealed, hasWinner: winners.length > 0, isEnabled: isSoundEnabled });
+
+  const joinUrl = getEventUrl(appState?.qrCodeTargetUrl || window.location.origin);
+  const onlineCount = participants.filter(p => isParticipantOnline(p, now)).length;
+  const votesCast = currentBallots.length;
+  const turnoutPercent = onlineCount > 0 ? Math.min(Math.round((votesCast / onlineCount) * 100), 100) : 0;
+
+  const renderJoinQr = (size) => (
+    <div className="flex flex-col items-center">
+      <img
+        src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(joinUrl)}&size=${size}x${size}&format=png&qzone=1`}
+        alt="QR code to join"
+        className="rounded-lg bg-white p-2"
+        style={{ width: size, height: size }}
+      />
+      <p className="mt-2 text-lg text-gray-300 break-all">{joinUrl}</p>
+    </div>
+  );
+
+  let content;
+  if (!appState) {
+    content = <p className="text-4xl text-center mt-40">Loading...</p>;
+  } else if (!appState.isSessionStarted) {
+    content = (
+      <div className="flex flex-col items-center justify-center min-h-screen gap-8">
+        <h1 className="text-7xl font-bold">Graduation Superlatives</h1>
+        <p className="text-3xl text-gray-300">Scan to join. We'll start soon!</p>
+        {renderJoinQr(320)}
+        {isSignedIn && <p className="text-2xl text-gray-400">{onlineCount} online</p>}
+      </div>
+    );
+  } else if (appState.allSuperlativesCompleted) {
+    content = (
+      <div className="p-12">
+        <h1 className="text-6xl font-bold text-center mb-12">🎓 And the winners are... 🎓</h1>
+        <div className="grid grid-cols-2 xl:grid-cols-3 gap-8">
+          {superlativesList.filter(s => Array.isArray(s.revealedWinnerData) && s.revealedWinnerData.length > 0).map(s => (
+            <div key={s.id} className="bg-gray-800 rounded-xl p-6 flex items-center gap-6">
+              <img
+                src={s.revealedWinnerData[0].image || '/images/default-avatar.png'}
+                alt={s.revealedWinnerData[0].name}
+                className="w-24 h-24 rounded-full object-cover border-4 border-yellow-400"
+                onError={(e) => { e.target.style.display = 'none'; }}
+              />
+              <div>
+                <p className="text-xl text-gray-400">{s.title}</p>
+                <p className="text-3xl font-semibold">{s.revealedWinnerData.map(w => w.name).join(' & ')}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  } else if (!currentSuperlative) {
+    content = <p className="text-4xl text-center mt-40">Waiting for the next superlative...</p>;
+  } else if (isResultShown) {
+    content = (
+      <div className="flex flex-col items-center justify-center min-h-screen p-12">
+        {winners.length > 0 && (
+          <>
+            <ResultConfetti superlative={currentSuperlative} isTie={result.isTie} winners={winners} width={dimensions.width} height={dimensions.height} />
+            <RevealEffects key={currentSuperlative.id} superlative={currentSuperlative} winners={winners} />
+          </>
+        )}
+        <p className="text-4xl text-gray-300 mb-4">{currentSuperlative.title}</p>
+        {!result ? (
+          <p className="text-5xl">Tallying the votes...</p>
+        ) : !isWinnerRevealed ? (
+          <StagedReveal
+            steps={revealSteps}
+            currentStep={currentRevealStep}
+            unit={scoreUnit}
+            drumrollSoundUrl={revealConfig.drumrollSoundUrl}
+            playSound={isSoundEnabled}
+            large
+          />
+        ) : winners.length === 0 ? (
+          <p className="text-5xl">No votes were cast.</p>
+        ) : (
+          <>
+            <h1 className="text-7xl font-bold mb-12">🏆 {result.isTie ? "It's a Tie!" : winners[0].name} 🏆</h1>
+            <div className="flex justify-center gap-16 flex-wrap">
+              {winners.map(w => (
+                <div key={w.name} className="flex flex-col items-center">
+                  <img
+                    src={w.image || '/images/default-avatar.png'}
+                    alt={w.name}
+                    className="w-80 h-80 rounded-full object-cover shadow-2xl border-8 border-yellow-400 animate-in-your-face"
+                    onError={(e) => { e.target.style.display = 'none'; }}
+                  />
+                  {result.isTie && <p className="text-4xl font-semibold mt-6">{w.name}</p>}
+                </div>
+              ))}
+            </div>
+            <div className="w-full max-w-4xl mt-16 text-xl">
+              <VoteChart
+                key={currentSuperlative.id}
+                rankings={result.rankings}
+                unit={scoreUnit}
+                winnerNames={winners.map(w => w.name)}
+                animateIn
+                dark
+              />
+            </div>
+          </>
+        )}
+      </div>
+    );
+  } else {
+    const votingEndsAt = getVotingEndsAt(appState.votingStartedAt, appState.votingDurationSeconds);
+    const isNominationPhase = isNominationRound(currentSuperlative);
+    const nominees = currentSuperlative.nominees || [];
+    content = (
+      <div className="flex min-h-screen">
+        <div className="flex-1 p-12 flex flex-col">
+          <h1 className="text-6xl font-bold text-center mb-6">{currentSuperlative.title}</h1>
+          <CountdownTimer endsAt={votingEndsAt} colorClassName="text-white" className="text-6xl mb-6" />
+          {isNominationPhase ? (
+            <p className="text-4xl text-center text-gray-300 mt-20">Nominations are open. Send in your suggestions!</p>
+          ) : (
+            <div className={`grid gap-10 flex-1 content-center ${nominees.length > 6 ? 'grid-cols-4' : 'grid-cols-3'}`}>
+              {nominees.map(n => (
+                <div key={n.name} className="flex flex-col items-center">
+                  <img
+                    src={n.image || '/images/default-avatar.png'}
+                    alt={n.name}
+                    className="w-48 h-48 rounded-full object-cover border-4 border-gray-600"
+                    onError={(e) => { e.target.style.display = 'none'; }}
+                  />
+                  <p className="text-3xl font-medium mt-4 text-center">{n.name}</p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <aside className="w-96 bg-gray-800 p-8 flex flex-col items-center justify-center gap-10">
+          {renderJoinQr(260)}
+          {!isNominationPhase && (
+            <div className="w-full text-center">
+              <p className="text-6xl font-bold">{votesCast}</p>
+              <p className="text-2xl text-gray-300">vote(s) cast</p>
+              {isSignedIn && onlineCount > 0 && (
+                <>
+                  <div className="w-full h-4 bg-gray-700 rounded-full mt-4 overflow-hidden">
+                    <div className="h-full bg-green-500 transition-all duration-500" style={{ width: `${turnoutPercent}%` }} />
+                  </div>
+                  <p className="text-xl text-gray-400 mt-2">{turnoutPercent}% of {onlineCount} online</p>
+                </>
+              )}
+            </div>
+          )}
+        </aside>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white overflow-hidden">
+      {content}
+      {!isSoundEnabled && (
+        <button
+          onClick={() => setIsSoundEnabled(true)}
+          className="fixed bottom-4 right-4 bg-gray-700 hover:bg-gray-600 text-white text-sm py-2 px-4 rounded-full"
+        >
+          🔇 Click to enable sound
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { db } from './firebase';
+import { collection, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { EVENTS_COLLECTION, createEvent, openEvent } from './events';
+
+// Admin event picker: open an existing event, or create one (blank or from another event as a template).
+export default function EventManager({ onLogout }) {
+  const [events, setEvents] = useState([]);
+  const [nameInput, setNameInput] = useState('');
+  const [templateEventId, setTemplateEventId] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    const q = query(collection(db, EVENTS_COLLECTION), orderBy('createdAt', 'desc'));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setEvents(querySnapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Error subscribing to events:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!nameInput.trim()) return;
+    setIsCreating(true);
+    try {
+      const eventId = await createEvent({ name: nameInput, templateEventId: templateEventId || null });
+      openEvent(eventId);
+    } catch (error) {
+      console.error("Error creating event:", error);
+      alert("Failed to create the event.");
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="max-w-lg mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold text-indigo-600">Events</h1>
+        <button onClick={onLogout} className="text-sm text-blue-500 hover:underline">Logout</button>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-gray-600 mb-6">No events yet. Create one below.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white mb-8">
+          {events.map(e => (
+            <li key={e.id} className="flex items-center justify-between p-3">
+              <div>
+                <p className="font-medium text-gray-800">{e.name}</p>
+                <p className="text-xs text-gray-500">
+                  Code <span className="font-mono">{e.joinCode}</span>
+                  {e.createdAt && ` · created ${e.createdAt.toDate().toLocaleDateString()}`}
+                </p>
+              </div>
+              <button
+                onClick={() => openEvent(e.id)}
+                className="bg-indigo-500 text-white text-sm py-1 px-3 rounded hover:bg-indigo-600 transition duration-150"
+              >
+                Open
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+        <h2 className="text-xl font-semibold text-gray-700 mb-3">Create event</h2>
+        <input
+          type="text"
+          value={nameInput}
+          onChange={(e) => setNameInput(e.target.value)}
+          placeholder="Event name, e.g. Class of 2026"
+          className="block w-full px-3 py-2 border border-gray-300 rounded-md mb-3 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <label htmlFor="templateEvent" className="block text-sm font-medium text-gray-700 mb-1">Start from</label>
+        <select
+          id="templateEvent"
+          value={templateEventId}
+          onChange={(e) => setTemplateEventId(e.target.value)}
+          className="block w-full px-3 py-2 border border-gray-300 rounded-md mb-1"
+        >
+          <option value="">Blank event</option>
+          {events.map(e => <option key={e.id} value={e.id}>Copy of {e.name}</option>)}
+        </select>
+        <p className="text-xs text-gray-500 mb-3">A copy takes the template's superlatives and timer settings, without its roster, votes or results.</p>
+        <button
+          type="submit"
+          disabled={isCreating || !nameInput.trim()}
+          className="bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition duration-150 disabled:opacity-50"
+        >
+          {isCreating ? 'Creating...' : 'Create Event'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { auth } from './firebase';
+import { onAuthStateChanged, signOut } from 'firebase/auth';
+import { isAdminUser } from './adminAuth';
+import { resolveJoinCode, openEvent } from './events';
+import LoginPage from './LoginPage';
+import EventManager from './EventManager';
+
+// Shown when no event has been picked yet (see events.js). Voters enter the event code they were
+// given; admins sign in and pick or create an event.
+export default function EventPicker() {
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [isLoadingAuth, setIsLoadingAuth] = useState(true);
+  const [isAdminSignIn, setIsAdminSignIn] = useState(false);
+  const [joinCodeInput, setJoinCodeInput] = useState('');
+  const [joinError, setJoinError] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      setIsAdmin(await isAdminUser(user));
+      setIsLoadingAuth(false);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleJoin = async (event) => {
+    event.preventDefault();
+    setJoinError('');
+    setIsJoining(true);
+    try {
+      openEvent(await resolveJoinCode(joinCodeInput));
+    } catch (error) {
+      console.error("Error looking up event code:", error);
+      setJoinError(error.message);
+      setIsJoining(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await signOut(auth);
+    } catch (error) {
+      console.error("Error signing out admin:", error);
+    }
+    setIsAdminSignIn(false);
+  };
+
+  if (isLoadingAuth) {
+    return <div className="text-xl text-center mt-10">Loading Application...</div>;
+  }
+
+  if (isAdmin) {
+    return <EventManager onLogout={handleLogout} />;
+  }
+
+  if (isAdminSignIn) {
+    return <LoginPage initialStep="adminLogin" onBack={() => setIsAdminSignIn(false)} />;
+  }
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100">
+      <form onSubmit={handleJoin} className="p-8 bg-white shadow-md rounded-lg w-full max-w-md">
+        <h1 className="text-3xl font-bold text-center mb-4 text-gray-700">Welcome to Graduation Superlatives!</h1>
+        <p className="text-center text-gray-600 mb-6">Enter the event code from the big screen, or scan its QR code.</p>
+        <input
+          type="text"
+          value={joinCodeInput}
+          onChange={(e) => setJoinCodeInput(e.target.value)}
+          placeholder="Event code"
+          autoCapitalize="characters"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 font-mono text-center text-xl tracking-widest uppercase focus:ring-blue-500 focus:border-blue-500"
+        />
+        {joinError && <p className="text-sm text-red-600 mb-4">{joinError}</p>}
+        <button
+          type="submit"
+          disabled={isJoining || !joinCodeInput.trim()}
+          className="w-full bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-3 px-6 rounded-lg text-lg transition duration-150 disabled:opacity-50"
+        >
+          {isJoining ? 'Joining...' : 'Join Event'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsAdminSignIn(true)}
+          className="w-full mt-8 text-sm text-gray-500 hover:text-gray-700"
+        >
+          Admin sign in
+        </button>
+      </form>
+    </div>
+  );
+}
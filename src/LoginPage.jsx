@@ -1,41 +1,85 @@
-import React, { useState, useEffect } from 'react';
-// db, doc, setDoc are no longer used in this file.
-// import { db } from './firebase'; 
-// import { doc, setDoc } from 'firebase/firestore'; 
-import { v4 as uuidv4 } from 'uuid';
+import React, { useState } from 'react';
+import { auth } from './firebase';
+import { signInWithEmailAndPassword, signOut } from 'firebase/auth';
+import { isAdminUser } from './adminAuth';
+import { claimRosterEntry, getRosterClaim, normalizeInviteCode } from './roster';
+import { MAX_DISPLAY_NAME_LENGTH } from './participants';
 
 // Firestore collection name - Removed as access requests are no longer created by LoginPage
 // const ACCESS_REQUESTS_COLLECTION = 'accessRequests'; 
 
-export default function LoginPage({ onLogin }) {
-  const [showAdminLogin, setShowAdminLogin] = useState(false);
-  // Simplified loginStep: 'selectRole', 'enterName'.
-  const [loginStep, setLoginStep] = useState('selectRole');
+// Invite code from a graduate's personal QR code link (?invite=CODE), if any
+const inviteCodeFromUrl = normalizeInviteCode(new URLSearchParams(window.location.search).get('invite'));
+
+// The event picker reuses the admin sign-in step on its own: it passes initialStep 'adminLogin' and an onBack.
+export default function LoginPage({ onLogin, userId, initialStep = null, onBack = null }) {
+  // loginStep: 'selectRole', 'enterName', 'enterInviteCode', 'adminLogin'.
+  const [loginStep, setLoginStep] = useState(initialStep || (inviteCodeFromUrl ? 'enterInviteCode' : 'selectRole'));
   const [requestedUserType, setRequestedUserType] = useState(null);
   const [nameInput, setNameInput] = useState('');
-  // tempRequestId and errorMessage are no longer needed.
+  const [inviteCodeInput, setInviteCodeInput] = useState(inviteCodeFromUrl);
+  const [inviteError, setInviteError] = useState('');
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [adminEmail, setAdminEmail] = useState('');
+  const [adminPassword, setAdminPassword] = useState('');
+  const [adminError, setAdminError] = useState('');
+  const [isSigningIn, setIsSigningIn] = useState(false);
 
-  useEffect(() => {
-    const handleKeyDown = (event) => {
-      if ((event.metaKey || event.ctrlKey) && event.key === 'g') {
-        event.preventDefault();
-        setShowAdminLogin((prev) => !prev);
+  const handleRoleSelect = async (type) => {
+    if (type === 'graduating') {
+      // A device that already claimed a roster entry goes straight back in
+      try {
+        const existingClaim = userId && await getRosterClaim(userId);
+        if (existingClaim) {
+          onLogin('graduating', existingClaim.name);
+          return;
+        }
+      } catch (error) {
+        console.error("Error checking roster claim:", error);
       }
-    };
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, []);
+      setLoginStep('enterInviteCode');
+      return;
+    }
+    setRequestedUserType(type);
+    setLoginStep('enterName');
+  };
 
-  // The useEffect that listened to access request status is removed.
-  // The useEffect that checked for 'tempRequestId' in localStorage is removed.
+  // Graduating status is only granted once an invite code from the roster is claimed by this device.
+  const handleSubmitInviteCode = async (event) => {
+    event.preventDefault();
+    if (!userId) {
+      setInviteError("Still connecting. Please try again in a moment.");
+      return;
+    }
+    setInviteError('');
+    setIsClaiming(true);
+    try {
+      const claim = await claimRosterEntry(inviteCodeInput, userId);
+      onLogin('graduating', claim.name); // Graduates go by their roster name
+    } catch (error) {
+      console.error("Error claiming invite code:", error);
+      setInviteError(error.message);
+    }
+    setIsClaiming(false);
+  };
 
-  const handleRoleSelect = (type) => {
-    if (type === 'admin') {
-      onLogin('admin', null); 
-    } else {
-      setRequestedUserType(type);
-      setLoginStep('enterName');
+  // Admins sign in with Firebase Auth credentials. App.jsx picks up the admin role
+  // through onAuthStateChanged, so nothing is passed to onLogin here.
+  const handleAdminSignIn = async (event) => {
+    event.preventDefault();
+    setAdminError('');
+    setIsSigningIn(true);
+    try {
+      const credential = await signInWithEmailAndPassword(auth, adminEmail.trim(), adminPassword);
+      if (!(await isAdminUser(credential.user))) {
+        await signOut(auth);
+        setAdminError("This account does not have admin access.");
+      }
+    } catch (error) {
+      console.error("Admin sign-in failed:", error);
+      setAdminError("Sign-in failed. Check your email and password.");
     }
+    setIsSigningIn(false);
   };
 
   const handleSubmitName = async () => {
@@ -43,10 +87,9 @@ export default function LoginPage({ onLogin }) {
       alert("Please enter your name.");
       return;
     }
-    const newUserId = uuidv4();
-    // Optional: Store name if needed by App.jsx or for display.
-    // localStorage.setItem('userName', nameInput.trim()); 
-    onLogin(requestedUserType, newUserId);
+    // The voter's id is their anonymous Firebase Auth uid, which App.jsx already holds.
+    // The name is stored in their participant document for display.
+    onLogin(requestedUserType, nameInput);
     // The component should unmount or transition after onLogin.
   };
 
@@ -61,6 +104,7 @@ export default function LoginPage({ onLogin }) {
             value={nameInput}
             onChange={(e) => setNameInput(e.target.value)}
             placeholder="Your Name"
+            maxLength={MAX_DISPLAY_NAME_LENGTH}
             className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-6 focus:ring-blue-500 focus:border-blue-500"
           />
           <button
@@ -80,6 +124,81 @@ export default function LoginPage({ onLogin }) {
     );
   }
 
+  if (loginStep === 'enterInviteCode') {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100">
+        <form onSubmit={handleSubmitInviteCode} className="p-8 bg-white shadow-md rounded-lg w-full max-w-md">
+          <h2 className="text-2xl font-bold text-center mb-6 text-gray-700">Enter Your Invite Code</h2>
+          <p className="text-center text-gray-600 mb-4">Graduates received a personal invite code or QR code from the admin.</p>
+          <input
+            type="text"
+            value={inviteCodeInput}
+            onChange={(e) => setInviteCodeInput(e.target.value)}
+            placeholder="Invite Code"
+            autoCapitalize="characters"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 font-mono uppercase tracking-widest focus:ring-blue-500 focus:border-blue-500"
+          />
+          {inviteError && <p className="text-sm text-red-600 mb-4">{inviteError}</p>}
+          <button
+            type="submit"
+            disabled={isClaiming || !inviteCodeInput.trim()}
+            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg text-lg transition duration-150 disabled:opacity-50"
+          >
+            {isClaiming ? 'Checking...' : 'Join as Graduate'}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setInviteError(''); setLoginStep('selectRole'); }}
+            className="w-full mt-3 text-sm text-gray-600 hover:text-gray-800"
+          >
+            Back to Role Selection
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (loginStep === 'adminLogin') {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-gray-100">
+        <form onSubmit={handleAdminSignIn} className="p-8 bg-white shadow-md rounded-lg w-full max-w-md">
+          <h2 className="text-2xl font-bold text-center mb-6 text-gray-700">Admin Sign In</h2>
+          <input
+            type="email"
+            value={adminEmail}
+            onChange={(e) => setAdminEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="username"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="password"
+            value={adminPassword}
+            onChange={(e) => setAdminPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 focus:ring-blue-500 focus:border-blue-500"
+          />
+          {adminError && <p className="text-sm text-red-600 mb-4">{adminError}</p>}
+          <button
+            type="submit"
+            disabled={isSigningIn || !adminEmail.trim() || !adminPassword}
+            className="w-full bg-red-500 hover:bg-red-600 text-white font-semibold py-3 px-6 rounded-lg text-lg transition duration-150 disabled:opacity-50"
+          >
+            {isSigningIn ? 'Signing In...' : 'Sign In'}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setAdminError(''); onBack ? onBack() : setLoginStep('selectRole'); }}
+            className="w-full mt-3 text-sm text-gray-600 hover:text-gray-800"
+          >
+            {onBack ? 'Back' : 'Back to Role Selection'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   // The 'waitingApproval', 'denied', and 'error' (related to approval) views are removed.
   // A general error state could be added if direct login itself can have user-facing errors
   // not handled by alerts, but that's outside the scope of removing admin approval.
@@ -91,14 +210,6 @@ export default function LoginPage({ onLogin }) {
         <h1 className="text-3xl font-bold text-center mb-8 text-gray-700">Welcome to Graduation Superlatives!</h1>
         <p className="text-center text-gray-600 mb-10">Please select your role to continue:</p>
         <div className="space-y-4">
-          {showAdminLogin && (
-            <button
-              onClick={() => handleRoleSelect('admin')}
-              className="w-full bg-red-500 hover:bg-red-600 text-white font-semibold py-3 px-6 rounded-lg text-lg transition duration-150 ease-in-out transform hover:scale-105"
-            >
-              Admin User
-            </button>
-          )}
           <button
             onClick={() => handleRoleSelect('graduating')}
             className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-3 px-6 rounded-lg text-lg transition duration-150 ease-in-out transform hover:scale-105"
@@ -112,6 +223,12 @@ export default function LoginPage({ onLogin }) {
             Guest User
           </button>
         </div>
+        <button
+          onClick={() => setLoginStep('adminLogin')}
+          className="w-full mt-8 text-sm text-gray-500 hover:text-gray-700"
+        >
+          Admin sign in
+        </button>
       </div>
     </div>
   );
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { eventDoc } from './events';
+import { ROSTER_DIRECTORY_DOC_PATH } from './roster';
+import {
+  NOMINATIONS_COLLECTION,
+  MAX_NOMINATIONS_PER_USER,
+  MAX_NOMINEE_NAME_LENGTH,
+  getNominationDocId,
+  cleanNomineeName,
+  saveNominations,
+} from './nominations';
+
+// Voter form for the nomination round: pick names from the roster or type anyone in.
+export default function NominationForm({ superlativeId, userId, disabled }) {
+  const [myNominations, setMyNominations] = useState([]);
+  const [rosterNames, setRosterNames] = useState([]);
+  const [nameInput, setNameInput] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(eventDoc(...ROSTER_DIRECTORY_DOC_PATH), (docSnap) => {
+      setRosterNames(docSnap.exists() ? docSnap.data().names || [] : []);
+    }, (error) => {
+      console.error("Error subscribing to roster directory:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!userId || !superlativeId) return;
+    const nominationDocRef = eventDoc(NOMINATIONS_COLLECTION, getNominationDocId(superlativeId, userId));
+    const unsubscribe = onSnapshot(nominationDocRef, (docSnap) => {
+      setMyNominations(docSnap.exists() ? docSnap.data().names || [] : []);
+    }, (error) => {
+      console.error("Error subscribing to own nominations:", error);
+    });
+    return () => unsubscribe();
+  }, [superlativeId, userId]);
+
+  const updateNominations = async (names) => {
+    setIsSaving(true);
+    try {
+      await saveNominations({ superlativeId, userId, names });
+    } catch (error) {
+      console.error("Error saving nominations:", error);
+      alert("Failed to save your nominations. Please try again.");
+    }
+    setIsSaving(false);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = cleanNomineeName(nameInput);
+    if (!name || myNominations.length >= MAX_NOMINATIONS_PER_USER) return;
+    if (myNominations.some(n => n.toLowerCase() === name.toLowerCase())) {
+      setNameInput('');
+      return;
+    }
+    await updateNominations([...myNominations, name]);
+    setNameInput('');
+  };
+
+  const isFull = myNominations.length >= MAX_NOMINATIONS_PER_USER;
+
+  return (
+    <div className="grid gap-4">
+      <p className="text-center text-gray-600">
+        Nominations are open! Suggest up to {MAX_NOMINATIONS_PER_USER} people from the class list or type in any name.
+      </p>
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          list="rosterNameOptions"
+          value={nameInput}
+          onChange={(e) => setNameInput(e.target.value)}
+          maxLength={MAX_NOMINEE_NAME_LENGTH}
+          placeholder={isFull ? "Remove a nomination to add another" : "Start typing a name"}
+          disabled={disabled || isFull}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+        />
+        <datalist id="rosterNameOptions">
+          {rosterNames.map(name => <option key={name} value={name} />)}
+        </datalist>
+        <button
+          type="submit"
+          disabled={disabled || isFull || isSaving || !nameInput.trim()}
+          className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 disabled:opacity-50 transition duration-150"
+        >
+          Nominate
+        </button>
+      </form>
+      {myNominations.length > 0 && (
+        <ul className="divide-y divide-gray-200 border rounded">
+          {myNominations.map(name => (
+            <li key={name} className="flex items-center justify-between px-4 py-2">
+              <span className="text-lg font-medium">{name}</span>
+              <button
+                onClick={() => updateNominations(myNominations.filter(n => n !== name))}
+                disabled={disabled || isSaving}
+                className="text-sm text-red-500 hover:underline disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
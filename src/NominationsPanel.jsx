@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { onSnapshot, query, where } from 'firebase/firestore';
+import { eventDoc, eventCollection } from './events';
+import { ROSTER_DIRECTORY_DOC_PATH } from './roster';
+import { NOMINATIONS_COLLECTION, DEFAULT_NOMINEE_COUNT, mergeNominations } from './nominations';
+
+// Admin view of the nomination round: merged, de-duplicated nominations with counts. The admin
+// picks the top N or ticks names by hand, and onFinalize turns them into the superlative's nominees.
+export default function NominationsPanel({ superlativeId, onFinalize }) {
+  const [nominationDocs, setNominationDocs] = useState([]);
+  const [rosterNames, setRosterNames] = useState([]);
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [topCount, setTopCount] = useState(DEFAULT_NOMINEE_COUNT);
+  const [isFinalizing, setIsFinalizing] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(eventDoc(...ROSTER_DIRECTORY_DOC_PATH), (docSnap) => {
+      setRosterNames(docSnap.exists() ? docSnap.data().names || [] : []);
+    }, (error) => {
+      console.error("Error subscribing to roster directory:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    setSelectedNames([]);
+    if (!superlativeId) return;
+    const q = query(eventCollection(NOMINATIONS_COLLECTION), where('superlativeId', '==', superlativeId));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setNominationDocs(querySnapshot.docs.map(d => d.data()));
+    }, (error) => {
+      console.error("Error subscribing to nominations:", error);
+    });
+    return () => unsubscribe();
+  }, [superlativeId]);
+
+  const mergedNominations = useMemo(() => mergeNominations(nominationDocs, rosterNames), [nominationDocs, rosterNames]);
+
+  const handleToggle = (name) => {
+    setSelectedNames(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+  };
+
+  const handleSelectTop = () => {
+    const count = parseInt(topCount, 10);
+    if (isNaN(count) || count < 1) return;
+    setSelectedNames(mergedNominations.slice(0, count).map(n => n.name));
+  };
+
+  const handleFinalize = async () => {
+    // Keep the merged (most nominated first) order
+    const names = mergedNominations.map(n => n.name).filter(name => selectedNames.includes(name));
+    if (names.length < 2 && !window.confirm(`Open voting with only ${names.length} nominee(s)?`)) return;
+    setIsFinalizing(true);
+    await onFinalize(names);
+    setIsFinalizing(false);
+  };
+
+  return (
+    <div className="mt-4 p-3 border rounded bg-gray-50 text-left">
+      <h3 className="text-md font-semibold text-gray-700 mb-1">
+        Nominations ({nominationDocs.length} participant(s), {mergedNominations.length} name(s))
+      </h3>
+      {mergedNominations.length === 0 ? (
+        <p className="text-sm text-gray-500">No nominations yet.</p>
+      ) : (
+        <>
+          <div className="flex items-center gap-2 mb-2 text-sm">
+            <label htmlFor="nominationTopCount" className="text-gray-700">Top</label>
+            <input
+              id="nominationTopCount"
+              type="number"
+              min="1"
+              value={topCount}
+              onChange={(e) => setTopCount(e.target.value)}
+              className="w-16 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button onClick={handleSelectTop} className="text-blue-500 hover:underline">Select</button>
+            <button onClick={() => setSelectedNames([])} className="text-gray-500 hover:underline">Clear</button>
+          </div>
+          <ul className="divide-y divide-gray-200 text-sm max-h-64 overflow-y-auto">
+            {mergedNominations.map(n => (
+              <li key={n.name} className="py-1">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input type="checkbox" checked={selectedNames.includes(n.name)} onChange={() => handleToggle(n.name)} className="form-checkbox h-4 w-4 text-blue-600"/>
+                  <span className="font-medium text-gray-800">{n.name}</span>
+                  <span className="text-gray-500">× {n.count}</span>
+                  {!n.isOnRoster && <span className="text-xs text-gray-400">write-in</span>}
+                </label>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      <button
+        onClick={handleFinalize}
+        disabled={selectedNames.length === 0 || isFinalizing}
+        className="mt-3 w-full bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 disabled:opacity-50 transition duration-150"
+      >
+        Use {selectedNames.length} Selected as Nominees & Open Voting
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query } from 'firebase/firestore';
+import { eventCollection } from './events';
+import {
+  PARTICIPANTS_COLLECTION,
+  HEARTBEAT_INTERVAL_MS,
+  renameParticipant,
+  removeParticipant,
+  restoreParticipant,
+  isParticipantOnline,
+  MAX_DISPLAY_NAME_LENGTH,
+} from './participants';
+
+// Admin list of everyone who has joined, with online/offline presence and rename/remove for
+// inappropriate names. When votedUserIds is given (during voting), it also shows who is still to vote.
+// Removed participants are listed at the end so they can be let back in.
+export default function ParticipantsPanel({ votedUserIds = null }) {
+  const [participants, setParticipants] = useState([]);
+  const [editingUid, setEditingUid] = useState(null);
+  const [nameDraft, setNameDraft] = useState('');
+  const [now, setNow] = useState(() => Date.now()); // Re-evaluates online status between snapshots
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), HEARTBEAT_INTERVAL_MS / 2);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const q = query(eventCollection(PARTICIPANTS_COLLECTION), orderBy('name', 'asc'));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setParticipants(querySnapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Error subscribing to participants:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleSaveName = async (uid) => {
+    if (!nameDraft.trim()) return;
+    try {
+      await renameParticipant(uid, nameDraft);
+      setEditingUid(null);
+    } catch (error) {
+      console.error("Error renaming participant:", error);
+      alert("Failed to rename participant.");
+    }
+  };
+
+  const handleRemove = async (participant) => {
+    if (!window.confirm(`Remove "${participant.name}"? They will be sent back to the login page and can't join again.`)) return;
+    try {
+      await removeParticipant(participant.id);
+    } catch (error) {
+      console.error("Error removing participant:", error);
+      alert("Failed to remove participant.");
+    }
+  };
+
+  const handleRestore = async (participant) => {
+    try {
+      await restoreParticipant(participant.id);
+    } catch (error) {
+      console.error("Error letting participant back in:", error);
+      alert("Failed to let the participant back in.");
+    }
+  };
+
+  const votedSet = votedUserIds ? new Set(votedUserIds) : null;
+  const removedParticipants = participants.filter(p => p.removed);
+  const participantsWithStatus = participants
+    .filter(p => !p.removed)
+    .map(p => ({ ...p, isOnline: isParticipantOnline(p, now), hasVoted: votedSet ? votedSet.has(p.id) : false }))
+    .sort((a, b) => Number(b.isOnline) - Number(a.isOnline)); // Online first, name order kept within each group
+  const onlineCount = participantsWithStatus.filter(p => p.isOnline).length;
+  const waitingOn = votedSet ? participantsWithStatus.filter(p => p.isOnline && !p.hasVoted) : [];
+
+  return (
+    <div className="mt-4 p-3 border rounded bg-gray-50 text-left">
+      <h3 className="text-md font-semibold text-gray-700 mb-2">
+        Participants ({onlineCount} online / {participantsWithStatus.length} joined)
+      </h3>
+      {votedSet && participantsWithStatus.length > 0 && (
+        <div className="mb-2 text-sm">
+          {waitingOn.length === 0 ? (
+            <p className="text-green-700 font-medium">Everyone online has voted.</p>
+          ) : (
+            <p className="text-gray-700">
+              <span className="font-medium">Still to vote ({waitingOn.length}):</span> {waitingOn.map(p => p.name).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+      {participantsWithStatus.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody has joined yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 text-sm max-h-64 overflow-y-auto">
+          {participantsWithStatus.map(p => (
+            <li key={p.id} className="py-1 flex items-center justify-between gap-2">
+              {editingUid === p.id ? (
+                <>
+                  <input
+                    type="text"
+                    value={nameDraft}
+                    onChange={(e) => setNameDraft(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') handleSaveName(p.id); }}
+                    maxLength={MAX_DISPLAY_NAME_LENGTH}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                    autoFocus
+                  />
+                  <button onClick={() => handleSaveName(p.id)} className="text-blue-500 hover:underline">Save</button>
+                  <button onClick={() => setEditingUid(null)} className="text-gray-500 hover:underline">Cancel</button>
+                </>
+              ) : (
+                <>
+                  <span className="flex items-center">
+                    <span
+                      title={p.isOnline ? 'Online' : 'Offline'}
+                      className={`inline-block w-2 h-2 rounded-full mr-2 ${p.isOnline ? 'bg-green-500' : 'bg-gray-300'}`}
+                    />
+                    <span className={`font-medium ${p.isOnline ? 'text-gray-800' : 'text-gray-400'}`}>{p.name}</span>
+                    <span className="ml-2 text-xs text-gray-500">{p.userType}</span>
+                    {votedSet && (
+                      <span className={`ml-2 text-xs ${p.hasVoted ? 'text-green-600' : 'text-gray-400'}`}>
+                        {p.hasVoted ? 'Voted' : 'Not voted'}
+                      </span>
+                    )}
+                  </span>
+                  <span className="flex gap-2">
+                    <button onClick={() => { setEditingUid(p.id); setNameDraft(p.name); }} className="text-blue-500 hover:underline">Rename</button>
+                    <button onClick={() => handleRemove(p)} className="text-red-500 hover:underline">Remove</button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {removedParticipants.length > 0 && (
+        <div className="mt-2 text-sm text-gray-500">
+          <span className="font-medium">Removed:</span>{' '}
+          {removedParticipants.map((p, index) => (
+            <span key={p.id}>
+              {index > 0 && ', '}
+              {p.name} (<button onClick={() => handleRestore(p)} className="text-blue-500 hover:underline">let back in</button>)
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useMemo } from 'react';
+import Confetti from 'react-confetti';
+import { resolveConfettiShape } from './confettiShapes.mjs';
+
+// Confetti for a revealed winner, styled by the superlative's `resultAnimation`
+// (confettiShape or customShape, colors, origin, physics). Used by the voting app and the /display screen.
+// winners ({ image }) are only needed for customShape's nomineePhotos: "winners".
+
+export default function ResultConfetti({ superlative, isTie, width, height, winners = [] }) {
+  const winnerImages = winners.map(w => w.image).join('\n');
+  // Built once per animation so pictures and paths aren't reloaded every frame
+  const shape = useMemo(
+    () => resolveConfettiShape(superlative?.resultAnimation, { nominees: superlative?.nominees, winners }),
+    // winners is usually a new array on each render; its photos are what matter
+    [superlative?.resultAnimation, superlative?.nominees, winnerImages]
+  );
+
+  // Default confetti settings
+  let resolvedConfettiProps = {
+    recycle: false,
+    numberOfPieces: isTie ? 500 : 800, 
+    width,
+    height,
+    // Reverted to sensible defaults for a central explosion
+    origin: { x: 0.5, y: 0.5 }, 
+    angle: 90,                  
+    spread: 360,                
+    startVelocity: 50,          
+    gravity: 0.08,             
+    scalar: 1.2,                
+    drift: 0, // Changed global default drift to 0 to reduce flicker                 
+    colors: ['#f44336', '#e91e63', '#9c27b0', '#673ab7', '#3f51b5', '#2196f3', '#03a9f4', '#00bcd4', '#009688', '#4CAF50', '#8BC34A', '#CDDC39', '#FFEB3B', '#FFC107', '#FF9800', '#FF5722', '#795548'],
+  };
+
+  if (superlative?.resultAnimation) {
+    const customAnim = superlative.resultAnimation;
+    resolvedConfettiProps.recycle = customAnim.recycle ?? resolvedConfettiProps.recycle;
+    resolvedConfettiProps.numberOfPieces = customAnim.tieNumberOfPieces ?? customAnim.numberOfPieces ?? resolvedConfettiProps.numberOfPieces;
+
+    if (shape) resolvedConfettiProps.drawShape = shape.draw;
+    resolvedConfettiProps.colors = shape?.forcedColors ?? customAnim.colors ?? shape?.defaultColors ?? resolvedConfettiProps.colors;
+    resolvedConfettiProps.origin = customAnim.origin ?? resolvedConfettiProps.origin;
+    resolvedConfettiProps.angle = customAnim.angle ?? resolvedConfettiProps.angle;
+    resolvedConfettiProps.spread = customAnim.spread ?? resolvedConfettiProps.spread;
+    resolvedConfettiProps.startVelocity = customAnim.startVelocity ?? resolvedConfettiProps.startVelocity;
+    resolvedConfettiProps.gravity = customAnim.gravity ?? resolvedConfettiProps.gravity; 
+    resolvedConfettiProps.scalar = customAnim.scalar ?? resolvedConfettiProps.scalar;
+    resolvedConfettiProps.drift = customAnim.drift ?? resolvedConfettiProps.drift;
+  }
+  return <Confetti {...resolvedConfettiProps} />;
+}
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { VOTER_TYPES } from './tally';
+import {
+  fetchResultsReport,
+  toResultsCsv,
+  toResultsJson,
+  getExportFileName,
+  downloadFile,
+} from './resultsExport';
+
+const VOTER_TYPE_LABELS = { graduating: 'Graduating', guest: 'Guests', admin: 'Admins' };
+
+const formatByType = (byType) => VOTER_TYPES
+  .filter(type => byType[type])
+  .map(type => `${VOTER_TYPE_LABELS[type]} ${byType[type]}`)
+  .join(', ');
+
+// Full-page report for the yearbook committee. It is portalled next to the app, and index.css
+// hides everything else when printing, so "Save as PDF" in the print dialog gives a clean file.
+function ResultsReport({ report, onClose }) {
+  useEffect(() => {
+    document.body.classList.add('is-showing-report');
+    return () => document.body.classList.remove('is-showing-report');
+  }, []);
+
+  return createPortal(
+    <div className="results-report fixed inset-0 z-50 overflow-auto bg-white text-gray-900 print:static print:overflow-visible">
+      <div className="max-w-3xl mx-auto p-8 print:p-0">
+        <div className="flex justify-end gap-2 mb-4 print:hidden">
+          <button onClick={() => window.print()} className="bg-indigo-600 text-white py-2 px-4 rounded hover:bg-indigo-700">Print / Save as PDF</button>
+          <button onClick={onClose} className="py-2 px-4 rounded text-gray-600 hover:bg-gray-200">Close</button>
+        </div>
+
+        <h1 className="text-3xl font-bold text-center">{report.eventName || 'Superlatives'}</h1>
+        <p className="text-center text-gray-600 mb-1">Superlative results</p>
+        <p className="text-center text-xs text-gray-500 mb-6">
+          Counted from {report.superlatives.reduce((sum, s) => sum + s.turnout.total, 0)} ballot(s) on {new Date(report.generatedAt).toLocaleString()}.
+          {' '}{report.registered.total} participant(s) joined ({formatByType(report.registered.byType) || 'none'}).
+        </p>
+
+        {report.superlatives.map((s, index) => {
+          const isRecountDifferent = s.revealedWinners && [...s.revealedWinners].sort().join('\n') !== [...s.winners].sort().join('\n');
+          return (
+            <section key={s.id} className="mb-8 break-inside-avoid">
+              <h2 className="text-xl font-semibold border-b border-gray-300 pb-1 mb-2">{index + 1}. {s.title}</h2>
+              <p className="text-lg mb-1">
+                {s.status === 'noVotes' ? (
+                  <span className="text-gray-500">No votes were cast.</span>
+                ) : (
+                  <>
+                    <span className="font-semibold">{s.status === 'tie' ? 'Tied winners: ' : 'Winner: '}</span>
+                    {s.winners.join(' & ')}
+                  </>
+                )}
+              </p>
+              <p className="text-xs text-gray-600">{s.votingMethod} {s.status !== 'noVotes' && s.decision}</p>
+              <p className="text-xs text-gray-600 mb-2">
+                Turnout: {s.turnout.total} voter(s){s.turnout.total > 0 && ` (${formatByType(s.turnout.byType)})`}
+                {report.registered.total > 0 && `, ${Math.round((s.turnout.total / report.registered.total) * 100)}% of participants`}.
+              </p>
+              {isRecountDifferent && (
+                <p className="text-xs text-red-700 mb-2">
+                  Revealed on the night: {s.revealedWinners.join(' & ') || 'nobody'} (votes changed after the reveal).
+                </p>
+              )}
+              {s.rankings.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-1 pr-2">#</th>
+                      <th className="py-1 pr-2">Nominee</th>
+                      <th className="py-1 pr-2 text-right">Score</th>
+                      {VOTER_TYPES.map(type => <th key={type} className="py-1 pr-2 text-right">{VOTER_TYPE_LABELS[type]}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {s.rankings.map(r => (
+                      <tr key={r.name} className={`border-b border-gray-100 ${s.winners.includes(r.name) ? 'font-semibold' : ''}`}>
+                        <td className="py-1 pr-2">{r.rank}</td>
+                        <td className="py-1 pr-2">{r.name}</td>
+                        <td className="py-1 pr-2 text-right">{r.score} {s.scoreUnit}</td>
+                        {VOTER_TYPES.map(type => <td key={type} className="py-1 pr-2 text-right">{r.votesByType[type] || 0}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+// Admin export of the full results (admin only: raw votes aren't readable by anyone else).
+export default function ResultsExport({ superlatives, eventName }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const runExport = async (handleReport) => {
+    setIsExporting(true);
+    try {
+      handleReport(await fetchResultsReport(superlatives, eventName));
+    } catch (error) {
+      console.error("Error exporting results:", error);
+      alert("Failed to export the results.");
+    }
+    setIsExporting(false);
+  };
+
+  return (
+    <div className="w-full max-w-md bg-white shadow rounded-lg p-4 text-center">
+      <h3 className="font-semibold text-gray-700 mb-1">Export Results</h3>
+      <p className="text-xs text-gray-500 mb-3">Recounted from every vote, including superlatives that weren't revealed.</p>
+      <div className="flex flex-wrap justify-center gap-2">
+        <button
+          disabled={isExporting}
+          onClick={() => runExport(r => downloadFile(getExportFileName(eventName, 'csv'), `\uFEFF${toResultsCsv(r)}`, 'text/csv;charset=utf-8'))}
+          className="bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          CSV
+        </button>
+        <button
+          disabled={isExporting}
+          onClick={() => runExport(r => downloadFile(getExportFileName(eventName, 'json'), toResultsJson(r), 'application/json'))}
+          className="bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600 text-sm disabled:opacity-50"
+        >
+          JSON
+        </button>
+        <button
+          disabled={isExporting}
+          onClick={() => runExport(setReport)}
+          className="bg-indigo-600 text-white py-1 px-3 rounded hover:bg-indigo-700 text-sm disabled:opacity-50"
+        >
+          Printable report
+        </button>
+      </div>
+      {report && <ResultsReport report={report} onClose={() => setReport(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MAX_EFFECT_MS } from './superlativeSchema.mjs';
+
+// The extra reveal effects in a superlative's `resultAnimation.effects` (spotlight, video or GIF clip,
+// text banner, screen shake, color flash), played over the page when the winner is revealed. Used by
+// the voting app, the /display screen and the admin's reveal preview. Sizes are in viewport units so
+// the same settings work on a phone and on the projector.
+
+const FADE_OUT_MS = 600; // Matches .reveal-fade-out in index.css
+const DEFAULT_AVATAR = '/images/default-avatar.png';
+
+// Waits for delayMs, then plays for durationMs (forever without one) and fades out
+function useEffectPhase({ delayMs = 0, durationMs }) {
+  const [phase, setPhase] = useState(delayMs > 0 ? 'waiting' : 'playing');
+  useEffect(() => {
+    const timers = [];
+    if (delayMs > 0) timers.push(setTimeout(() => setPhase('playing'), delayMs));
+    if (durationMs !== undefined) {
+      timers.push(setTimeout(() => setPhase('ending'), delayMs + durationMs));
+      timers.push(setTimeout(() => setPhase('done'), delayMs + durationMs + FADE_OUT_MS));
+    }
+    return () => timers.forEach(clearTimeout);
+  }, [delayMs, durationMs]);
+  return [phase, setPhase];
+}
+
+const overlayClassName = (phase) => `fixed inset-0 z-40 pointer-events-none ${phase === 'ending' ? 'reveal-fade-out' : ''}`;
+
+function SpotlightEffect({ effect, winners }) {
+  const durationMs = effect.durationMs ?? 4000;
+  const [phase] = useEffectPhase({ ...effect, durationMs });
+  if (phase === 'waiting' || phase === 'done') return null;
+  const photoSize = `${(winners.length > 1 ? 60 : 36) / winners.length}vmin`;
+  return (
+    <div
+      className={`${overlayClassName(phase)} flex items-center justify-center gap-[6vmin]`}
+      style={{ background: 'radial-gradient(circle at center, rgba(0,0,0,0) 0, rgba(0,0,0,0) 30vmin, rgba(0,0,0,0.88) 42vmin)' }}
+    >
+      {winners.map(w => (
+        <div
+          key={w.name}
+          className="flex flex-col items-center"
+          style={{ animation: `revealSpotlightAnimation ${durationMs}ms ease-out forwards`, '--spotlight-zoom': effect.zoom ?? 1.5 }}
+        >
+          <img
+            src={w.image || DEFAULT_AVATAR}
+            alt={w.name}
+            className="rounded-full object-cover border-4 border-yellow-400 shadow-2xl"
+            style={{ width: photoSize, height: photoSize }}
+            onError={(e) => { e.target.style.visibility = 'hidden'; }}
+          />
+          <p className="text-white font-bold text-[4vmin] mt-[1vmin] drop-shadow-lg">{w.name}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function VideoEffect({ effect }) {
+  // A video plays to its end unless it has a duration; a GIF or looping video needs one to stop before the results are hidden
+  const [phase, setPhase] = useEffectPhase(effect);
+  const videoRef = useRef(null);
+  const isGif = /\.gif($|\?)/i.test(effect.src);
+  const isPlaying = phase === 'playing';
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !isPlaying) return;
+    video.muted = effect.muted ?? true; // The reveal sound is already playing
+    video.play().catch(error => {
+      // Phones block autoplay with sound, so fall back to a muted clip
+      if (!video.muted && error.name === 'NotAllowedError') {
+        video.muted = true;
+        video.play().catch(retryError => console.error("Error playing reveal video:", retryError));
+      } else {
+        console.error("Error playing reveal video:", error);
+      }
+    });
+  }, [isPlaying, effect.muted]);
+
+  if (phase === 'waiting' || phase === 'done') return null;
+  const mediaClassName = "max-w-[90vw] max-h-[80vh] rounded-lg shadow-2xl";
+  return (
+    <div className={`${overlayClassName(phase)} flex items-center justify-center bg-black/60`}>
+      {isGif ? (
+        <img src={effect.src} alt="" className={mediaClassName} onError={() => setPhase('done')} />
+      ) : (
+        <video
+          ref={videoRef}
+          src={effect.src}
+          playsInline
+          muted
+          loop={effect.loop === true}
+          onEnded={() => setPhase('done')}
+          onError={() => {
+            console.error(`Error loading reveal video '${effect.src}'`);
+            setPhase('done');
+          }}
+          className={mediaClassName}
+        />
+      )}
+    </div>
+  );
+}
+
+const BANNER_POSITION_CLASSES = {
+  top: 'top-[10vh]',
+  center: 'top-1/2 -translate-y-1/2',
+  bottom: 'bottom-[10vh]',
+};
+
+function BannerEffect({ effect, winners, title }) {
+  const durationMs = effect.durationMs ?? 5000;
+  const [phase] = useEffectPhase({ ...effect, durationMs });
+  if (phase === 'waiting' || phase === 'done') return null;
+  const text = effect.text
+    .replace(/\{winner\}/g, winners.map(w => w.name).join(' & '))
+    .replace(/\{title\}/g, title || '');
+  return (
+    <div className={`fixed inset-x-0 z-40 pointer-events-none overflow-hidden ${BANNER_POSITION_CLASSES[effect.position] || BANNER_POSITION_CLASSES.top}`}>
+      <div
+        className="bg-black/70 py-[2vmin] px-[4vmin] text-center font-extrabold uppercase tracking-wide text-[6vmin] leading-tight drop-shadow-lg"
+        style={{ color: effect.color || '#FDE047', animation: `revealBannerAnimation ${durationMs + FADE_OUT_MS}ms ease-out forwards` }}
+      >
+        {text}
+      </div>
+    </div>
+  );
+}
+
+// Shakes the whole page (see body.is-shaking in index.css)
+function ShakeEffect({ effect }) {
+  const [phase] = useEffectPhase({ ...effect, durationMs: effect.durationMs ?? 800 });
+  const isShaking = phase === 'playing';
+  useEffect(() => {
+    if (!isShaking) return;
+    document.body.style.setProperty('--shake-intensity', `${effect.intensity ?? 10}px`);
+    document.body.classList.add('is-shaking');
+    return () => {
+      document.body.classList.remove('is-shaking');
+      document.body.style.removeProperty('--shake-intensity');
+    };
+  }, [isShaking, effect.intensity]);
+  return null;
+}
+
+function FlashEffect({ effect }) {
+  const count = effect.count ?? 1;
+  const durationMs = effect.durationMs ?? 600 * count;
+  const [phase] = useEffectPhase({ ...effect, durationMs });
+  if (phase === 'waiting' || phase === 'done') return null;
+  return (
+    <div
+      className="reveal-flash fixed inset-0 z-40 pointer-events-none"
+      style={{ backgroundColor: effect.color || '#FFFFFF', opacity: 0, animation: `revealFlashAnimation ${durationMs / count}ms ease-in-out ${count}` }}
+    />
+  );
+}
+
+const EFFECT_COMPONENTS = {
+  spotlight: SpotlightEffect,
+  video: VideoEffect,
+  banner: BannerEffect,
+  shake: ShakeEffect,
+  flash: FlashEffect,
+};
+
+/**
+ * Plays a superlative's reveal effects; mount it when the winner is revealed.
+ * @param {{ superlative: object | null, winners: { name: string, image?: string }[] }} props
+ */
+export default function RevealEffects({ superlative, winners }) {
+  const effects = superlative?.resultAnimation?.effects;
+  if (!Array.isArray(effects) || winners.length === 0) return null;
+  return effects.map((effect, index) => {
+    const Effect = EFFECT_COMPONENTS[effect?.type];
+    if (!Effect) return null; // Unknown types are reported when the superlative is saved
+    // Nothing plays for more than a minute, whatever the data says
+    const durationMs = effect.durationMs !== undefined ? Math.min(effect.durationMs, MAX_EFFECT_MS) : undefined;
+    return <Effect key={index} effect={{ ...effect, durationMs }} winners={winners} title={superlative.title} />;
+  });
+}
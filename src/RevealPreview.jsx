@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import ResultConfetti from './ResultConfetti';
+import RevealEffects from './RevealEffects';
+import { getRevealSoundUrl } from './revealSound';
+import { validateResultAnimation } from './superlativeSchema.mjs';
+
+// Admin preview of a superlative's reveal: its confetti, effects and sound over a mock winner, on this
+// device only. Nothing is written, so the session (isResultShown etc.) is never touched.
+export default function RevealPreview({ superlative, onClose }) {
+  const [isTie, setIsTie] = useState(false);
+  const [playCount, setPlayCount] = useState(0); // Bumped to replay
+  const [soundError, setSoundError] = useState('');
+  const [dimensions, setDimensions] = useState({ width: window.innerWidth, height: window.innerHeight });
+
+  const nominees = superlative.nominees?.length > 0 ? superlative.nominees : [{ name: 'Sample Winner' }, { name: 'Sample Runner-up' }];
+  const winners = (isTie ? nominees.slice(0, 2) : nominees.slice(0, 1)).map(n => ({ ...n, isTie }));
+  const soundUrl = getRevealSoundUrl(superlative);
+  const problems = superlative.resultAnimation ? validateResultAnimation(superlative.resultAnimation) : [];
+
+  useEffect(() => {
+    const updateDimensions = () => setDimensions({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', updateDimensions);
+    return () => window.removeEventListener('resize', updateDimensions);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => { if (event.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Play the sound with every replay, and say so when it can't be loaded (a typo in soundEffectUrl)
+  useEffect(() => {
+    let isCancelled = false;
+    const audio = new Audio(soundUrl);
+    setSoundError('');
+    audio.onerror = () => { if (!isCancelled) setSoundError(`The sound "${soundUrl}" couldn't be loaded.`); };
+    audio.play().catch(error => {
+      // A missing file is reported by onerror above; replaying or closing interrupts the last play
+      if (isCancelled || error.name === 'NotSupportedError') return;
+      console.error(`Error playing sound '${soundUrl}':`, error);
+      setSoundError(`The sound "${soundUrl}" couldn't be played: ${error.message}`);
+    });
+    return () => {
+      isCancelled = true;
+      audio.pause();
+    };
+  }, [soundUrl, playCount, isTie]);
+
+  return createPortal(
+    <div className="fixed inset-0 z-50 bg-gray-900/90 text-white flex flex-col items-center justify-center p-6 overflow-auto">
+      <ResultConfetti
+        key={`${playCount}-${isTie}`}
+        superlative={superlative}
+        isTie={isTie}
+        winners={winners}
+        width={dimensions.width}
+        height={dimensions.height}
+      />
+      <RevealEffects key={`effects-${playCount}-${isTie}`} superlative={superlative} winners={winners} />
+      <p className="text-xs uppercase tracking-wide text-yellow-300 mb-2">Preview — only you can see this</p>
+      <p className="text-2xl text-gray-300 mb-3 text-center">{superlative.title}</p>
+      <h1 className="text-4xl font-bold mb-6 text-center">🏆 {isTie ? "It's a Tie!" : winners[0].name} 🏆</h1>
+      <div className="flex justify-center gap-8 flex-wrap mb-6">
+        {winners.map(w => (
+          <div key={w.name} className="flex flex-col items-center">
+            <img
+              src={w.image || '/images/default-avatar.png'}
+              alt={w.name}
+              className="w-40 h-40 rounded-full object-cover shadow-2xl border-4 border-yellow-400 animate-in-your-face"
+              onError={(e) => { e.target.style.display = 'none'; }}
+            />
+            {isTie && <p className="text-xl font-semibold mt-3">{w.name}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="relative z-10 bg-white text-gray-800 rounded-lg shadow-lg p-4 w-full max-w-md text-sm">
+        <p className="mb-1"><span className="font-semibold">Sound:</span> {soundUrl}</p>
+        {soundError && <p className="text-red-600 mb-1">{soundError}</p>}
+        {problems.length > 0 ? (
+          <ul className="text-red-600 list-disc list-inside mb-2">
+            {problems.map(problem => <li key={problem}>{problem}</li>)}
+          </ul>
+        ) : (
+          <p className="text-green-700 mb-2">{superlative.resultAnimation ? 'The animation settings look good.' : 'No custom animation: the default confetti and sound are used.'}</p>
+        )}
+        <div className="flex flex-wrap gap-2 justify-center">
+          <button onClick={() => setPlayCount(count => count + 1)} className="bg-indigo-600 text-white py-1 px-4 rounded hover:bg-indigo-700">Replay</button>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={isTie} onChange={(e) => setIsTie(e.target.checked)} />
+            As a tie
+          </label>
+          <button onClick={onClose} className="py-1 px-4 rounded text-gray-600 hover:bg-gray-200">Close</button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, orderBy, query } from 'firebase/firestore';
+import { eventCollection } from './events';
+import {
+  ROSTER_COLLECTION,
+  parseRosterInput,
+  saveRosterEntries,
+  releaseRosterEntry,
+  deleteRosterEntry,
+  getInviteUrl,
+} from './roster';
+
+// Admin panel for loading the class roster and handing out invite codes / personal QR codes.
+export default function RosterManager({ joinUrl }) {
+  const [rosterEntries, setRosterEntries] = useState([]);
+  const [rosterInput, setRosterInput] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [qrEntryId, setQrEntryId] = useState(null); // Entry whose personal QR code is expanded
+
+  useEffect(() => {
+    const q = query(eventCollection(ROSTER_COLLECTION), orderBy('name', 'asc'));
+    const unsubscribe = onSnapshot(q, (querySnapshot) => {
+      setRosterEntries(querySnapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.error("Error subscribing to roster:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleLoadRoster = async () => {
+    const entries = parseRosterInput(rosterInput);
+    if (entries.length === 0) return;
+    // Codes already on the roster under the same name are kept as they are (see saveRosterEntries)
+    const existingNames = new Map(rosterEntries.map(e => [e.id, e.name]));
+    const overwritten = entries.filter(e => existingNames.has(e.inviteCode) && existingNames.get(e.inviteCode) !== e.name);
+    if (overwritten.length > 0 && !window.confirm(`${overwritten.length} invite code(s) already exist under another name and will be overwritten and unclaimed. Continue?`)) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await saveRosterEntries(entries);
+      setRosterInput('');
+    } catch (error) {
+      console.error("Error saving roster:", error);
+      alert("Failed to save the roster.");
+    }
+    setIsSaving(false);
+  };
+
+  const handleRelease = async (entry) => {
+    if (!window.confirm(`Release ${entry.name}'s invite code so it can be claimed on another device?`)) return;
+    try {
+      await releaseRosterEntry(entry);
+    } catch (error) {
+      console.error("Error releasing roster entry:", error);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove ${entry.name} from the roster?`)) return;
+    try {
+      await deleteRosterEntry(entry);
+    } catch (error) {
+      console.error("Error deleting roster entry:", error);
+    }
+  };
+
+  const claimedCount = rosterEntries.filter(e => e.claimedBy).length;
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-300 text-left">
+      <h2 className="text-xl font-semibold text-gray-700 mb-1 text-center">Class Roster</h2>
+      <p className="text-sm text-gray-600 mb-3 text-center">
+        {rosterEntries.length} graduate(s), {claimedCount} claimed. Only graduates with a matching invite code can join as "Graduating User".
+      </p>
+      <label htmlFor="rosterInput" className="block text-sm font-medium text-gray-700 mb-1">Add graduates (one per line, optionally "Name, CODE"):</label>
+      <textarea
+        id="rosterInput"
+        value={rosterInput}
+        onChange={(e) => setRosterInput(e.target.value)}
+        rows={4}
+        placeholder={"Priya\nVineeth, VINEETH1"}
+        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+      />
+      <button
+        onClick={handleLoadRoster}
+        disabled={isSaving || !rosterInput.trim()}
+        className="mt-2 bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 transition duration-150 disabled:opacity-50"
+      >
+        {isSaving ? 'Saving...' : 'Load Roster'}
+      </button>
+
+      {rosterEntries.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-200 border rounded">
+          {rosterEntries.map(entry => (
+            <li key={entry.id} className="p-2">
+              <div className="flex items-center justify-between gap-2">
+                <div>
+                  <span className="font-medium text-gray-800">{entry.name}</span>
+                  <span className="ml-2 font-mono text-sm text-gray-600">{entry.id}</span>
+                  <span className={`ml-2 text-xs ${entry.claimedBy ? 'text-green-600' : 'text-gray-400'}`}>
+                    {entry.claimedBy ? 'Claimed' : 'Unclaimed'}
+                  </span>
+                </div>
+                <div className="flex gap-2 text-sm">
+                  <button onClick={() => setQrEntryId(qrEntryId === entry.id ? null : entry.id)} className="text-blue-500 hover:underline">QR</button>
+                  {entry.claimedBy && (
+                    <button onClick={() => handleRelease(entry)} className="text-yellow-600 hover:underline">Release</button>
+                  )}
+                  <button onClick={() => handleDelete(entry)} className="text-red-500 hover:underline">Remove</button>
+                </div>
+              </div>
+              {qrEntryId === entry.id && (
+                <div className="mt-2 text-center">
+                  <img
+                    src={`https://api.qrserver.com/v1/create-qr-code/?data=${encodeURIComponent(getInviteUrl(joinUrl, entry.id))}&size=160x160&format=png`}
+                    alt={`Invite QR Code for ${entry.name}`}
+                    className="mx-auto border-2 border-gray-300 rounded"
+                  />
+                  <p className="text-xs text-gray-500 break-all mt-1">{getInviteUrl(joinUrl, entry.id)}</p>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
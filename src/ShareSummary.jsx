@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import {
+  SHARE_FORMATS,
+  renderSummaryCard,
+  renderWinnerCard,
+  toShareFile,
+  canShareFile,
+  shareOrDownload,
+} from './shareCards';
+
+const ALL_WINNERS = '';
+
+const toFileName = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'superlatives';
+
+// Share panel under the final summary, for everyone: the whole summary or one winner's card as an
+// image in story or square format. The image is drawn ahead of time so the Share button can open
+// the share sheet straight away (browsers only allow it right after a click).
+export default function ShareSummary({ summary, eventName, participantName }) {
+  const winnerNames = Object.keys(summary);
+  // Winners see their own card first
+  const [selectedName, setSelectedName] = useState(() => (winnerNames.includes(participantName) ? participantName : ALL_WINNERS));
+  const [format, setFormat] = useState('story');
+  const [file, setFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState('');
+
+  const isWinnerCard = selectedName !== ALL_WINNERS && Boolean(summary[selectedName]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setFile(null);
+    const fileName = `${toFileName(eventName || 'superlatives')}-${isWinnerCard ? toFileName(selectedName) : 'winners'}-${format}.png`;
+    const render = isWinnerCard
+      ? renderWinnerCard(selectedName, summary[selectedName], { format, eventName })
+      : renderSummaryCard(summary, { format, eventName });
+    render
+      .then(canvas => toShareFile(canvas, fileName))
+      .then(newFile => {
+        if (isCancelled) return;
+        setFile(newFile);
+        setPreviewUrl(URL.createObjectURL(newFile));
+      })
+      .catch(error => console.error("Error drawing share image:", error));
+    return () => { isCancelled = true; };
+  }, [summary, selectedName, format, eventName, isWinnerCard]);
+
+  useEffect(() => () => { if (previewUrl) URL.revokeObjectURL(previewUrl); }, [previewUrl]);
+
+  const handleShare = async () => {
+    try {
+      await shareOrDownload(file, {
+        title: eventName || 'Superlatives',
+        text: isWinnerCard
+          ? `${selectedName} was voted ${summary[selectedName].superlativesWon.map(s => `"${s.title}"`).join(' and ')}!`
+          : `The superlative winners of ${eventName || 'our event'}!`,
+      });
+    } catch (error) {
+      console.error("Error sharing image:", error);
+      alert("Couldn't share the image. Try downloading it instead.");
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow-lg rounded-lg p-4 text-center">
+      <h2 className="text-xl font-semibold text-indigo-700 mb-3">Share the results</h2>
+      <div className="flex flex-wrap justify-center gap-2 mb-3">
+        <select value={selectedName} onChange={(e) => setSelectedName(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md text-sm">
+          <option value={ALL_WINNERS}>All winners</option>
+          {winnerNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md text-sm">
+          {Object.entries(SHARE_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+        </select>
+      </div>
+      {previewUrl && (
+        <img
+          src={previewUrl}
+          alt="Share image preview"
+          className={`mx-auto rounded shadow mb-3 ${format === 'story' ? 'w-48' : 'w-72'} ${file ? '' : 'opacity-50'}`}
+        />
+      )}
+      <button
+        onClick={handleShare}
+        disabled={!file}
+        className="bg-indigo-600 text-white py-2 px-6 rounded-lg hover:bg-indigo-700 transition duration-150 disabled:opacity-50"
+      >
+        {!file ? 'Preparing image...' : canShareFile(file) ? 'Share' : 'Download image'}
+      </button>
+    </div>
+  );
+}
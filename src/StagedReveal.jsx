@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react';
+import { getPlaceLabel } from './reveal';
+
+// The runner-up and drumroll steps of a staged reveal (see reveal.js), shared by the voting app
+// and the /display screen. Runner-up places revealed so far stay on screen, newest on top.
+export default function StagedReveal({ steps, currentStep, unit, drumrollSoundUrl = null, playSound = true, large = false }) {
+  const revealedPlaces = steps.slice(0, currentStep + 1).filter(step => step.type === 'runnerUp').reverse();
+  const isDrumroll = steps[currentStep]?.type === 'drumroll';
+
+  useEffect(() => {
+    if (!isDrumroll || !drumrollSoundUrl || !playSound) return;
+    const audio = new Audio(drumrollSoundUrl);
+    audio.play().catch(error => console.error(`Error playing sound '${drumrollSoundUrl}':`, error));
+    return () => audio.pause();
+  }, [isDrumroll, drumrollSoundUrl, playSound]);
+
+  const imageSize = large ? 'w-40 h-40' : 'w-24 h-24';
+  return (
+    <div className="flex flex-col items-center gap-6">
+      {isDrumroll && (
+        <p className={`${large ? 'text-7xl' : 'text-3xl'} font-bold animate-pulse`}>🥁 And the winner is...</p>
+      )}
+      {revealedPlaces.map((step, index) => (
+        <div key={step.rank} className={`flex flex-col items-center ${index === 0 && !isDrumroll ? 'animate-in-your-face' : 'opacity-80'}`}>
+          <p className={`${large ? 'text-4xl' : 'text-xl'} font-semibold mb-2`}>{getPlaceLabel(step.rank)} place</p>
+          <div className="flex justify-center gap-6 flex-wrap">
+            {step.nominees.map(n => (
+              <div key={n.name} className="flex flex-col items-center">
+                <img
+                  src={n.image || '/images/default-avatar.png'}
+                  alt={n.name}
+                  className={`${imageSize} rounded-full object-cover shadow-lg border-4 border-gray-300`}
+                  onError={(e) => { e.target.style.display = 'none'; }}
+                />
+                <span className={`${large ? 'text-3xl' : 'text-lg'} font-medium mt-1`}>{n.name}</span>
+                <span className={large ? 'text-xl text-gray-400' : 'text-sm text-gray-500'}>{n.score} {unit}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
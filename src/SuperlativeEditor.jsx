@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import { getConfettiShapeOptions, CUSTOM_SHAPE_PHOTO_OPTIONS, MAX_TITLE_LENGTH } from './superlativeSchema.mjs';
+import {
+  validateSuperlativeDraft,
+  toSuperlativeDraft,
+  createSuperlative,
+  updateSuperlative,
+  reorderSuperlatives,
+  deleteSuperlative,
+  toPreviewSuperlative,
+} from './superlatives';
+import RevealPreview from './RevealPreview';
+
+const inputClassName = "block w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+// Admin editor for the event's superlatives: add, edit, delete and drag to reorder. During a session,
+// pass the current superlative's id so reordering keeps everyone on it and it can't be deleted.
+export default function SuperlativeEditor({ superlatives, currentSuperlativeId = null }) {
+  const [orderedIds, setOrderedIds] = useState([]);
+  const [draggedId, setDraggedId] = useState(null);
+  const [editingId, setEditingId] = useState(null); // A superlative id, 'new', or null
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [previewSuperlative, setPreviewSuperlative] = useState(null); // Plays its reveal locally
+
+  // Follow the live list, except mid-drag when the rows show the order being dragged into
+  useEffect(() => {
+    if (!draggedId) setOrderedIds(superlatives.map(s => s.id));
+  }, [superlatives, draggedId]);
+
+  const superlativesById = Object.fromEntries(superlatives.map(s => [s.id, s]));
+
+  const startEditing = (superlative) => {
+    setEditingId(superlative ? superlative.id : 'new');
+    setDraft(toSuperlativeDraft(superlative));
+    setErrors([]);
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setDraft(null);
+    setErrors([]);
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const updateAnimation = (changes) => setDraft(prev => ({ ...prev, resultAnimation: { ...prev.resultAnimation, ...changes } }));
+  const updateNominee = (index, changes) => setDraft(prev => ({
+    ...prev,
+    nominees: prev.nominees.map((n, i) => (i === index ? { ...n, ...changes } : n)),
+  }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const draftErrors = validateSuperlativeDraft(draft, superlativesById[editingId]);
+    setErrors(draftErrors);
+    if (draftErrors.length > 0) return;
+    setIsSaving(true);
+    try {
+      if (editingId === 'new') {
+        const nextOrder = Math.max(-1, ...superlatives.map(s => s.order ?? 0)) + 1;
+        await createSuperlative(draft, nextOrder);
+      } else {
+        await updateSuperlative(superlativesById[editingId], draft);
+      }
+      stopEditing();
+    } catch (error) {
+      console.error("Error saving superlative:", error);
+      alert("Failed to save the superlative.");
+    }
+    setIsSaving(false);
+  };
+
+  const handleDelete = async (superlative) => {
+    if (!window.confirm(`Delete "${superlative.title}" along with its votes? This cannot be undone.`)) return;
+    try {
+      await deleteSuperlative(superlative.id, orderedIds, currentSuperlativeId);
+      if (editingId === superlative.id) stopEditing();
+    } catch (error) {
+      console.error("Error deleting superlative:", error);
+      alert("Failed to delete the superlative.");
+    }
+  };
+
+  const handleDragOver = (event, overId) => {
+    event.preventDefault();
+    if (!draggedId || draggedId === overId) return;
+    setOrderedIds(prev => {
+      const next = prev.filter(id => id !== draggedId);
+      next.splice(prev.indexOf(overId), 0, draggedId);
+      return next;
+    });
+  };
+
+  const handleDragEnd = async () => {
+    const isChanged = orderedIds.some((id, index) => superlatives[index]?.id !== id);
+    setDraggedId(null);
+    if (!isChanged) return;
+    try {
+      await reorderSuperlatives(orderedIds, currentSuperlativeId);
+    } catch (error) {
+      console.error("Error reordering superlatives:", error);
+      alert("Failed to save the new order.");
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-300 text-left">
+      <h2 className="text-xl font-semibold text-gray-700 mb-1 text-center">Superlatives</h2>
+      <p className="text-sm text-gray-600 mb-3 text-center">Drag to reorder. Changes show up on every device right away.</p>
+
+      {orderedIds.length > 0 && (
+        <ol className="divide-y divide-gray-200 border rounded bg-white mb-3">
+          {orderedIds.filter(id => superlativesById[id]).map((id, index) => {
+            const superlative = superlativesById[id];
+            const isCurrent = id === currentSuperlativeId;
+            return (
+              <li
+                key={id}
+                draggable
+                onDragStart={() => setDraggedId(id)}
+                onDragOver={(e) => handleDragOver(e, id)}
+                onDragEnd={handleDragEnd}
+                className={`flex items-center justify-between gap-2 p-2 cursor-move ${draggedId === id ? 'opacity-50' : ''}`}
+              >
+                <span className="text-gray-800">
+                  <span className="text-gray-400 mr-2">⠿ {index + 1}.</span>
+                  {superlative.title}
+                  {isCurrent && <span className="ml-2 text-xs text-green-600">(current)</span>}
+                </span>
+                <span className="flex gap-2 text-sm shrink-0">
+                  <button onClick={() => setPreviewSuperlative(superlative)} className="text-indigo-500 hover:underline">Preview</button>
+                  <button onClick={() => startEditing(superlative)} className="text-blue-500 hover:underline">Edit</button>
+                  <button
+                    onClick={() => handleDelete(superlative)}
+                    disabled={isCurrent}
+                    title={isCurrent ? "Move to another superlative before deleting this one" : undefined}
+                    className="text-red-500 hover:underline disabled:opacity-40 disabled:no-underline"
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {!draft && (
+        <button onClick={() => startEditing(null)} className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 transition duration-150">
+          Add Superlative
+        </button>
+      )}
+
+      {draft && (
+        <form onSubmit={handleSave} className="border rounded bg-gray-50 p-3 space-y-3">
+          <h3 className="font-semibold text-gray-700">{editingId === 'new' ? 'New superlative' : 'Edit superlative'}</h3>
+          <div>
+            <label htmlFor="superlativeTitle" className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+            <input
+              id="superlativeTitle"
+              type="text"
+              value={draft.title}
+              maxLength={MAX_TITLE_LENGTH}
+              onChange={(e) => updateDraft({ title: e.target.value })}
+              placeholder="Most Likely to..."
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Nominees</p>
+            {editingId === currentSuperlativeId && (
+              <p className="text-xs text-yellow-700 mb-1">Voting may be under way: renaming or removing a nominee drops the votes they already have.</p>
+            )}
+            <div className="space-y-2">
+              {draft.nominees.map((nominee, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  {nominee.image.trim() ? (
+                    <img src={nominee.image} alt="" className="w-8 h-8 rounded-full object-cover border" onError={(e) => { e.target.style.visibility = 'hidden'; }} />
+                  ) : <span className="w-8 h-8 rounded-full bg-gray-200 shrink-0" />}
+                  <input
+                    type="text"
+                    value={nominee.name}
+                    onChange={(e) => updateNominee(index, { name: e.target.value })}
+                    placeholder="Name"
+                    className={inputClassName}
+                  />
+                  <input
+                    type="text"
+                    value={nominee.image}
+                    onChange={(e) => updateNominee(index, { image: e.target.value })}
+                    placeholder="/images/name.jpg"
+                    className={inputClassName}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateDraft({ nominees: draft.nominees.filter((_, i) => i !== index) })}
+                    className="text-red-500 hover:underline text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => updateDraft({ nominees: [...draft.nominees, { name: '', image: '' }] })}
+              className="mt-2 text-sm text-blue-500 hover:underline"
+            >
+              + Add nominee
+            </button>
+            <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+              <input type="checkbox" checked={draft.nominationsEnabled} onChange={(e) => updateDraft({ nominationsEnabled: e.target.checked })} />
+              Start with a nomination round (participants suggest nominees first)
+            </label>
+          </div>
+
+          <fieldset className="border-t pt-2">
+            <legend className="text-sm font-medium text-gray-700">Result animation</legend>
+            <div className="grid grid-cols-2 gap-2 mt-1">
+              <label className="text-xs text-gray-600">
+                Confetti shape
+                <select
+                  value={draft.resultAnimation.confettiShape}
+                  onChange={(e) => updateAnimation({ confettiShape: e.target.value })}
+                  className={inputClassName}
+                >
+                  {getConfettiShapeOptions().map(shape => <option key={shape.value} value={shape.value}>{shape.label}</option>)}
+                </select>
+              </label>
+              <label className="text-xs text-gray-600">
+                Pieces (blank = default)
+                <input
+                  type="number"
+                  min="0"
+                  value={draft.resultAnimation.numberOfPieces}
+                  onChange={(e) => updateAnimation({ numberOfPieces: e.target.value })}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600 col-span-2">
+                Colors (comma-separated, blank = default)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.colors}
+                  onChange={(e) => updateAnimation({ colors: e.target.value })}
+                  placeholder="#34D399, #10B981"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600 col-span-2">
+                Sound effect (blank = default reveal sound)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.soundEffectUrl}
+                  onChange={(e) => updateAnimation({ soundEffectUrl: e.target.value })}
+                  placeholder="/sounds/song.mp3"
+                  className={inputClassName}
+                />
+              </label>
+              <p className="text-xs text-gray-500 col-span-2 mt-1">Custom pieces (replace the confetti shape above):</p>
+              <label className="text-xs text-gray-600 col-span-2">
+                Emoji or text (space-separated)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.glyphs}
+                  onChange={(e) => updateAnimation({ glyphs: e.target.value })}
+                  placeholder="🎓 📚 A+"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600 col-span-2">
+                Pictures (comma-separated)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.images}
+                  onChange={(e) => updateAnimation({ images: e.target.value })}
+                  placeholder="/images/cap.png"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Nominee photos
+                <select
+                  value={draft.resultAnimation.nomineePhotos}
+                  onChange={(e) => updateAnimation({ nomineePhotos: e.target.value })}
+                  className={inputClassName}
+                >
+                  {CUSTOM_SHAPE_PHOTO_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+              </label>
+              <label className="text-xs text-gray-600">
+                Piece size (blank = 24)
+                <input
+                  type="number"
+                  min="4"
+                  max="200"
+                  value={draft.resultAnimation.pieceSize}
+                  onChange={(e) => updateAnimation({ pieceSize: e.target.value })}
+                  className={inputClassName}
+                />
+              </label>
+              <label className="flex items-center gap-2 text-xs text-gray-600 col-span-2">
+                <input type="checkbox" checked={draft.resultAnimation.recycle} onChange={(e) => updateAnimation({ recycle: e.target.checked })} />
+                Keep the confetti falling until the next superlative
+              </label>
+              <p className="text-xs text-gray-500 col-span-2 mt-1">Reveal effects (played together with the confetti):</p>
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                <input type="checkbox" checked={draft.resultAnimation.spotlight} onChange={(e) => updateAnimation({ spotlight: e.target.checked })} />
+                Spotlight on the winner
+              </label>
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                <input type="checkbox" checked={draft.resultAnimation.shake} onChange={(e) => updateAnimation({ shake: e.target.checked })} />
+                Shake the screen
+              </label>
+              <label className="text-xs text-gray-600 col-span-2">
+                Banner text ({'{winner}'} and {'{title}'} are filled in)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.bannerText}
+                  onChange={(e) => updateAnimation({ bannerText: e.target.value })}
+                  placeholder="{winner} will be famous!"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Video or GIF clip
+                <input
+                  type="text"
+                  value={draft.resultAnimation.videoSrc}
+                  onChange={(e) => updateAnimation({ videoSrc: e.target.value })}
+                  placeholder="/videos/clip.mp4"
+                  className={inputClassName}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Flash color (blank = no flash)
+                <input
+                  type="text"
+                  value={draft.resultAnimation.flashColor}
+                  onChange={(e) => updateAnimation({ flashColor: e.target.value })}
+                  placeholder="white"
+                  className={inputClassName}
+                />
+              </label>
+            </div>
+          </fieldset>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition duration-150 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setPreviewSuperlative(toPreviewSuperlative(draft, superlativesById[editingId]))}
+              className="py-2 px-4 rounded text-indigo-600 hover:bg-indigo-50"
+            >
+              Preview reveal
+            </button>
+            <button type="button" onClick={stopEditing} className="py-2 px-4 rounded text-gray-600 hover:bg-gray-200">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {previewSuperlative && <RevealPreview superlative={previewSuperlative} onClose={() => setPreviewSuperlative(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { eventDoc } from './events';
+import { ROSTER_DIRECTORY_DOC_PATH } from './roster';
+import { applySuperlativeImport } from './superlatives';
+import {
+  ANIMATION_PRESETS,
+  getImportFormat,
+  parseImportFile,
+  buildImportedSuperlatives,
+  diffImport,
+  describeImportValue,
+} from './superlativeImport.mjs';
+
+// Admin bulk import from a CSV, JSON or YAML file (format in superlativeImport.mjs). Nothing is
+// written until the admin has seen the diff against the event's superlatives and confirmed it.
+export default function SuperlativeImporter({ superlatives }) {
+  const [rosterNames, setRosterNames] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [removeMissing, setRemoveMissing] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(eventDoc(...ROSTER_DIRECTORY_DOC_PATH), (docSnap) => {
+      setRosterNames(docSnap.exists() ? docSnap.data().names || [] : []);
+    }, (error) => {
+      console.error("Error subscribing to roster directory:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const { superlatives: imported, errors } = useMemo(
+    () => (parsed ? buildImportedSuperlatives(parsed, { rosterNames }) : { superlatives: [], errors: [] }),
+    [parsed, rosterNames]
+  );
+  // Recomputed as the live list changes, so the preview never goes stale
+  const diff = useMemo(() => diffImport(superlatives, imported, { removeMissing }), [superlatives, imported, removeMissing]);
+  const changeCount = diff.creates.length + diff.updates.length + diff.removes.length;
+
+  const clearFile = () => {
+    setFileName('');
+    setParsed(null);
+    setFileError('');
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Picking the same file again after editing it should reload it
+    if (!file) return;
+    setFileName(file.name);
+    setFileError('');
+    setParsed(null);
+    try {
+      setParsed(parseImportFile(await file.text(), getImportFormat(file.name)));
+    } catch (error) {
+      setFileError(error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (diff.removes.length > 0 && !window.confirm(`This deletes ${diff.removes.length} superlative(s) and their votes. Continue?`)) return;
+    setIsImporting(true);
+    try {
+      await applySuperlativeImport(diff);
+      alert(`Imported: ${diff.creates.length} added, ${diff.updates.length} updated, ${diff.removes.length} removed.`);
+      clearFile();
+    } catch (error) {
+      console.error("Error importing superlatives:", error);
+      alert("Failed to import superlatives. Some changes may have been saved; check the list above.");
+    }
+    setIsImporting(false);
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-300 text-left">
+      <h2 className="text-xl font-semibold text-gray-700 mb-1 text-center">Import Superlatives</h2>
+      <p className="text-sm text-gray-600 mb-3 text-center">
+        CSV, JSON or YAML, one superlative per row (columns: title, nominees, animation, order, nominations, timer).
+        Write nominees as <code>Jane; John|/images/john.jpg</code>, or <code>@roster; -Jane</code> for the roster minus Jane.
+        Animation presets: {Object.keys(ANIMATION_PRESETS).join(', ')}.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <input type="file" accept=".csv,.json,.yaml,.yml" onChange={handleFileChange} className="text-sm" />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={removeMissing} onChange={(e) => setRemoveMissing(e.target.checked)} />
+          Delete superlatives that aren't in the file
+        </label>
+      </div>
+
+      {fileError && <p className="text-sm text-red-600 mb-2">{fileName}: {fileError}</p>}
+
+      {parsed && (
+        <div className="border rounded bg-gray-50 p-3 space-y-3 text-sm">
+          {errors.length > 0 && (
+            <div>
+              <p className="font-semibold text-red-600">Fix these rows before importing:</p>
+              <ul className="text-red-600 list-disc list-inside">
+                {errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {diff.creates.length > 0 && (
+            <div>
+              <p className="font-semibold text-green-700">Add ({diff.creates.length})</p>
+              <ul className="list-disc list-inside text-gray-700">
+                {diff.creates.map(s => <li key={s.title}>{s.title} — {describeImportValue(s.nominees)}</li>)}
+              </ul>
+            </div>
+          )}
+          {diff.updates.length > 0 && (
+            <div>
+              <p className="font-semibold text-blue-700">Update ({diff.updates.length})</p>
+              <ul className="list-disc list-inside text-gray-700">
+                {diff.updates.map(update => (
+                  <li key={update.id}>
+                    {update.title}
+                    <ul className="ml-6 text-xs text-gray-600">
+                      {Object.entries(update.changes).map(([field, { from, to }]) => (
+                        <li key={field}>
+                          {field}: <span className="line-through">{describeImportValue(from)}</span> → {describeImportValue(to)}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {diff.removes.length > 0 && (
+            <div>
+              <p className="font-semibold text-red-700">Delete ({diff.removes.length})</p>
+              <ul className="list-disc list-inside text-gray-700">
+                {diff.removes.map(s => <li key={s.id}>{s.title}</li>)}
+              </ul>
+            </div>
+          )}
+          {diff.unchanged.length > 0 && <p className="text-gray-500">Unchanged: {diff.unchanged.join(', ')}</p>}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleImport}
+              disabled={isImporting || errors.length > 0 || changeCount === 0}
+              className="bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition duration-150 disabled:opacity-50"
+            >
+              {isImporting ? 'Importing...' : changeCount === 0 ? 'Nothing to change' : `Import ${changeCount} change(s)`}
+            </button>
+            <button onClick={clearFile} className="py-2 px-4 rounded text-gray-600 hover:bg-gray-200">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+
+const ROW_HEIGHT = 44; // px; rows are absolutely positioned so they can slide when the order changes
+
+// Horizontal bar chart of per-nominee scores. Bars grow and rows slide into rank order as the
+// numbers change; with animateIn, it starts empty in name order and animates into the final result.
+export default function VoteChart({ rankings, unit = 'vote(s)', winnerNames = [], animateIn = false, showVoteCounts = false, dark = false }) {
+  const [hasEntered, setHasEntered] = useState(!animateIn);
+
+  useEffect(() => {
+    if (!animateIn) return;
+    setHasEntered(false);
+    const timeout = setTimeout(() => setHasEntered(true), 50); // Let the empty chart paint first
+    return () => clearTimeout(timeout);
+  }, [animateIn]);
+
+  const byName = [...rankings].sort((a, b) => a.name.localeCompare(b.name));
+  const byScore = [...rankings].sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  const order = hasEntered ? byScore : byName;
+  const maxScore = Math.max(...rankings.map(r => r.score), 0);
+
+  return (
+    <div className="relative w-full" style={{ height: rankings.length * ROW_HEIGHT }}>
+      {/* Rendered in a stable order so React keeps each row's DOM node and the transitions run */}
+      {byName.map(r => {
+        const position = order.findIndex(o => o.name === r.name);
+        const widthPercent = hasEntered && maxScore > 0 ? (r.score / maxScore) * 100 : 0;
+        const isWinner = winnerNames.includes(r.name);
+        return (
+          <div
+            key={r.name}
+            className="absolute left-0 right-0 flex items-center gap-3 transition-transform duration-700 ease-out"
+            style={{ height: ROW_HEIGHT, transform: `translateY(${position * ROW_HEIGHT}px)` }}
+          >
+            <span className={`w-1/3 truncate text-right font-medium ${dark ? 'text-gray-200' : 'text-gray-700'}`}>{r.name}</span>
+            <div className={`flex-1 h-6 rounded ${dark ? 'bg-gray-700' : 'bg-gray-200'}`}>
+              <div
+                className={`h-full rounded transition-all duration-1000 ease-out ${isWinner ? 'bg-yellow-400' : 'bg-blue-500'}`}
+                style={{ width: `${widthPercent}%` }}
+              />
+            </div>
+            <span className={`${showVoteCounts ? 'w-40' : 'w-24'} text-sm ${dark ? 'text-gray-300' : 'text-gray-600'}`}>
+              <span className="font-semibold">{hasEntered ? r.score : 0}</span> {unit}
+              {showVoteCounts && ` (${r.voteCount} vote(s))`}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+
+const ORDINALS = ['1st', '2nd', '3rd'];
+const ordinal = (position) => ORDINALS[position] || `${position + 1}th`;
+
+// The voter's ballot for the current superlative in its voting mode (see getVotingConfig in tally.js):
+// a radio group for 'single', checkboxes for 'approval' and tap-to-rank for 'ranked'.
+export default function VotingBallot({ superlativeId, nominees, voting, selectedChoices, onSubmit, disabled }) {
+  // Ranked ballots are built up locally and submitted together; the other modes vote on every change
+  const [rankingDraft, setRankingDraft] = useState(selectedChoices);
+  const selectedChoicesKey = selectedChoices.join('\n');
+
+  // Reset the draft to the submitted ballot when it changes or the superlative moves on
+  useEffect(() => {
+    setRankingDraft(selectedChoicesKey ? selectedChoicesKey.split('\n') : []);
+  }, [superlativeId, selectedChoicesKey]);
+
+  const handleToggleApproval = (name) => {
+    const newChoices = selectedChoices.includes(name)
+      ? selectedChoices.filter(choice => choice !== name)
+      : [...selectedChoices, name];
+    if (newChoices.length === 0 || newChoices.length > voting.maxSelections) return; // Keep at least one approval
+    onSubmit(newChoices);
+  };
+
+  const handleToggleRank = (name) => {
+    setRankingDraft(prevDraft => {
+      if (prevDraft.includes(name)) return prevDraft.filter(choice => choice !== name);
+      if (prevDraft.length >= voting.maxSelections) return prevDraft;
+      return [...prevDraft, name];
+    });
+  };
+
+  const renderNominee = (n) => (
+    <>
+      <img
+        src={n.image || '/images/default-avatar.png'}
+        alt={n.name}
+        className="w-16 h-16 rounded-full object-cover"
+        onError={(e) => { e.target.style.display = 'none'; }}
+      />
+      <span className="text-lg font-medium">{n.name}</span>
+    </>
+  );
+
+  if (voting.mode === 'ranked') {
+    const isDraftSubmitted = rankingDraft.length > 0 && rankingDraft.join('\n') === selectedChoices.join('\n');
+    return (
+      <>
+        <p className="text-center text-sm text-gray-600">Tap nominees in order to rank your top {voting.maxSelections}. Tap again to remove.</p>
+        {nominees.map((n) => {
+          const position = rankingDraft.indexOf(n.name);
+          const isRanked = position !== -1;
+          return (
+            <button
+              key={n.name}
+              type="button"
+              onClick={() => handleToggleRank(n.name)}
+              disabled={disabled || (!isRanked && rankingDraft.length >= voting.maxSelections)}
+              className={`flex items-center gap-4 border p-4 rounded hover:shadow text-left disabled:cursor-not-allowed ${isRanked ? 'ring-2 ring-blue-500 border-blue-500' : 'border-gray-300'}`}
+            >
+              <span className={`w-10 text-center font-bold ${isRanked ? 'text-blue-600' : 'text-gray-300'}`}>
+                {isRanked ? ordinal(position) : '–'}
+              </span>
+              {renderNominee(n)}
+            </button>
+          );
+        })}
+        <button
+          type="button"
+          onClick={() => onSubmit(rankingDraft)}
+          disabled={disabled || rankingDraft.length === 0 || isDraftSubmitted}
+          className="bg-blue-500 text-white py-2 px-4 rounded hover:bg-blue-600 disabled:opacity-50 transition duration-150"
+        >
+          {isDraftSubmitted ? 'Ranking Submitted' : 'Submit Ranking'}
+        </button>
+      </>
+    );
+  }
+
+  if (voting.mode === 'approval') {
+    return (
+      <>
+        <p className="text-center text-sm text-gray-600">Pick up to {voting.maxSelections} nominees.</p>
+        {nominees.map((n) => {
+          const isChecked = selectedChoices.includes(n.name);
+          const isAtLimit = !isChecked && selectedChoices.length >= voting.maxSelections;
+          return (
+            <label
+              key={n.name}
+              className={`flex items-center gap-4 border p-4 rounded hover:shadow ${disabled || isAtLimit ? 'cursor-not-allowed opacity-70' : 'cursor-pointer'} ${isChecked ? 'ring-2 ring-blue-500 border-blue-500' : 'border-gray-300'}`}
+            >
+              <input type="checkbox" value={n.name} checked={isChecked} onChange={() => handleToggleApproval(n.name)} disabled={disabled || isAtLimit} className="form-checkbox h-5 w-5 text-blue-600"/>
+              {renderNominee(n)}
+            </label>
+          );
+        })}
+      </>
+    );
+  }
+
+  return (
+    <>
+      {nominees.map((n) => (
+        <label
+          key={n.name}
+          className={`flex items-center gap-4 border p-4 rounded hover:shadow ${disabled ? 'cursor-not-allowed opacity-70' : 'cursor-pointer'} ${selectedChoices[0] === n.name ? 'ring-2 ring-blue-500 border-blue-500' : 'border-gray-300'}`}
+        >
+          <input type="radio" name={superlativeId} value={n.name} checked={selectedChoices[0] === n.name} onChange={() => onSubmit([n.name])} disabled={disabled} className="form-radio h-5 w-5 text-blue-600"/>
+          {renderNominee(n)}
+        </label>
+      ))}
+    </>
+  );
+}
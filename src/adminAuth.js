@@ -0,0 +1,25 @@
+import { db } from './firebase';
+import { doc, getDoc } from 'firebase/firestore';
+
+// Firestore collection holding one document per admin uid (see firestore.rules)
+const ADMINS_COLLECTION = 'admins';
+
+/**
+ * Checks whether a signed-in Firebase user has the admin role.
+ * The role comes from an `admin` custom claim or a document in the admins collection,
+ * both of which can only be granted from the Admin SDK (see manageSuperlatives.js).
+ * @param {import('firebase/auth').User | null} user - The signed-in user.
+ * @returns {Promise<boolean>}
+ */
+export async function isAdminUser(user) {
+  if (!user || user.isAnonymous) return false;
+  try {
+    const tokenResult = await user.getIdTokenResult();
+    if (tokenResult.claims.admin === true) return true;
+    const adminDocSnap = await getDoc(doc(db, ADMINS_COLLECTION, user.uid));
+    return adminDocSnap.exists();
+  } catch (error) {
+    console.error("Error checking admin role:", error);
+    return false;
+  }
+}
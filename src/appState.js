@@ -0,0 +1,5 @@
+// Firestore collection names and document IDs shared by the voting app and the /display screen.
+// They live under the current event (see events.js).
+export const STATE_COLLECTION = 'state';
+export const CURRENT_STATE_DOC = 'current';
+export const SUPERLATIVES_COLLECTION = 'superlatives';
@@ -0,0 +1,116 @@
+// Canvas drawing shared by the award certificates (certificates.js) and the share cards (shareCards.js).
+
+const imageCache = new Map();
+
+/**
+ * Loads a photo for drawing. Photos that fail to load (or come from a server that doesn't allow
+ * it) resolve to null and are drawn as initials instead, since a cross-origin image would stop
+ * the canvas from being saved.
+ * @param {string | null} src
+ * @returns {Promise<HTMLImageElement | null>}
+ */
+export function loadImage(src) {
+  if (!src) return Promise.resolve(null);
+  if (!imageCache.has(src)) {
+    imageCache.set(src, new Promise(resolve => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = src;
+    }));
+  }
+  return imageCache.get(src);
+}
+
+/**
+ * Splits text into lines no wider than maxWidth in the context's current font.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+export function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Draws wrapped text from the top, shrinking the font until it fits in maxLines.
+ * x is the center of the text, or its left edge with align 'left'.
+ * @returns {number} The height used.
+ */
+export function drawCenteredText(ctx, text, { x, y, maxWidth, fontSize, fontFamily, weight = '', style = '', color, maxLines = 2, align = 'center' }) {
+  if (!text) return 0;
+  let size = fontSize;
+  let lines;
+  do {
+    ctx.font = `${style} ${weight} ${size}px ${fontFamily}`.trim();
+    lines = wrapText(ctx, text, maxWidth);
+    size -= 2;
+  } while (lines.length > maxLines && size > 10);
+  const lineHeight = (size + 2) * 1.2;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  lines.slice(0, maxLines).forEach((line, i) => ctx.fillText(line, x, y + i * lineHeight));
+  return Math.min(lines.length, maxLines) * lineHeight;
+}
+
+/**
+ * Draws a round photo with a ring, or the person's initials on the accent color without one.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement | null} image - From loadImage.
+ * @param {string} name
+ * @param {{ x: number, y: number, radius: number, accentColor: string }} options - x and y are the center.
+ */
+export function drawPhoto(ctx, image, name, { x, y, radius, accentColor }) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.closePath();
+  ctx.clip();
+  if (image) {
+    // Cover the circle, cropping the longer side
+    const scale = Math.max((radius * 2) / image.width, (radius * 2) / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, x - width / 2, y - height / 2, width, height);
+  } else {
+    ctx.fillStyle = accentColor;
+    ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = `bold ${radius * 0.8}px Georgia, serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    ctx.fillText(initials, x, y);
+  }
+  ctx.restore();
+  ctx.lineWidth = radius * 0.06;
+  ctx.strokeStyle = accentColor;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type - e.g. 'image/png'.
+ * @param {number} [quality] - For JPEG.
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("The image could not be saved."))), type, quality);
+});
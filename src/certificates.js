@@ -0,0 +1,255 @@
+import { updateDoc } from 'firebase/firestore';
+import { eventDoc } from './events';
+import { loadImage, drawCenteredText, drawPhoto, canvasToBlob } from './canvasDrawing';
+
+// Award certificates for revealed winners (see CertificateGenerator.jsx), drawn on a canvas in the
+// browser and saved as PNG or PDF without any outside service. The admin's settings are kept on
+// the event doc as `certificate`:
+//   { templateId, paperSize, accentColor, heading, intro, body, footer, signature, date }
+// Text fields may use {name}, {superlative}, {event} and {date}; a blank date means today.
+
+export const CERTIFICATE_TEMPLATES = [
+  { id: 'classic', label: 'Classic (cream and gold)' },
+  { id: 'modern', label: 'Modern (color band)' },
+  { id: 'playful', label: 'Playful (confetti)' },
+];
+
+// Landscape pages in points (1/72 inch); canvases are drawn at 150 dpi
+export const PAPER_SIZES = {
+  letter: { label: 'US Letter', width: 792, height: 612 },
+  a4: { label: 'A4', width: 842, height: 595 },
+};
+const PIXELS_PER_POINT = 150 / 72;
+
+export const DEFAULT_CERTIFICATE_SETTINGS = {
+  templateId: 'classic',
+  paperSize: 'letter',
+  accentColor: '#B8860B',
+  heading: 'Certificate of Achievement',
+  intro: 'This certifies that',
+  body: 'was voted',
+  footer: '{event} · {date}',
+  signature: '',
+  date: '',
+};
+
+/**
+ * Merges the stored settings over the defaults.
+ * @param {object | undefined} certificate - The event doc's `certificate` field.
+ * @returns {typeof DEFAULT_CERTIFICATE_SETTINGS}
+ */
+export function getCertificateSettings(certificate) {
+  return { ...DEFAULT_CERTIFICATE_SETTINGS, ...(certificate || {}) };
+}
+
+/**
+ * Saves the certificate settings on the current event (admin only).
+ * @param {typeof DEFAULT_CERTIFICATE_SETTINGS} settings
+ */
+export async function saveCertificateSettings(settings) {
+  await updateDoc(eventDoc(), { certificate: settings });
+}
+
+/**
+ * One certificate per winner per revealed superlative, in superlative order (tied winners each get one).
+ * @param {object[]} superlatives - In order, with `revealedWinnerData`.
+ * @returns {{ key: string, name: string, image: string | null, superlative: string, isTie: boolean }[]}
+ */
+export function getCertificateEntries(superlatives) {
+  return superlatives.flatMap(s => (s.revealedWinnerData || []).map(winner => ({
+    key: `${s.id}:${winner.name}`,
+    name: winner.name,
+    image: winner.image || null,
+    superlative: s.title,
+    isTie: winner.isTie === true,
+  })));
+}
+
+/**
+ * Fills {name}, {superlative}, {event} and {date} in a template text.
+ * @param {string} text
+ * @param {Object<string, string>} fields
+ * @returns {string}
+ */
+export function fillCertificateText(text, fields) {
+  return (text || '').replace(/\{(\w+)\}/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+// Each template draws its background and returns the fonts and text area for the shared layout
+// (bottom is where the footer and signature line go)
+const TEMPLATE_BACKGROUNDS = {
+  classic(ctx, width, height, accentColor) {
+    ctx.fillStyle = '#FFFBEF';
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = accentColor;
+    ctx.lineWidth = width * 0.008;
+    ctx.strokeRect(width * 0.03, width * 0.03, width * 0.94, height - width * 0.06);
+    ctx.lineWidth = width * 0.002;
+    ctx.strokeRect(width * 0.045, width * 0.045, width * 0.91, height - width * 0.09);
+    return { left: width * 0.08, right: width * 0.92, top: height * 0.1, bottom: height * 0.86, headingFont: 'Georgia, serif', textFont: 'Georgia, serif', textColor: '#3F3A2E' };
+  },
+  modern(ctx, width, height, accentColor) {
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = accentColor;
+    ctx.fillRect(0, 0, width * 0.12, height);
+    ctx.fillRect(width * 0.12, height - height * 0.03, width * 0.88, height * 0.03);
+    return { left: width * 0.17, right: width * 0.95, top: height * 0.09, bottom: height * 0.87, headingFont: 'Helvetica, Arial, sans-serif', textFont: 'Helvetica, Arial, sans-serif', textColor: '#1F2937' };
+  },
+  playful(ctx, width, height, accentColor) {
+    ctx.fillStyle = '#F5F3FF';
+    ctx.fillRect(0, 0, width, height);
+    const colors = [accentColor, '#F472B6', '#60A5FA', '#34D399', '#FBBF24'];
+    // Fixed pseudo-random dots along the edges so every certificate in a batch looks the same
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    for (let i = 0; i < 90; i++) {
+      const onVerticalEdge = random() < 0.5;
+      const x = onVerticalEdge ? (random() < 0.5 ? random() * width * 0.08 : width - random() * width * 0.08) : random() * width;
+      const y = onVerticalEdge ? random() * height : (random() < 0.5 ? random() * height * 0.1 : height - random() * height * 0.1);
+      ctx.fillStyle = colors[i % colors.length];
+      ctx.beginPath();
+      ctx.arc(x, y, width * (0.004 + random() * 0.006), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.strokeStyle = accentColor;
+    ctx.lineWidth = width * 0.005;
+    ctx.beginPath();
+    ctx.roundRect(width * 0.09, height * 0.12, width * 0.82, height * 0.76, width * 0.03);
+    ctx.stroke();
+    return { left: width * 0.12, right: width * 0.88, top: height * 0.15, bottom: height * 0.8, headingFont: '"Trebuchet MS", Verdana, sans-serif', textFont: '"Trebuchet MS", Verdana, sans-serif', textColor: '#312E81' };
+  },
+};
+
+/**
+ * Draws one certificate on a new canvas.
+ * @param {ReturnType<typeof getCertificateEntries>[number]} entry
+ * @param {typeof DEFAULT_CERTIFICATE_SETTINGS} settings
+ * @param {string} eventName
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderCertificate(entry, settings, eventName) {
+  const paper = PAPER_SIZES[settings.paperSize] || PAPER_SIZES.letter;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(paper.width * PIXELS_PER_POINT);
+  canvas.height = Math.round(paper.height * PIXELS_PER_POINT);
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const drawBackground = TEMPLATE_BACKGROUNDS[settings.templateId] || TEMPLATE_BACKGROUNDS.classic;
+  const layout = drawBackground(ctx, width, height, settings.accentColor);
+
+  const fields = {
+    name: entry.name,
+    superlative: entry.superlative,
+    event: eventName || '',
+    date: settings.date || new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+  };
+  const text = (key) => fillCertificateText(settings[key], fields).trim();
+  const centerX = (layout.left + layout.right) / 2;
+  const maxWidth = layout.right - layout.left;
+  const common = { x: centerX, maxWidth, fontFamily: layout.textFont, color: layout.textColor };
+
+  let y = layout.top;
+  y += drawCenteredText(ctx, text('heading'), { ...common, y, fontSize: height * 0.07, fontFamily: layout.headingFont, weight: 'bold', color: settings.accentColor, maxLines: 1 });
+  y += height * 0.025;
+  const photoRadius = height * 0.085;
+  drawPhoto(ctx, await loadImage(entry.image), entry.name, { x: centerX, y: y + photoRadius, radius: photoRadius, accentColor: settings.accentColor });
+  y += photoRadius * 2 + height * 0.025;
+  y += drawCenteredText(ctx, text('intro'), { ...common, y, fontSize: height * 0.03, style: 'italic', maxLines: 1 });
+  y += height * 0.01;
+  y += drawCenteredText(ctx, entry.name, { ...common, y, fontSize: height * 0.075, weight: 'bold', maxLines: 1 });
+  y += height * 0.01;
+  y += drawCenteredText(ctx, text('body'), { ...common, y, fontSize: height * 0.03, style: 'italic', maxLines: 1 });
+  y += height * 0.01;
+  drawCenteredText(ctx, `“${entry.superlative}”${entry.isTie ? ' (shared)' : ''}`, { ...common, y, fontSize: height * 0.055, weight: 'bold', color: settings.accentColor });
+
+  // Footer and signature line along the bottom
+  const { bottom } = layout;
+  const signature = text('signature');
+  if (signature) {
+    const lineWidth = maxWidth * 0.3;
+    ctx.strokeStyle = layout.textColor;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(layout.right - lineWidth, bottom);
+    ctx.lineTo(layout.right, bottom);
+    ctx.stroke();
+    drawCenteredText(ctx, signature, { ...common, x: layout.right - lineWidth / 2, y: bottom + height * 0.01, maxWidth: lineWidth, fontSize: height * 0.022, maxLines: 1 });
+  }
+  drawCenteredText(ctx, text('footer'), {
+    ...common,
+    x: signature ? layout.left + maxWidth * 0.3 : centerX,
+    y: bottom + height * 0.01,
+    maxWidth: signature ? maxWidth * 0.6 : maxWidth,
+    fontSize: height * 0.025,
+    maxLines: 1,
+  });
+  return canvas;
+}
+
+/**
+ * A PNG of one certificate.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export function certificateToPng(canvas) {
+  return canvasToBlob(canvas, 'image/png');
+}
+
+/**
+ * A PDF with one certificate per page: each page is a JPEG of the canvas scaled to the paper size.
+ * Written by hand (the format only needs a few objects) to avoid a PDF library.
+ * @param {HTMLCanvasElement[]} canvases
+ * @param {string} paperSize - A PAPER_SIZES key.
+ * @returns {Promise<Blob>}
+ */
+export async function certificatesToPdf(canvases, paperSize) {
+  const paper = PAPER_SIZES[paperSize] || PAPER_SIZES.letter;
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (number) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+
+  // Objects: 1 catalog, 2 page tree, then page, content and image per certificate
+  const pageNumbers = canvases.map((_, i) => 3 + i * 3);
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  startObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${canvases.length} >>\nendobj\n`);
+
+  for (let i = 0; i < canvases.length; i++) {
+    const [pageNumber, contentNumber, imageNumber] = [pageNumbers[i], pageNumbers[i] + 1, pageNumbers[i] + 2];
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvases[i], 'image/jpeg', 0.92)).arrayBuffer());
+    const content = `q ${paper.width} 0 0 ${paper.height} 0 0 cm /Im0 Do Q`;
+    startObject(pageNumber);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${paper.width} ${paper.height}] /Resources << /XObject << /Im0 ${imageNumber} 0 R >> >> /Contents ${contentNumber} 0 R >>\nendobj\n`);
+    startObject(contentNumber);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+    startObject(imageNumber);
+    write(`<< /Type /XObject /Subtype /Image /Width ${canvases[i].width} /Height ${canvases[i].height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+    write(jpeg);
+    write('\nendstream\nendobj\n');
+  }
+
+  const objectCount = 3 + canvases.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let n = 1; n < objectCount; n++) {
+    write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return new Blob(parts, { type: 'application/pdf' });
+}
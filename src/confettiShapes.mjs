@@ -0,0 +1,287 @@
+// Confetti shapes for result animations (see ResultConfetti.jsx). A superlative's `resultAnimation`
+// picks one of two ways:
+//   confettiShape: "dollar"   - a shape registered here with registerConfettiShape
+//   customShape: { ... }      - pieces described in data, no code needed:
+//     glyphs: ["🎓", "A+"]                 emoji or short text, filled with the confetti colors
+//     images: ["/images/cap.png"]          pictures (URLs or paths in public/)
+//     nomineePhotos: "winners" | "all"     the winners' or every nominee's photo, cut round
+//     paths: ["M12 2 L22 22 L2 22 Z"]      SVG path data in a 24x24 box, filled with the confetti colors
+//     size: 28                             piece size in pixels (default 24)
+// Every piece keeps one glyph, picture or path for its whole fall.
+// It is an .mjs file so superlativeSchema.mjs can check shape names against the registry in Node as well;
+// nothing here touches the browser until a shape is drawn.
+
+const DEFAULT_PIECE_SIZE = 24;
+const PATH_BOX_SIZE = 24;
+
+const pieceChoices = new WeakMap();
+
+/**
+ * A random index fixed per confetti piece, so a piece doesn't change shape from frame to frame.
+ * @param {object} piece - The react-confetti particle (`this` inside a draw function).
+ * @param {number} count
+ * @returns {number}
+ */
+export function pickForPiece(piece, count) {
+  if (!piece || typeof piece !== 'object') return Math.floor(Math.random() * count);
+  if (!pieceChoices.has(piece)) pieceChoices.set(piece, Math.random());
+  return Math.floor(pieceChoices.get(piece) * count);
+}
+
+// Helper function to draw a dollar sign
+const drawDollarSign = (ctx) => {
+  const fontSize = 22; // Size of the dollar sign
+  ctx.font = `bold ${fontSize}px Arial`;
+  // react-confetti handles cycling through its `colors` prop for fillStyle
+  const text = '$';
+  const textMetrics = ctx.measureText(text);
+  // Center the text. react-confetti draws from the center of the piece.
+  const actualHeight = textMetrics.actualBoundingBoxAscent + textMetrics.actualBoundingBoxDescent;
+  ctx.fillText(text, -textMetrics.width / 2, actualHeight / 2);
+};
+
+// Helper function to draw a "No Drinking" sign
+const drawNoDrinkingSign = (ctx) => {
+  const size = 20; // Overall size of the symbol
+  const lineWidth = 2.5;
+
+  // Red circle
+  ctx.beginPath();
+  ctx.arc(0, 0, size / 2, 0, 2 * Math.PI, false);
+  ctx.fillStyle = 'rgba(255, 0, 0, 0.8)'; // Semi-transparent red
+  ctx.fill();
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = 'darkred';
+  ctx.stroke();
+
+  // Simple Martini Glass (white or light gray)
+  ctx.beginPath();
+  // Cup (inverted triangle)
+  ctx.moveTo(-size / 5, -size / 5);
+  ctx.lineTo(size / 5, -size / 5);
+  ctx.lineTo(0, size / 8);
+  ctx.closePath();
+  // Stem
+  ctx.moveTo(0, size / 8);
+  ctx.lineTo(0, size / 3);
+  // Base
+  ctx.moveTo(-size / 6, size / 3);
+  ctx.lineTo(size / 6, size / 3);
+
+  ctx.strokeStyle = '#FFFFFF'; // White outline for glass
+  ctx.lineWidth = lineWidth * 0.8;
+  ctx.stroke();
+
+  // Red slash (top-left to bottom-right)
+  ctx.beginPath();
+  ctx.moveTo(-size / 2 * 0.7, -size / 2 * 0.7);
+  ctx.lineTo(size / 2 * 0.7, size / 2 * 0.7);
+  ctx.strokeStyle = 'darkred';
+  ctx.lineWidth = lineWidth * 1.2;
+  ctx.stroke();
+};
+
+// Helper function to draw just an Airplane
+const drawAirplane = (ctx) => {
+  const size = 22; // Overall size of the symbol
+  const lineWidth = 2;
+  ctx.lineWidth = lineWidth;
+  ctx.fillStyle = 'rgba(75, 85, 99, 0.9)'; // Darker gray for airplane
+  ctx.strokeStyle = '#333333'; 
+
+  ctx.beginPath();
+  // Fuselage
+  ctx.moveTo(-size * 0.4, 0);
+  ctx.lineTo(-size * 0.3, -size * 0.1);
+  ctx.lineTo(size * 0.4, -size * 0.15);
+  ctx.lineTo(size * 0.45, 0);
+  ctx.lineTo(size * 0.4, size * 0.15);
+  ctx.lineTo(-size * 0.3, size * 0.1);
+  ctx.closePath();
+  // Wing
+  ctx.moveTo(-size * 0.15, -size * 0.1);
+  ctx.lineTo(0, -size * 0.4);
+  ctx.lineTo(size * 0.1, -size * 0.35);
+  ctx.lineTo(size * 0.05, -size * 0.1);
+  // Tail wing
+  ctx.moveTo(-size * 0.35, 0);
+  ctx.lineTo(-size * 0.45, -size * 0.2);
+  ctx.lineTo(-size * 0.4, -size * 0.18);
+  ctx.fill();
+  ctx.stroke();
+};
+
+// Helper function to draw Flight Mode related symbols (Airplane, No Signal, No Wi-Fi).
+// A regular function: react-confetti calls it with the piece as `this`, so each piece keeps its symbol.
+function drawFlightModeSymbols(ctx) {
+  const size = 22; // Overall size of the symbol
+  const lineWidth = 2;
+  ctx.lineWidth = lineWidth;
+  ctx.fillStyle = 'rgba(100, 100, 100, 0.8)'; // Default fill for symbols
+  ctx.strokeStyle = '#333333'; // Default stroke for symbols
+
+  const symbolType = pickForPiece(this, 3); // 0: Airplane, 1: No Signal, 2: No Wi-Fi
+
+  ctx.beginPath();
+
+  if (symbolType === 0) { // Airplane
+    ctx.fillStyle = 'rgba(75, 85, 99, 0.9)'; // Darker gray for airplane
+    // Fuselage
+    ctx.moveTo(-size * 0.4, 0);
+    ctx.lineTo(-size * 0.3, -size * 0.1);
+    ctx.lineTo(size * 0.4, -size * 0.15);
+    ctx.lineTo(size * 0.45, 0);
+    ctx.lineTo(size * 0.4, size * 0.15);
+    ctx.lineTo(-size * 0.3, size * 0.1);
+    ctx.closePath();
+    // Wing
+    ctx.moveTo(-size * 0.15, -size * 0.1);
+    ctx.lineTo(0, -size * 0.4);
+    ctx.lineTo(size * 0.1, -size * 0.35);
+    ctx.lineTo(size * 0.05, -size * 0.1);
+    // Tail wing
+    ctx.moveTo(-size * 0.35, 0);
+    ctx.lineTo(-size * 0.45, -size * 0.2);
+    ctx.lineTo(-size * 0.4, -size * 0.18);
+    ctx.fill();
+    ctx.stroke();
+  } else if (symbolType === 1) { // No Signal Bars
+    const barWidth = size / 6;
+    const barSpacing = size / 12;
+    let currentX = -size / 2 + barWidth / 2;
+    for (let i = 0; i < 4; i++) {
+      const barHeight = (size / 2) * ((i + 1) / 4);
+      ctx.rect(currentX, size / 2 - barHeight, barWidth, barHeight);
+      currentX += barWidth + barSpacing;
+    }
+    ctx.fill();
+    ctx.stroke();
+    // Red X or Slash over signal bars (optional, can be part of a general "no" symbol)
+    ctx.beginPath();
+    ctx.moveTo(-size/2.5, -size/3);
+    ctx.lineTo(size/2.5, size/3);
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
+    ctx.lineWidth = lineWidth * 1.5;
+    ctx.stroke();
+  } else { // No Wi-Fi Symbol (crossed out)
+    ctx.strokeStyle = 'rgba(0, 120, 255, 0.8)'; // Blue for Wi-Fi symbol
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      const radius = (size / 3) * (i + 1) * 0.4;
+      ctx.arc(0, size / 2.5, radius, Math.PI * 1.25, Math.PI * 1.75, false);
+      ctx.stroke();
+    }
+     // Red slash
+    ctx.beginPath();
+    ctx.moveTo(-size / 2.2, size / 2.2); // from top-left of symbol bounds
+    ctx.lineTo(size / 2.2, -size / 2.2); // to bottom-right of symbol bounds
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
+    ctx.lineWidth = lineWidth * 1.5;
+    ctx.stroke();
+  }
+}
+
+const shapeRegistry = new Map();
+
+/**
+ * Adds a named shape that superlatives can use as `resultAnimation.confettiShape`. Once
+ * registered it passes validation and shows up in the editor under its label.
+ * @param {string} name
+ * @param {{ label: string, draw: (ctx: CanvasRenderingContext2D) => void, defaultColors?: string[], forcedColors?: string[] }} shape
+ *   draw is called with the piece as `this`, centered on it. defaultColors apply unless the
+ *   superlative sets colors; forcedColors always apply (e.g. transparent, to hide the plain pieces).
+ */
+export function registerConfettiShape(name, shape) {
+  shapeRegistry.set(name, shape);
+}
+
+/**
+ * Every registered shape, in the order they were registered.
+ * @returns {{ name: string, label: string }[]}
+ */
+export function listConfettiShapes() {
+  return [...shapeRegistry].map(([name, shape]) => ({ name, label: shape.label || name }));
+}
+
+/**
+ * @param {string} name
+ * @returns {{ draw: Function, defaultColors?: string[], forcedColors?: string[] } | null}
+ */
+export function getConfettiShape(name) {
+  return shapeRegistry.get(name) || null;
+}
+
+registerConfettiShape('dollar', { label: 'Dollar signs', draw: drawDollarSign, defaultColors: ['#34D399', '#10B981', '#059669', '#047857'] });
+// The sign has its own colors; the pieces' colors only tint the background bits
+registerConfettiShape('noDrinkingSign', { label: 'No-drinking signs', draw: drawNoDrinkingSign, defaultColors: ['#FF0000', '#FFFFFF'] });
+registerConfettiShape('flightModeSymbols', { label: 'Flight mode symbols', draw: drawFlightModeSymbols, defaultColors: ['#A0A0A0', '#606060', '#EAEAEA'] });
+// Only airplanes: transparent colors keep any plain confetti from showing
+registerConfettiShape('flyingAirplanes', { label: 'Flying airplanes', draw: drawAirplane, forcedColors: ['rgba(0,0,0,0)'] });
+
+const spriteImages = new Map();
+
+// Pictures load in the background; a piece is skipped until its picture is ready
+function getSpriteImage(src) {
+  if (!spriteImages.has(src)) {
+    const image = new Image();
+    image.src = src;
+    spriteImages.set(src, image);
+  }
+  return spriteImages.get(src);
+}
+
+/**
+ * Builds a shape from a `resultAnimation.customShape` description.
+ * @param {object} customShape
+ * @param {{ nominees?: { image?: string }[], winners?: { image?: string }[] }} [people] - For nomineePhotos.
+ * @returns {{ draw: Function } | null} null when it describes no pieces.
+ */
+export function createCustomShape(customShape, { nominees = [], winners = [] } = {}) {
+  const size = customShape.size || DEFAULT_PIECE_SIZE;
+  const photoSources = customShape.nomineePhotos === 'all' ? nominees : customShape.nomineePhotos === 'winners' ? winners : [];
+  const sprites = [
+    ...(customShape.glyphs || []).map(text => ({ type: 'text', text })),
+    ...(customShape.images || []).map(src => ({ type: 'image', image: getSpriteImage(src), isRound: false })),
+    ...photoSources.filter(p => p.image).map(p => ({ type: 'image', image: getSpriteImage(p.image), isRound: true })),
+    ...(customShape.paths || []).map(d => ({ type: 'path', path: new Path2D(d) })),
+  ];
+  if (sprites.length === 0) return null;
+
+  return {
+    draw(ctx) {
+      const sprite = sprites[pickForPiece(this, sprites.length)];
+      if (sprite.type === 'text') {
+        ctx.font = `bold ${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(sprite.text, 0, 0);
+      } else if (sprite.type === 'path') {
+        ctx.scale(size / PATH_BOX_SIZE, size / PATH_BOX_SIZE);
+        ctx.translate(-PATH_BOX_SIZE / 2, -PATH_BOX_SIZE / 2);
+        ctx.fill(sprite.path);
+      } else if (sprite.image.complete && sprite.image.naturalWidth > 0) {
+        if (sprite.isRound) {
+          ctx.beginPath();
+          ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+          ctx.clip();
+        }
+        ctx.drawImage(sprite.image, -size / 2, -size / 2, size, size);
+      }
+    },
+  };
+}
+
+/**
+ * The shape a result animation asks for: its customShape, else its registered confettiShape.
+ * @param {object | undefined} resultAnimation
+ * @param {{ nominees?: object[], winners?: object[] }} [people]
+ * @returns {{ draw: Function, defaultColors?: string[], forcedColors?: string[] } | null} null for plain confetti.
+ */
+export function resolveConfettiShape(resultAnimation, people) {
+  if (resultAnimation?.customShape) {
+    const customShape = createCustomShape(resultAnimation.customShape, people);
+    if (customShape) return customShape;
+  }
+  if (!resultAnimation?.confettiShape) return null;
+  return getConfettiShape(resultAnimation.confettiShape); // Unknown names are refused when saved; plain confetti here
+}
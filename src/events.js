@@ -0,0 +1,154 @@
+import { db } from './firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import { STATE_COLLECTION, CURRENT_STATE_DOC, SUPERLATIVES_COLLECTION } from './appState';
+import { generateInviteCode, normalizeInviteCode } from './roster';
+
+// Each event (one graduating class, one party...) owns its superlatives, session state, roster,
+// participants, nominations, votes and tallies as subcollections of events/{eventId}.
+// Join codes live in their own collection so a voter can look one up without listing events.
+export const EVENTS_COLLECTION = 'events';
+export const EVENT_JOIN_CODES_COLLECTION = 'eventJoinCodes';
+
+const EVENT_STORAGE_KEY = 'superlativesEventId'; // Last event this device opened
+
+// The event is picked once per page load, from ?event=ID or else the last one opened on this device.
+// Switching events reloads the page (see openEvent), so every subscription follows the new event.
+const currentEventId = (() => {
+  const fromUrl = new URLSearchParams(window.location.search).get('event');
+  if (fromUrl) {
+    localStorage.setItem(EVENT_STORAGE_KEY, fromUrl);
+    return fromUrl;
+  }
+  return localStorage.getItem(EVENT_STORAGE_KEY);
+})();
+
+// Session settings a new event takes over from its template, along with the superlatives
+const TEMPLATE_STATE_FIELDS = ['timerSeconds', 'timerAutoStart', 'timerAutoReveal'];
+
+/**
+ * The id of the event this page is showing, or null when none has been picked yet.
+ * @returns {string | null}
+ */
+export function getCurrentEventId() {
+  return currentEventId;
+}
+
+/**
+ * A document reference inside the current event, e.g. eventDoc('votes', voteId).
+ * @param {...string} pathSegments
+ * @returns {import('firebase/firestore').DocumentReference}
+ */
+export function eventDoc(...pathSegments) {
+  return doc(db, EVENTS_COLLECTION, currentEventId, ...pathSegments);
+}
+
+/**
+ * A collection reference inside the current event, e.g. eventCollection('votes').
+ * @param {...string} pathSegments
+ * @returns {import('firebase/firestore').CollectionReference}
+ */
+export function eventCollection(...pathSegments) {
+  return collection(db, EVENTS_COLLECTION, currentEventId, ...pathSegments);
+}
+
+/**
+ * Adds the event to a join link, so scanning it lands in the right event.
+ * @param {string} baseUrl - The login page URL (qrCodeTargetUrl).
+ * @param {string} [eventId] - Defaults to the current event.
+ * @returns {string}
+ */
+export function getEventUrl(baseUrl, eventId = currentEventId) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('event', eventId);
+  return url.toString();
+}
+
+/**
+ * Switches this device to an event by reloading the page (the app or /display) with it in the URL.
+ * @param {string} eventId
+ */
+export function openEvent(eventId) {
+  localStorage.setItem(EVENT_STORAGE_KEY, eventId);
+  window.location.assign(getEventUrl(`${window.location.origin}${window.location.pathname}`, eventId));
+}
+
+/**
+ * Forgets the current event and goes back to the event picker.
+ */
+export function leaveEvent() {
+  localStorage.removeItem(EVENT_STORAGE_KEY);
+  window.location.assign(`${window.location.origin}/`);
+}
+
+/**
+ * Looks up the event a join code belongs to.
+ * Throws an Error with a user-facing message if the code is unknown.
+ * @param {string} joinCode
+ * @returns {Promise<string>} The event id.
+ */
+export async function resolveJoinCode(joinCode) {
+  const code = normalizeInviteCode(joinCode);
+  if (!code) throw new Error("Please enter the event code.");
+  const joinCodeSnap = await getDoc(doc(db, EVENT_JOIN_CODES_COLLECTION, code));
+  if (!joinCodeSnap.exists()) {
+    throw new Error("That event code was not found. Check it and try again.");
+  }
+  return joinCodeSnap.data().eventId;
+}
+
+/**
+ * Creates an event with a fresh join code (admin only). With a template, the new event starts with
+ * copies of the template's superlatives (without their results) and its timer settings.
+ * @param {{ name: string, templateEventId?: string | null }} options
+ * @returns {Promise<string>} The new event's id.
+ */
+export async function createEvent({ name, templateEventId = null }) {
+  const eventDocRef = doc(collection(db, EVENTS_COLLECTION));
+  const joinCode = generateInviteCode();
+  const batch = writeBatch(db);
+
+  const initialState = {
+    isSessionStarted: false,
+    qrCodeTargetUrl: window.location.origin,
+    currentQuestionIndex: 0,
+    currentSuperlativeId: null,
+    isResultShown: false,
+    allSuperlativesCompleted: false,
+  };
+
+  if (templateEventId) {
+    const templateStateSnap = await getDoc(doc(db, EVENTS_COLLECTION, templateEventId, STATE_COLLECTION, CURRENT_STATE_DOC));
+    const templateState = templateStateSnap.exists() ? templateStateSnap.data() : {};
+    TEMPLATE_STATE_FIELDS.forEach(field => {
+      if (templateState[field] !== undefined) initialState[field] = templateState[field];
+    });
+
+    const templateSuperlatives = await getDocs(collection(db, EVENTS_COLLECTION, templateEventId, SUPERLATIVES_COLLECTION));
+    templateSuperlatives.forEach(superlativeSnap => {
+      const { revealedWinnerData, revealedResults, ...superlative } = superlativeSnap.data();
+      if (superlative.nominations) {
+        const { closedAt, ...nominations } = superlative.nominations; // Reopen the nomination round
+        superlative.nominations = nominations;
+      }
+      batch.set(doc(eventDocRef, SUPERLATIVES_COLLECTION, superlativeSnap.id), superlative);
+    });
+  }
+
+  batch.set(eventDocRef, {
+    name: name.trim(),
+    joinCode,
+    templateEventId,
+    createdAt: serverTimestamp(),
+  });
+  batch.set(doc(db, EVENT_JOIN_CODES_COLLECTION, joinCode), { eventId: eventDocRef.id });
+  batch.set(doc(eventDocRef, STATE_COLLECTION, CURRENT_STATE_DOC), initialState);
+  await batch.commit();
+  return eventDocRef.id;
+}
@@ -2,9 +2,16 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import './index.css'
 import App from './App'
+import Display from './Display'
+import EventPicker from './EventPicker'
+import { getCurrentEventId } from './events'
+
+// The projector opens /display for the read-only big-screen view; everything else is the voting app.
+// Both need an event (see events.js); until one is picked, the event picker is shown instead.
+const isDisplayRoute = window.location.pathname.replace(/\/+$/, '') === '/display'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {!getCurrentEventId() ? <EventPicker /> : isDisplayRoute ? <Display /> : <App />}
   </React.StrictMode>,
 )
@@ -0,0 +1,115 @@
+import { setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { eventDoc } from './events';
+
+// Firestore collection with one doc per participant per superlative, holding the names they
+// nominated. Only the admin and the nominator can read it.
+export const NOMINATIONS_COLLECTION = 'nominations';
+
+// firestore.rules enforces the same limits
+export const MAX_NOMINATIONS_PER_USER = 3;
+export const MAX_NOMINEE_NAME_LENGTH = 60;
+export const DEFAULT_NOMINEE_COUNT = 5; // Suggested "top N" when the admin finalizes nominees
+
+/**
+ * Whether a superlative is in its nomination round: `nominations.enabled` is set and the admin
+ * hasn't turned the nominations into nominees yet (`nominations.closedAt`). Voting opens after.
+ * @param {{ nominations?: { enabled?: boolean, closedAt?: any } } | null} superlative
+ * @returns {boolean}
+ */
+export function isNominationRound(superlative) {
+  return Boolean(superlative?.nominations?.enabled) && !superlative.nominations.closedAt;
+}
+
+/**
+ * The id of a user's nominations doc for a superlative.
+ * @param {string} superlativeId
+ * @param {string} userId
+ * @returns {string}
+ */
+export function getNominationDocId(superlativeId, userId) {
+  return `${superlativeId}_${userId}`;
+}
+
+/**
+ * Trims and collapses whitespace in a nominated name and caps its length.
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanNomineeName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NOMINEE_NAME_LENGTH);
+}
+
+// Key used to treat "jane doe" and "Jane  Doe" as the same nominee
+function getNomineeKey(name) {
+  return cleanNomineeName(name).toLowerCase();
+}
+
+/**
+ * Saves the signed-in user's nominations for a superlative, replacing any earlier ones.
+ * An empty list withdraws them.
+ * @param {{ superlativeId: string, userId: string, names: string[] }} nominations
+ */
+export async function saveNominations({ superlativeId, userId, names }) {
+  const nominationDocRef = eventDoc(NOMINATIONS_COLLECTION, getNominationDocId(superlativeId, userId));
+  const cleanNames = names.map(cleanNomineeName).filter(Boolean).slice(0, MAX_NOMINATIONS_PER_USER);
+  if (cleanNames.length === 0) {
+    await deleteDoc(nominationDocRef);
+    return;
+  }
+  await setDoc(nominationDocRef, {
+    superlativeId,
+    userId,
+    names: cleanNames,
+    timestamp: serverTimestamp(),
+  });
+}
+
+/**
+ * Merges everyone's nominations into one de-duplicated list, most nominated first.
+ * Names match case- and whitespace-insensitively; a name on the roster is shown with the roster's
+ * spelling, otherwise with its most common spelling. Each nominator counts once per name.
+ * @param {{ names: string[] }[]} nominationDocs
+ * @param {string[]} [rosterNames]
+ * @returns {{ name: string, count: number, isOnRoster: boolean }[]}
+ */
+export function mergeNominations(nominationDocs, rosterNames = []) {
+  const rosterSpellings = new Map(rosterNames.map(name => [getNomineeKey(name), name]));
+  const merged = new Map(); // key -> { count, spellings: Map<spelling, count> }
+
+  nominationDocs.forEach(nomination => {
+    const seenKeys = new Set();
+    (nomination.names || []).forEach(rawName => {
+      const name = cleanNomineeName(rawName);
+      const key = getNomineeKey(name);
+      if (!key || seenKeys.has(key)) return;
+      seenKeys.add(key);
+      const entry = merged.get(key) || { count: 0, spellings: new Map() };
+      entry.count += 1;
+      entry.spellings.set(name, (entry.spellings.get(name) || 0) + 1);
+      merged.set(key, entry);
+    });
+  });
+
+  return Array.from(merged, ([key, entry]) => {
+    const [mostCommonSpelling] = Array.from(entry.spellings).sort((a, b) => b[1] - a[1])[0];
+    return {
+      name: rosterSpellings.get(key) || mostCommonSpelling,
+      count: entry.count,
+      isOnRoster: rosterSpellings.has(key),
+    };
+  }).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds a superlative's `nominees` from the names the admin picked, keeping the image of any
+ * nominee that was already listed under the same name.
+ * @param {string[]} names
+ * @param {{ name: string, image?: string }[]} [existingNominees]
+ * @returns {{ name: string, image?: string }[]}
+ */
+export function buildNomineesFromNominations(names, existingNominees = []) {
+  return names.map(name => {
+    const existing = existingNominees.find(n => getNomineeKey(n.name) === getNomineeKey(name));
+    return existing ? { ...existing, name } : { name };
+  });
+}
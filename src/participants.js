@@ -0,0 +1,99 @@
+import { getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { eventDoc } from './events';
+
+// Firestore collection with one document per logged-in device, keyed by Firebase Auth uid
+export const PARTICIPANTS_COLLECTION = 'participants';
+
+export const MAX_DISPLAY_NAME_LENGTH = 40;
+
+// Presence: each logged-in client refreshes lastSeen on this interval, and anyone not seen
+// within the threshold (a couple of missed heartbeats) is shown as offline.
+export const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+export const ONLINE_THRESHOLD_MS = 75 * 1000;
+
+/**
+ * Trims and collapses whitespace in a display name and caps its length.
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanDisplayName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_DISPLAY_NAME_LENGTH);
+}
+
+/**
+ * Creates or refreshes the signed-in user's participant document at login. A name the admin
+ * changed is kept, and someone the admin removed can't join again.
+ * @param {string} uid
+ * @param {string} name
+ * @param {string} userType - 'graduating', 'guest' or 'admin'.
+ */
+export async function registerParticipant(uid, name, userType) {
+  const participantDocRef = eventDoc(PARTICIPANTS_COLLECTION, uid);
+  const participantSnap = await getDoc(participantDocRef);
+  if (!participantSnap.exists()) {
+    await setDoc(participantDocRef, {
+      name: cleanDisplayName(name),
+      userType,
+      joinedAt: serverTimestamp(),
+      lastSeen: serverTimestamp(),
+    });
+    return;
+  }
+
+  const participant = participantSnap.data();
+  if (participant.removed) {
+    throw new Error("You were removed from this event by the admin.");
+  }
+  await updateDoc(participantDocRef, {
+    ...(participant.renamedByAdmin ? {} : { name: cleanDisplayName(name) }),
+    userType,
+    lastSeen: serverTimestamp(),
+  });
+}
+
+/**
+ * Records a presence heartbeat for the signed-in user.
+ * @param {string} uid
+ */
+export async function sendHeartbeat(uid) {
+  await updateDoc(eventDoc(PARTICIPANTS_COLLECTION, uid), { lastSeen: serverTimestamp() });
+}
+
+/**
+ * Whether a participant has sent a heartbeat recently enough to count as online.
+ * @param {{ lastSeen?: import('firebase/firestore').Timestamp | null }} participant
+ * @param {number} now - Current time in milliseconds.
+ * @returns {boolean}
+ */
+export function isParticipantOnline(participant, now) {
+  // A pending serverTimestamp() reads back as null locally; treat that as just seen.
+  if (participant.lastSeen === null) return true;
+  if (!participant.lastSeen?.toMillis) return false;
+  return now - participant.lastSeen.toMillis() < ONLINE_THRESHOLD_MS;
+}
+
+/**
+ * Renames a participant (admin only, for inappropriate names). They can't change it back.
+ * @param {string} uid
+ * @param {string} name
+ */
+export async function renameParticipant(uid, name) {
+  await updateDoc(eventDoc(PARTICIPANTS_COLLECTION, uid), { name: cleanDisplayName(name), renamedByAdmin: true });
+}
+
+/**
+ * Removes a participant (admin only). Their device is sent back to the login page and can't
+ * join again until the admin lets them back in.
+ * @param {string} uid
+ */
+export async function removeParticipant(uid) {
+  await updateDoc(eventDoc(PARTICIPANTS_COLLECTION, uid), { removed: true });
+}
+
+/**
+ * Lets a removed participant join again (admin only).
+ * @param {string} uid
+ */
+export async function restoreParticipant(uid) {
+  await updateDoc(eventDoc(PARTICIPANTS_COLLECTION, uid), { removed: false });
+}
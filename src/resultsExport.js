@@ -0,0 +1,170 @@
+import { getDocs } from 'firebase/firestore';
+import { eventCollection } from './events';
+import { VOTES_COLLECTION } from './votes';
+import { PARTICIPANTS_COLLECTION } from './participants';
+import {
+  VOTER_TYPES,
+  getVotingConfig,
+  tallyVotes,
+  aggregateVotes,
+  describeVotingMethod,
+  describeDecision,
+  getScoreUnit,
+} from './tally';
+
+// Results export for the admin (see ResultsExport.jsx). Everything is recounted from the raw
+// vote docs, so superlatives that were never revealed are included too.
+
+function countByUserType(docs) {
+  const counts = Object.fromEntries(VOTER_TYPES.map(type => [type, 0]));
+  docs.forEach(d => {
+    counts[d.userType] = (counts[d.userType] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Tallies every superlative from raw votes.
+ * @param {{ superlatives: object[], votes: object[], participants: object[], eventName?: string }} data
+ *   superlatives in order with ids; votes and participants as stored.
+ * @returns {{ eventName: string, generatedAt: string, registered: { total: number, byType: Object<string, number> },
+ *   superlatives: { id: string, order: number, title: string, votingMethod: string, scoreUnit: string,
+ *     status: string, decision: string, winners: string[], revealedWinners: string[] | null,
+ *     turnout: { total: number, byType: Object<string, number> },
+ *     rankings: { rank: number, name: string, score: number, voteCount: number, votesByType: Object<string, number> }[],
+ *     rounds: object[] | null }[] }}
+ *   turnout counts voters (vote docs); a nominee's votesByType counts choices (first choices for instant runoff).
+ */
+export function buildResultsReport({ superlatives, votes, participants, eventName = '' }) {
+  const votesBySuperlative = {};
+  votes.forEach(vote => {
+    (votesBySuperlative[vote.superlativeId] ||= []).push(vote);
+  });
+
+  return {
+    eventName,
+    generatedAt: new Date().toISOString(),
+    registered: { total: participants.length, byType: countByUserType(participants) },
+    superlatives: superlatives.map(superlative => {
+      const voting = getVotingConfig(superlative);
+      const nominees = superlative.nominees || [];
+      const superlativeVotes = votesBySuperlative[superlative.id] || [];
+      const result = tallyVotes(nominees, superlativeVotes, { voting, tieBreakers: superlative.tieBreakers });
+      const stats = aggregateVotes(nominees, superlativeVotes, { voting });
+      return {
+        id: superlative.id,
+        order: superlative.order,
+        title: superlative.title,
+        votingMethod: describeVotingMethod(voting),
+        scoreUnit: getScoreUnit(voting),
+        status: result.status,
+        decision: describeDecision(result),
+        winners: result.winners.map(w => w.name),
+        // What was shown on the night, to compare with the recount (null if never revealed)
+        revealedWinners: superlative.revealedWinnerData ? superlative.revealedWinnerData.map(w => w.name) : null,
+        turnout: { total: superlativeVotes.length, byType: countByUserType(superlativeVotes) },
+        rankings: result.rankings.map(r => ({
+          rank: r.rank,
+          name: r.name,
+          score: r.score,
+          voteCount: r.voteCount,
+          votesByType: stats[r.name]?.votesByType || {},
+        })),
+        rounds: result.rounds || null,
+      };
+    }),
+  };
+}
+
+/**
+ * Fetches the current event's votes and participants and builds the report (admin only).
+ * @param {object[]} superlatives - In order, with ids.
+ * @param {string} [eventName]
+ * @returns {Promise<ReturnType<typeof buildResultsReport>>}
+ */
+export async function fetchResultsReport(superlatives, eventName) {
+  const [voteDocs, participantDocs] = await Promise.all([
+    getDocs(eventCollection(VOTES_COLLECTION)),
+    getDocs(eventCollection(PARTICIPANTS_COLLECTION)),
+  ]);
+  return buildResultsReport({
+    superlatives,
+    votes: voteDocs.docs.map(d => d.data()),
+    participants: participantDocs.docs.map(d => d.data()).filter(p => !p.removed),
+    eventName,
+  });
+}
+
+const toCsvCell = (value) => {
+  let text = String(value ?? '');
+  // Titles and names are typed by users; a leading ' stops spreadsheets reading them as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per nominee per superlative, for spreadsheets.
+ * @param {ReturnType<typeof buildResultsReport>} report
+ * @returns {string}
+ */
+export function toResultsCsv(report) {
+  const header = [
+    'Order', 'Superlative', 'Status', 'Rank', 'Nominee', 'Winner', 'Score', 'Votes',
+    ...VOTER_TYPES.map(type => `Votes (${type})`),
+    'Voters', ...VOTER_TYPES.map(type => `Voters (${type})`),
+  ];
+  const rows = report.superlatives.flatMap(s => {
+    const turnout = [s.turnout.total, ...VOTER_TYPES.map(type => s.turnout.byType[type] || 0)];
+    if (s.rankings.length === 0) return [[s.order, s.title, s.status, '', '', '', '', '', ...VOTER_TYPES.map(() => ''), ...turnout]];
+    return s.rankings.map(r => [
+      s.order,
+      s.title,
+      s.status,
+      r.rank,
+      r.name,
+      s.winners.includes(r.name) ? (s.status === 'tie' ? 'tie' : 'yes') : '',
+      r.score,
+      r.voteCount,
+      ...VOTER_TYPES.map(type => r.votesByType[type] || 0),
+      ...turnout,
+    ]);
+  });
+  return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
+
+/**
+ * The report as formatted JSON.
+ * @param {ReturnType<typeof buildResultsReport>} report
+ * @returns {string}
+ */
+export function toResultsJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * A file name for an export, from the event name and the date.
+ * @param {string} eventName
+ * @param {string} extension
+ * @returns {string}
+ */
+export function getExportFileName(eventName, extension) {
+  const slug = (eventName || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+  return `${slug}-results-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Saves text or a Blob as a file through the browser's download.
+ * @param {string} fileName
+ * @param {string | Blob} contents
+ * @param {string} mimeType
+ */
+export function downloadFile(fileName, contents, mimeType) {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,53 @@
+// Staged reveals: a superlative with `reveal.staged` reveals its runners-up one place at a time
+// (3rd, then 2nd), then a drumroll, then the winner. The current step is the session state's `revealStep`,
+// so every device shows the same step; the admin advances it, or it advances on a timer.
+
+const DEFAULT_RUNNERS_UP = 2;
+
+/**
+ * Resolves a superlative's reveal configuration.
+ * @param {{ reveal?: { staged?: boolean, runnersUp?: number, stepSeconds?: number, drumrollSoundUrl?: string } } | null} superlative
+ * @returns {{ isStaged: boolean, runnersUp: number, stepSeconds: number | null, drumrollSoundUrl: string | null }}
+ *   stepSeconds null means the admin advances every step by hand.
+ */
+export function getRevealConfig(superlative) {
+  const reveal = superlative?.reveal || {};
+  return {
+    isStaged: reveal.staged === true,
+    runnersUp: Number.isInteger(reveal.runnersUp) && reveal.runnersUp >= 0 ? reveal.runnersUp : DEFAULT_RUNNERS_UP,
+    stepSeconds: typeof reveal.stepSeconds === 'number' && reveal.stepSeconds > 0 ? reveal.stepSeconds : null,
+    drumrollSoundUrl: reveal.drumrollSoundUrl?.trim() || null,
+  };
+}
+
+/**
+ * The steps of a reveal. A plain reveal is a single winner step; a staged one reveals each
+ * runner-up place from the lowest, then a drumroll, then the winner. Nominees sharing a place are
+ * revealed together.
+ * @param {{ winners: object[], rankings: { name: string, score: number, rank: number }[] } | null} result
+ * @param {ReturnType<typeof getRevealConfig>} revealConfig
+ * @returns {({ type: 'runnerUp', rank: number, nominees: object[] } | { type: 'drumroll' } | { type: 'winner' })[]}
+ */
+export function getRevealSteps(result, revealConfig) {
+  if (!revealConfig.isStaged || !result || result.winners.length === 0) return [{ type: 'winner' }];
+  const runnerUpRanks = [...new Set(result.rankings.filter(r => r.rank > 1 && r.score > 0).map(r => r.rank))]
+    .sort((a, b) => a - b)
+    .slice(0, revealConfig.runnersUp)
+    .reverse();
+  return [
+    ...runnerUpRanks.map(rank => ({ type: 'runnerUp', rank, nominees: result.rankings.filter(r => r.rank === rank) })),
+    { type: 'drumroll' },
+    { type: 'winner' },
+  ];
+}
+
+const ORDINALS = ['1st', '2nd', '3rd'];
+
+/**
+ * "2nd", "3rd", "4th"... for a rank.
+ * @param {number} rank
+ * @returns {string}
+ */
+export function getPlaceLabel(rank) {
+  return ORDINALS[rank - 1] || `${rank}th`;
+}
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+
+const DEFAULT_REVEAL_SOUND_URL = '/sounds/default-winner-reveal.mp3';
+
+/**
+ * The sound to play when a superlative's winner is revealed: its resultAnimation.soundEffectUrl
+ * if set, otherwise the default.
+ * @param {{ resultAnimation?: { soundEffectUrl?: string } } | null} superlative
+ * @returns {string}
+ */
+export function getRevealSoundUrl(superlative) {
+  const customSoundUrl = superlative?.resultAnimation?.soundEffectUrl;
+  // Use custom sound if it's a non-empty string after trimming, otherwise use the default.
+  return (customSoundUrl && customSoundUrl.trim()) ? customSoundUrl.trim() : DEFAULT_REVEAL_SOUND_URL;
+}
+
+/**
+ * Plays the reveal sound once per reveal of a superlative's winner. Hiding the results resets it,
+ * so a re-reveal plays again.
+ * @param {{ superlative: object | null, isResultShown: boolean, hasWinner: boolean, isEnabled?: boolean }} options
+ */
+export function useRevealSound({ superlative, isResultShown, hasWinner, isEnabled = true }) {
+  const soundPlayedForSuperlative = useRef({}); // { [superlativeId]: boolean }
+  const superlativeId = superlative?.id;
+  const soundToPlay = getRevealSoundUrl(superlative);
+
+  useEffect(() => {
+    if (!superlativeId) return;
+    if (!isResultShown) {
+      // Reset if results are hidden again, allowing sound to play if re-revealed
+      soundPlayedForSuperlative.current[superlativeId] = false;
+    } else if (hasWinner && isEnabled && !soundPlayedForSuperlative.current[superlativeId]) {
+      const audio = new Audio(soundToPlay);
+      audio.play().catch(error => console.error(`Error playing sound '${soundToPlay}':`, error));
+      soundPlayedForSuperlative.current[superlativeId] = true;
+    }
+  }, [superlativeId, soundToPlay, isResultShown, hasWinner, isEnabled]);
+}
@@ -0,0 +1,174 @@
+import { db } from './firebase';
+import {
+  getDoc,
+  getDocs,
+  setDoc,
+  runTransaction,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import { STATE_COLLECTION } from './appState';
+import { eventDoc, eventCollection } from './events';
+
+// Firestore collection names. Roster docs are keyed by invite code so a voter can only
+// look up the entry whose code they hold; rosterClaims is keyed by the claiming uid.
+export const ROSTER_COLLECTION = 'roster';
+export const ROSTER_CLAIMS_COLLECTION = 'rosterClaims';
+
+// Public list of roster names (no invite codes), used to suggest nominees. The admin keeps it in step with the roster.
+export const ROSTER_DIRECTORY_DOC_PATH = [STATE_COLLECTION, 'rosterDirectory'];
+
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to avoid misreads
+const INVITE_CODE_LENGTH = 6;
+
+/**
+ * Generates a random invite code.
+ * @returns {string}
+ */
+export function generateInviteCode() {
+  const values = crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH));
+  return Array.from(values, v => INVITE_CODE_ALPHABET[v % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalizes a typed or scanned invite code for lookup.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeInviteCode(code) {
+  return (code || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Parses the admin's roster text: one graduate per line, optionally "Name, CODE".
+ * Graduates without a code get a generated one.
+ * @param {string} text
+ * @returns {{ name: string, inviteCode: string }[]}
+ */
+export function parseRosterInput(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [name, code] = line.split(',').map(part => part.trim());
+      return { name, inviteCode: normalizeInviteCode(code) || generateInviteCode() };
+    })
+    .filter(entry => entry.name);
+}
+
+/**
+ * Builds the join link encoded in a graduate's personal QR code.
+ * @param {string} baseUrl - The login page URL (qrCodeTargetUrl).
+ * @param {string} inviteCode
+ * @returns {string}
+ */
+export function getInviteUrl(baseUrl, inviteCode) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('invite', inviteCode);
+  return url.toString();
+}
+
+/**
+ * Writes roster entries (admin only). An existing code whose name changed is overwritten and unclaimed,
+ * and its claim deleted as in releaseRosterEntry; one with the same name is left as it is, claim included,
+ * so pasting the whole roster again doesn't sign everyone out.
+ * @param {{ name: string, inviteCode: string }[]} entries
+ */
+export async function saveRosterEntries(entries) {
+  const rosterSnapshot = await getDocs(eventCollection(ROSTER_COLLECTION));
+  const existing = new Map(rosterSnapshot.docs.map(d => [d.id, d.data()]));
+  const batch = writeBatch(db);
+  entries.forEach(({ name, inviteCode }) => {
+    const stored = existing.get(inviteCode);
+    if (stored?.name === name) return;
+    batch.set(eventDoc(ROSTER_COLLECTION, inviteCode), { name, claimedBy: null, claimedAt: null });
+    if (stored?.claimedBy) {
+      batch.delete(eventDoc(ROSTER_CLAIMS_COLLECTION, stored.claimedBy));
+    }
+  });
+  await batch.commit();
+  await syncRosterDirectory();
+}
+
+/**
+ * Rewrites the public roster directory from the roster (admin only).
+ */
+export async function syncRosterDirectory() {
+  const rosterSnapshot = await getDocs(eventCollection(ROSTER_COLLECTION));
+  const names = rosterSnapshot.docs.map(d => d.data().name).sort((a, b) => a.localeCompare(b));
+  await setDoc(eventDoc(...ROSTER_DIRECTORY_DOC_PATH), { names });
+}
+
+/**
+ * Frees a roster entry so it can be claimed again, e.g. when a graduate switches phones (admin only).
+ * @param {{ id: string, claimedBy: string | null }} entry
+ */
+export async function releaseRosterEntry(entry) {
+  const batch = writeBatch(db);
+  batch.update(eventDoc(ROSTER_COLLECTION, entry.id), { claimedBy: null, claimedAt: null });
+  if (entry.claimedBy) {
+    batch.delete(eventDoc(ROSTER_CLAIMS_COLLECTION, entry.claimedBy));
+  }
+  await batch.commit();
+}
+
+/**
+ * Deletes a roster entry and any claim on it (admin only).
+ * @param {{ id: string, claimedBy: string | null }} entry
+ */
+export async function deleteRosterEntry(entry) {
+  const batch = writeBatch(db);
+  batch.delete(eventDoc(ROSTER_COLLECTION, entry.id));
+  if (entry.claimedBy) {
+    batch.delete(eventDoc(ROSTER_CLAIMS_COLLECTION, entry.claimedBy));
+  }
+  await batch.commit();
+  await syncRosterDirectory();
+}
+
+/**
+ * Claims the roster entry for an invite code on behalf of the signed-in device.
+ * Throws an Error with a user-facing message if the code is unknown or already claimed elsewhere.
+ * @param {string} inviteCode
+ * @param {string} uid - The caller's Firebase Auth uid.
+ * @returns {Promise<{ rosterId: string, name: string }>}
+ */
+export async function claimRosterEntry(inviteCode, uid) {
+  const rosterId = normalizeInviteCode(inviteCode);
+  if (!rosterId) throw new Error("Please enter your invite code.");
+
+  const rosterDocRef = eventDoc(ROSTER_COLLECTION, rosterId);
+  const claimDocRef = eventDoc(ROSTER_CLAIMS_COLLECTION, uid);
+
+  return runTransaction(db, async (transaction) => {
+    const rosterSnap = await transaction.get(rosterDocRef);
+    if (!rosterSnap.exists()) {
+      throw new Error("That invite code was not found. Check it and try again.");
+    }
+    const entry = rosterSnap.data();
+    if (entry.claimedBy === uid) {
+      return { rosterId, name: entry.name }; // Already claimed on this device
+    }
+    if (entry.claimedBy) {
+      throw new Error("That invite code has already been used on another device. Ask the admin to release it.");
+    }
+    const claimSnap = await transaction.get(claimDocRef);
+    if (claimSnap.exists()) {
+      throw new Error("This device has already claimed a different invite code.");
+    }
+    transaction.update(rosterDocRef, { claimedBy: uid, claimedAt: serverTimestamp() });
+    transaction.set(claimDocRef, { rosterId, name: entry.name, claimedAt: serverTimestamp() });
+    return { rosterId, name: entry.name };
+  });
+}
+
+/**
+ * Fetches the roster claim held by a uid, if any.
+ * @param {string} uid
+ * @returns {Promise<{ rosterId: string, name: string } | null>}
+ */
+export async function getRosterClaim(uid) {
+  const claimSnap = await getDoc(eventDoc(ROSTER_CLAIMS_COLLECTION, uid));
+  return claimSnap.exists() ? claimSnap.data() : null;
+}
@@ -0,0 +1,163 @@
+import { loadImage, drawCenteredText, drawPhoto, canvasToBlob } from './canvasDrawing';
+import { downloadFile } from './resultsExport';
+
+// Share images of the final summary or of one winner (see ShareSummary.jsx), drawn on a canvas
+// in the event's colors and posted through the Web Share API where the device supports it.
+
+export const SHARE_FORMATS = {
+  story: { label: 'Story (9:16)', width: 1080, height: 1920 },
+  square: { label: 'Square', width: 1080, height: 1080 },
+};
+
+const BRAND = {
+  gradient: ['#4F46E5', '#7C3AED'], // The app's indigo and purple
+  accent: '#FBBF24',
+  text: '#FFFFFF',
+  mutedText: '#E0E7FF',
+  font: 'Helvetica, Arial, sans-serif',
+};
+
+// Background, event header and footer; returns the space left between them
+function drawFrame(ctx, width, height, eventName, subtitle) {
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, BRAND.gradient[0]);
+  gradient.addColorStop(1, BRAND.gradient[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  const margin = width * 0.07;
+  const common = { x: width / 2, maxWidth: width - margin * 2, fontFamily: BRAND.font };
+  let y = height * 0.05;
+  y += drawCenteredText(ctx, `🏆 ${eventName || 'Superlatives'} 🏆`, { ...common, y, fontSize: width * 0.065, weight: 'bold', color: BRAND.text, maxLines: 2 });
+  y += drawCenteredText(ctx, subtitle, { ...common, y: y + width * 0.01, fontSize: width * 0.04, color: BRAND.accent, maxLines: 1 }) + width * 0.05;
+
+  const footerSize = width * 0.028;
+  drawCenteredText(ctx, `${eventName || 'Superlatives'} · ${new Date().getFullYear()}`, { ...common, y: height - margin * 0.6 - footerSize * 1.2, fontSize: footerSize, color: BRAND.mutedText, maxLines: 1 });
+  return { top: y, bottom: height - margin * 0.6 - footerSize * 2.4, left: margin, right: width - margin };
+}
+
+function createCanvas(format) {
+  const { width, height } = SHARE_FORMATS[format] || SHARE_FORMATS.story;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Draws the whole final summary: every winner with their photo and the superlatives they won.
+ * When there are too many to fit, the rest are counted on a last line.
+ * @param {Object<string, { image: string, superlativesWon: { id: string, title: string }[] }>} summary - The final summary data.
+ * @param {{ format: string, eventName?: string }} options - format is a SHARE_FORMATS key.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderSummaryCard(summary, { format, eventName }) {
+  const canvas = createCanvas(format);
+  const ctx = canvas.getContext('2d');
+  const { width } = canvas;
+  const area = drawFrame(ctx, width, canvas.height, eventName, 'Superlative winners');
+
+  const winners = Object.entries(summary);
+  const columns = format === 'square' && winners.length > 4 ? 2 : 1;
+  const columnWidth = (area.right - area.left) / columns;
+  const availableHeight = area.bottom - area.top;
+  const minRowHeight = width * 0.1;
+  let rowCount = Math.ceil(winners.length / columns);
+  let shown = winners;
+  if (rowCount * minRowHeight > availableHeight) {
+    rowCount = Math.floor(availableHeight / minRowHeight) - 1; // Leave a row for the "more" line
+    shown = winners.slice(0, rowCount * columns);
+  }
+  const rowHeight = Math.min(availableHeight / Math.max(rowCount, 1), width * 0.2);
+
+  const images = await Promise.all(shown.map(([, data]) => loadImage(data.image)));
+  shown.forEach(([name, data], index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    const x = area.left + column * columnWidth;
+    const y = area.top + row * rowHeight;
+    const radius = rowHeight * 0.36;
+    drawPhoto(ctx, images[index], name, { x: x + radius, y: y + rowHeight / 2, radius, accentColor: BRAND.accent });
+    const textX = x + radius * 2 + width * 0.03;
+    const textWidth = columnWidth - (textX - x) - width * 0.02;
+    const nameHeight = drawCenteredText(ctx, name, { x: textX, y: y + rowHeight * 0.14, maxWidth: textWidth, fontSize: rowHeight * 0.24, fontFamily: BRAND.font, weight: 'bold', color: BRAND.text, maxLines: 1, align: 'left' });
+    drawCenteredText(ctx, data.superlativesWon.map(s => s.title).join(' · '), {
+      x: textX, y: y + rowHeight * 0.14 + nameHeight, maxWidth: textWidth, fontSize: rowHeight * 0.15, fontFamily: BRAND.font, color: BRAND.mutedText, maxLines: 2, align: 'left',
+    });
+  });
+
+  if (shown.length < winners.length) {
+    drawCenteredText(ctx, `+ ${winners.length - shown.length} more winner(s)`, {
+      x: width / 2, y: area.top + rowCount * rowHeight + rowHeight * 0.2, maxWidth: area.right - area.left, fontSize: width * 0.04, fontFamily: BRAND.font, weight: 'bold', color: BRAND.accent, maxLines: 1,
+    });
+  }
+  return canvas;
+}
+
+/**
+ * Draws one winner's card: a large photo, their name and everything they won.
+ * @param {string} name
+ * @param {{ image: string, superlativesWon: { id: string, title: string }[] }} data
+ * @param {{ format: string, eventName?: string }} options
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderWinnerCard(name, data, { format, eventName }) {
+  const canvas = createCanvas(format);
+  const ctx = canvas.getContext('2d');
+  const { width } = canvas;
+  const area = drawFrame(ctx, width, canvas.height, eventName, 'Superlative winner');
+  const common = { x: width / 2, maxWidth: area.right - area.left, fontFamily: BRAND.font };
+
+  const radius = Math.min(width * 0.26, (area.bottom - area.top) * 0.22);
+  drawPhoto(ctx, await loadImage(data.image), name, { x: width / 2, y: area.top + radius, radius, accentColor: BRAND.accent });
+  let y = area.top + radius * 2 + width * 0.04;
+  y += drawCenteredText(ctx, name, { ...common, y, fontSize: width * 0.08, weight: 'bold', color: BRAND.text, maxLines: 2 });
+  y += drawCenteredText(ctx, 'was voted', { ...common, y: y + width * 0.01, fontSize: width * 0.035, style: 'italic', color: BRAND.mutedText, maxLines: 1 }) + width * 0.03;
+
+  const titleSize = data.superlativesWon.length > 3 ? width * 0.04 : width * 0.055;
+  for (const superlative of data.superlativesWon) {
+    if (y + titleSize * 1.2 > area.bottom) break; // Someone who won everything still gets a tidy card
+    y += drawCenteredText(ctx, `“${superlative.title}”`, { ...common, y, fontSize: titleSize, weight: 'bold', color: BRAND.accent, maxLines: 2 }) + width * 0.02;
+  }
+  return canvas;
+}
+
+/**
+ * A PNG file of a card, ready to share or download.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} fileName
+ * @returns {Promise<File>}
+ */
+export async function toShareFile(canvas, fileName) {
+  return new File([await canvasToBlob(canvas, 'image/png')], fileName, { type: 'image/png' });
+}
+
+/**
+ * Whether this device can share image files (mostly phones); otherwise the image is downloaded.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function canShareFile(file) {
+  return Boolean(navigator.canShare?.({ files: [file] }));
+}
+
+/**
+ * Opens the device's share sheet for the file, or downloads it where sharing files isn't supported.
+ * Call it straight from a click: browsers only allow sharing right after the user acts.
+ * @param {File} file
+ * @param {{ title: string, text: string }} message
+ * @returns {Promise<'shared' | 'downloaded' | 'cancelled'>}
+ */
+export async function shareOrDownload(file, { title, text }) {
+  if (!canShareFile(file)) {
+    downloadFile(file.name, file, file.type);
+    return 'downloaded';
+  }
+  try {
+    await navigator.share({ files: [file], title, text });
+    return 'shared';
+  } catch (error) {
+    if (error.name === 'AbortError') return 'cancelled'; // Share sheet closed
+    throw error;
+  }
+}
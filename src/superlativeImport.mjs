@@ -0,0 +1,316 @@
+import { parse as parseYaml } from 'yaml';
+import { validateSuperlative } from './superlativeSchema.mjs';
+
+// Bulk import of superlatives from a CSV, JSON or YAML file, shared by the admin UI
+// (SuperlativeImporter.jsx) and the command-line tool (`manageSuperlatives.js import`).
+//
+// One row (or list item) per superlative, matched to existing superlatives by title:
+//   title        required
+//   nominees     "Jane Doe; John Roe|/images/john.jpg" (name|image), or "@roster" for the whole
+//                roster, optionally followed by "-Name" entries to leave people out
+//   animation    a preset name (see ANIMATION_PRESETS) or a resultAnimation JSON object;
+//                in JSON/YAML, an object may name a preset and override some of its fields
+//   order        optional; see diffImport for how orders are assigned
+//   nominations  yes/no: start with a nomination round
+//   timer        voting timer in seconds
+// JSON and YAML files hold a list of these, or { roster: [{ name, image }], superlatives: [...] },
+// where the roster (with images) is used for "@roster" instead of the event's roster.
+
+export const ROSTER_SHORTHAND = '@roster';
+const IMPORT_FIELDS = ['title', 'nominees', 'animation', 'order', 'nominations', 'timer'];
+
+export const ANIMATION_PRESETS = {
+  money: { confettiShape: 'dollar', colors: ['#34D399', '#10B981', '#059669', '#A7F3D0'] },
+  noDrinking: { confettiShape: 'noDrinkingSign' },
+  flightMode: { confettiShape: 'flightModeSymbols' },
+  airplanes: { confettiShape: 'flyingAirplanes', numberOfPieces: 60 },
+  gold: { colors: ['#FFD700', '#FFC107', '#FFEB3B', '#FFFFFF'] },
+  endless: { recycle: true, numberOfPieces: 200 },
+  graduation: { customShape: { glyphs: ['🎓', '📜', '🎉'], size: 28 } },
+  winnerPhotos: { customShape: { nomineePhotos: 'winners', size: 48 }, numberOfPieces: 120 },
+  showtime: { effects: [{ type: 'flash' }, { type: 'spotlight' }, { type: 'banner', text: '{winner}!', delayMs: 1500 }] },
+};
+
+/**
+ * Picks the parser for a file from its extension.
+ * @param {string} fileName
+ * @returns {'csv' | 'json' | 'yaml'}
+ */
+export function getImportFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'json') return 'json';
+  if (extension === 'yaml' || extension === 'yml') return 'yaml';
+  throw new Error(`Unsupported file type ".${extension}": use .csv, .json, .yaml or .yml.`);
+}
+
+// RFC 4180-style CSV: quoted fields may hold commas, newlines and "" for a quote
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw new Error("The CSV file has an unclosed quote.");
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Parses an import file into raw rows.
+ * @param {string} text
+ * @param {'csv' | 'json' | 'yaml'} format
+ * @returns {{ roster: { name: string, image?: string }[] | null, rows: { label: string, fields: object }[] }}
+ */
+export function parseImportFile(text, format) {
+  if (format === 'csv') {
+    const [header, ...dataRows] = parseCsvRows(text.replace(/^\uFEFF/, '')); // Spreadsheet apps may add a BOM
+    if (!header) throw new Error("The CSV file is empty.");
+    const columns = header.map(column => column.trim().toLowerCase());
+    return {
+      roster: null,
+      rows: dataRows.map((cells, index) => ({
+        label: `Row ${index + 2}`,
+        // Empty cells leave that setting alone
+        fields: Object.fromEntries(columns.map((column, i) => [column, cells[i]?.trim() ?? '']).filter(([, value]) => value !== '')),
+      })),
+    };
+  }
+
+  let data;
+  try {
+    data = format === 'json' ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    throw new Error(`Could not parse the ${format.toUpperCase()} file: ${error.message}`);
+  }
+  const items = Array.isArray(data) ? data : data?.superlatives;
+  if (!Array.isArray(items)) throw new Error('The file must hold a list of superlatives, or { superlatives: [...] }.');
+  const roster = Array.isArray(data?.roster)
+    ? data.roster.map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+    : null;
+  return {
+    roster,
+    rows: items.map((fields, index) => ({ label: `Superlative ${index + 1}`, fields: fields && typeof fields === 'object' ? fields : { title: fields } })),
+  };
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+}
+
+function toNominee(entry) {
+  if (typeof entry === 'object' && entry !== null) {
+    return entry.image ? { name: String(entry.name ?? '').trim(), image: String(entry.image).trim() } : { name: String(entry.name ?? '').trim() };
+  }
+  const [name, image] = String(entry).split('|').map(part => part.trim());
+  return image ? { name, image } : { name };
+}
+
+// Expands a nominees cell or list: "@roster" adds everyone on the roster, "-Name" leaves someone out
+function resolveNominees(value, roster, errors) {
+  const entries = Array.isArray(value) ? value : String(value).split(/[;\n]/);
+  const nominees = [];
+  const excluded = new Set();
+  entries.forEach(entry => {
+    const text = typeof entry === 'string' ? entry.trim() : null;
+    if (text === '') return;
+    if (text === ROSTER_SHORTHAND) {
+      if (roster.length === 0) errors.push(`"${ROSTER_SHORTHAND}" was used but the roster is empty`);
+      nominees.push(...roster.map(toNominee));
+    } else if (text?.startsWith('-')) {
+      excluded.add(text.slice(1).trim().toLowerCase());
+    } else {
+      nominees.push(toNominee(entry));
+    }
+  });
+  const seen = new Set();
+  return nominees.filter(n => {
+    const key = n.name.toLowerCase();
+    if (excluded.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function resolveAnimation(value, errors) {
+  let animation = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('{')) {
+      try {
+        animation = JSON.parse(text);
+      } catch (error) {
+        errors.push(`animation is not valid JSON (${error.message})`);
+        return undefined;
+      }
+    } else {
+      animation = { preset: text };
+    }
+  }
+  if (typeof animation !== 'object' || animation === null) {
+    errors.push("animation must be a preset name or an object");
+    return undefined;
+  }
+  const { preset, ...overrides } = animation;
+  if (preset !== undefined && !ANIMATION_PRESETS[preset]) {
+    errors.push(`unknown animation preset "${preset}" (presets: ${Object.keys(ANIMATION_PRESETS).join(', ')})`);
+    return undefined;
+  }
+  return { ...(preset ? ANIMATION_PRESETS[preset] : {}), ...overrides };
+}
+
+/**
+ * Turns parsed rows into superlatives and checks them against the schema.
+ * @param {ReturnType<typeof parseImportFile>} parsed
+ * @param {{ rosterNames?: string[] }} [options] - The event's roster, for "@roster" when the file has none.
+ * @returns {{ superlatives: object[], errors: string[] }} Errors are prefixed with the row and title.
+ */
+export function buildImportedSuperlatives(parsed, { rosterNames = [] } = {}) {
+  const roster = parsed.roster || rosterNames.map(name => ({ name }));
+  const superlatives = [];
+  const errors = [];
+  const titles = new Set();
+
+  parsed.rows.forEach(({ label, fields }) => {
+    const rowErrors = [];
+    Object.keys(fields).forEach(key => {
+      if (!IMPORT_FIELDS.includes(key)) rowErrors.push(`unknown column "${key}" (expected ${IMPORT_FIELDS.join(', ')})`);
+    });
+    const superlative = { title: typeof fields.title === 'string' ? fields.title.trim() : fields.title };
+    superlative.nominees = fields.nominees !== undefined ? resolveNominees(fields.nominees, roster, rowErrors) : [];
+    if (fields.animation !== undefined) superlative.resultAnimation = resolveAnimation(fields.animation, rowErrors);
+    if (fields.order !== undefined) {
+      superlative.order = Number(fields.order);
+      if (!Number.isInteger(superlative.order)) rowErrors.push("order must be a whole number");
+    }
+    if (fields.nominations !== undefined) {
+      const enabled = toBoolean(fields.nominations);
+      if (enabled === null) rowErrors.push('nominations must be "yes" or "no"');
+      else superlative.nominations = { enabled };
+    }
+    if (fields.timer !== undefined) superlative.timer = { seconds: Number(fields.timer) };
+
+    if (superlative.nominees.length === 0 && !superlative.nominations?.enabled) {
+      rowErrors.push(`needs nominees (or "${ROSTER_SHORTHAND}"), or a nomination round`);
+    }
+    // The schema wants an order; a placeholder stands in until diffImport assigns one
+    const schemaErrors = validateSuperlative({ order: 0, ...superlative });
+    rowErrors.push(...schemaErrors);
+
+    const titleKey = String(superlative.title || '').toLowerCase();
+    if (titleKey && titles.has(titleKey)) rowErrors.push("the title appears more than once in the file");
+    titles.add(titleKey);
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors.map(error => `${label}${superlative.title ? ` ("${superlative.title}")` : ''}: ${error}`));
+    } else {
+      superlatives.push(superlative);
+    }
+  });
+  return { superlatives, errors };
+}
+
+const normalizeTitle = (title) => String(title).trim().toLowerCase();
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Compares imported superlatives with the event's, matching them by title (ignoring case).
+ * Orders: with removeMissing the file is the whole list, so rows take their position in it;
+ * otherwise new superlatives go after the existing ones and matched ones keep their order.
+ * An explicit order column always wins.
+ * @param {object[]} existing - The event's superlatives, with ids.
+ * @param {object[]} imported - From buildImportedSuperlatives.
+ * @param {{ removeMissing?: boolean }} [options]
+ * @returns {{ creates: object[], updates: { id: string, title: string, changes: object, data: object }[],
+ *   unchanged: string[], removes: { id: string, title: string }[] }}
+ *   Each update's changes maps a field to { from, to }; data is ready for Firestore's update().
+ */
+export function diffImport(existing, imported, { removeMissing = false } = {}) {
+  const existingByTitle = new Map(existing.map(s => [normalizeTitle(s.title), s]));
+  let nextOrder = Math.max(-1, ...existing.map(s => s.order ?? 0)) + 1;
+  const diff = { creates: [], updates: [], unchanged: [], removes: [] };
+
+  imported.forEach((superlative, index) => {
+    const match = existingByTitle.get(normalizeTitle(superlative.title));
+    const order = superlative.order ?? (removeMissing ? index : (match ? match.order : nextOrder++));
+    if (!match) {
+      diff.creates.push({ ...superlative, order });
+      return;
+    }
+    existingByTitle.delete(normalizeTitle(superlative.title));
+    // Only the settings the file gives are compared; the rest of the superlative is left alone
+    const fields = {
+      title: [match.title, superlative.title],
+      order: [match.order, order],
+      nominees: [match.nominees, superlative.nominees],
+      ...(superlative.resultAnimation ? { resultAnimation: [match.resultAnimation, superlative.resultAnimation] } : {}),
+      ...(superlative.nominations ? { 'nominations.enabled': [match.nominations?.enabled ?? false, superlative.nominations.enabled] } : {}),
+      ...(superlative.timer ? { 'timer.seconds': [match.timer?.seconds, superlative.timer.seconds] } : {}),
+    };
+    const changes = {};
+    Object.entries(fields).forEach(([field, [from, to]]) => {
+      if (!isSame(from, to)) changes[field] = { from, to };
+    });
+    if (Object.keys(changes).length === 0) {
+      diff.unchanged.push(match.title);
+    } else {
+      diff.updates.push({
+        id: match.id,
+        title: match.title,
+        changes,
+        data: Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to])),
+      });
+    }
+  });
+
+  if (removeMissing) {
+    diff.removes = [...existingByTitle.values()].map(s => ({ id: s.id, title: s.title }));
+  }
+  return diff;
+}
+
+/**
+ * A short readable form of a changed value, for showing a diff.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function describeImportValue(value) {
+  if (value === undefined || value === null) return '(none)';
+  if (Array.isArray(value) && value.every(item => item && typeof item === 'object' && 'name' in item)) {
+    const names = value.map(n => n.name);
+    return names.length > 6 ? `${names.slice(0, 6).join(', ')} (+${names.length - 6} more)` : names.join(', ') || '(none)';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -0,0 +1,238 @@
+// What a superlative document may contain, shared by the admin UI (superlatives.js, the importer)
+// and the command-line tool (manageSuperlatives.js). It is an .mjs file with no Firebase imports
+// so Node can load it from the CommonJS script as well.
+
+import { listConfettiShapes } from './confettiShapes.mjs';
+
+export const MAX_TITLE_LENGTH = 120; // firestore.rules enforces the same limit
+export const MAX_CONFETTI_PIECES = 2000;
+
+/**
+ * The confettiShape choices for the editor: '' keeps the default confetti, then every shape registered
+ * in confettiShapes.mjs. The registry is the only list of names, so a new shape needs no change here or
+ * in firestore.rules.
+ * @returns {{ value: string, label: string }[]}
+ */
+export function getConfettiShapeOptions() {
+  return [{ value: '', label: 'Default confetti' }, ...listConfettiShapes().map(({ name, label }) => ({ value: name, label }))];
+}
+
+// resultAnimation.customShape (see confettiShapes.mjs): pieces described in data
+export const CUSTOM_SHAPE_PHOTO_OPTIONS = [
+  { value: '', label: 'No photos' },
+  { value: 'winners', label: "Winners' photos" },
+  { value: 'all', label: "Every nominee's photo" },
+];
+export const MAX_GLYPH_LENGTH = 8;
+const CUSTOM_SHAPE_KEYS = ['glyphs', 'images', 'nomineePhotos', 'paths', 'size'];
+const SVG_PATH_PATTERN = /^[MmLlHhVvCcSsQqTtAaZz0-9eE.,\s+-]+$/;
+
+// A sound or image is a full URL or a path served from public/ (e.g. /images/jane.jpg)
+export const isUrlOrPath = (value) => value.startsWith('/') || /^https?:\/\//.test(value);
+
+// Every field a resultAnimation may have (see ResultConfetti.jsx, RevealEffects.jsx and revealSound.js);
+// anything else is most likely a typo. firestore.rules lists the same fields, so adding one means
+// deploying the rules again.
+export const RESULT_ANIMATION_FIELDS = [
+  'confettiShape', 'customShape', 'colors', 'numberOfPieces', 'tieNumberOfPieces', 'recycle', 'soundEffectUrl',
+  'origin', 'angle', 'spread', 'startVelocity', 'gravity', 'scalar', 'drift', 'effects',
+];
+
+// resultAnimation.effects (see RevealEffects.jsx): effects played alongside the confetti, all at once
+// unless delayed. Every effect takes a type, delayMs and durationMs, plus the fields listed here.
+// Banner text may use {winner} and {title}.
+export const REVEAL_EFFECTS = {
+  spotlight: { label: 'Spotlight on the winner', fields: ['zoom'] },
+  video: { label: 'Video or GIF clip', fields: ['src', 'muted', 'loop'] },
+  banner: { label: 'Text banner', fields: ['text', 'position', 'color'] },
+  shake: { label: 'Screen shake', fields: ['intensity'] },
+  flash: { label: 'Color flash', fields: ['color', 'count'] },
+};
+export const BANNER_POSITIONS = ['top', 'center', 'bottom'];
+export const MAX_EFFECTS = 10;
+export const MAX_EFFECT_MS = 60000;
+const MAX_BANNER_LENGTH = 200;
+
+// The names tally.js's TIE_BREAKERS understands (tally.test.js checks the two agree). Unknown names are
+// refused here and skipped by the tally.
+export const TIE_BREAKER_NAMES = ['graduatingVotes', 'firstVote'];
+
+// Number fields tuning how the confetti flies: [min, max]
+const PHYSICS_RANGES = {
+  angle: [0, 360],
+  spread: [0, 360],
+  startVelocity: [0, 200],
+  gravity: [-10, 10],
+  scalar: [0.1, 10],
+  drift: [-10, 10],
+};
+
+function getEditDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// ' (did you mean "x"?)' for a near miss, so typos are easy to spot
+function suggest(value, options) {
+  const lower = String(value).toLowerCase();
+  const match = options.find(option => option.toLowerCase() === lower)
+    || options.find(option => getEditDistance(option.toLowerCase(), lower) <= 2);
+  return match ? ` (did you mean "${match}"?)` : '';
+}
+
+function unknownFieldErrors(object, fields, prefix) {
+  return Object.keys(object)
+    .filter(key => !fields.includes(key))
+    .map(key => `${prefix}unknown field "${key}"${suggest(key, fields)}`);
+}
+
+/**
+ * Checks a superlative's resultAnimation object.
+ * @param {unknown} animation
+ * @returns {string[]} Problems; empty when it is valid.
+ */
+export function validateResultAnimation(animation) {
+  if (typeof animation !== 'object' || animation === null || Array.isArray(animation)) {
+    return ["resultAnimation must be an object"];
+  }
+  const errors = unknownFieldErrors(animation, RESULT_ANIMATION_FIELDS, 'resultAnimation has an ');
+  const shapeNames = listConfettiShapes().map(shape => shape.name);
+  if (animation.confettiShape !== undefined && !shapeNames.includes(animation.confettiShape)) {
+    errors.push(`confettiShape must be one of ${shapeNames.join(', ')}${suggest(animation.confettiShape, shapeNames)}`);
+  }
+  if (animation.colors !== undefined && (!Array.isArray(animation.colors) || animation.colors.some(c => typeof c !== 'string' || !c.trim()))) {
+    errors.push("colors must be a list of color strings");
+  }
+  ['numberOfPieces', 'tieNumberOfPieces'].forEach(key => {
+    const pieces = animation[key];
+    if (pieces !== undefined && (!Number.isInteger(pieces) || pieces < 0 || pieces > MAX_CONFETTI_PIECES)) {
+      errors.push(`${key} must be a whole number from 0 to ${MAX_CONFETTI_PIECES}`);
+    }
+  });
+  if (animation.recycle !== undefined && typeof animation.recycle !== 'boolean') errors.push("recycle must be true or false");
+  if (animation.customShape !== undefined) errors.push(...validateCustomShape(animation.customShape));
+  if (animation.soundEffectUrl !== undefined && (typeof animation.soundEffectUrl !== 'string' || !isUrlOrPath(animation.soundEffectUrl))) {
+    errors.push('soundEffectUrl must be a URL or a path starting with "/"');
+  }
+  const { origin } = animation;
+  if (origin !== undefined && !(typeof origin === 'object' && origin !== null
+    && [origin.x, origin.y].every(n => typeof n === 'number' && n >= 0 && n <= 1))) {
+    errors.push("origin must be { x, y } with numbers from 0 to 1");
+  }
+  Object.entries(PHYSICS_RANGES).forEach(([key, [min, max]]) => {
+    const value = animation[key];
+    if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+      errors.push(`${key} must be a number from ${min} to ${max}`);
+    }
+  });
+  if (animation.effects !== undefined) errors.push(...validateEffects(animation.effects));
+  return errors;
+}
+
+function validateEffects(effects) {
+  if (!Array.isArray(effects)) return ["effects must be a list"];
+  if (effects.length > MAX_EFFECTS) return [`effects can have at most ${MAX_EFFECTS} entries`];
+  const types = Object.keys(REVEAL_EFFECTS);
+  return effects.flatMap((effect, index) => {
+    const prefix = `effects[${index}]`;
+    if (typeof effect !== 'object' || effect === null || Array.isArray(effect)) return [`${prefix} must be an object`];
+    if (!types.includes(effect.type)) return [`${prefix}.type must be one of ${types.join(', ')}${suggest(effect.type ?? '', types)}`];
+
+    const errors = unknownFieldErrors(effect, ['type', 'delayMs', 'durationMs', ...REVEAL_EFFECTS[effect.type].fields], `${prefix} (${effect.type}) has an `);
+    const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    const check = (key, isValid, message) => {
+      if (effect[key] !== undefined && !isValid(effect[key])) errors.push(`${prefix}.${key} ${message}`);
+    };
+    ['delayMs', 'durationMs'].forEach(key => check(key, value => Number.isInteger(value) && isNumberIn(value, 0, MAX_EFFECT_MS), `must be a whole number of milliseconds up to ${MAX_EFFECT_MS}`));
+    check('zoom', value => isNumberIn(value, 1, 3), "must be a number from 1 to 3");
+    check('muted', value => typeof value === 'boolean', "must be true or false");
+    check('loop', value => typeof value === 'boolean', "must be true or false");
+    check('position', value => BANNER_POSITIONS.includes(value), `must be one of ${BANNER_POSITIONS.join(', ')}`);
+    check('color', value => typeof value === 'string' && value.trim() !== '', "must be a color");
+    check('intensity', value => isNumberIn(value, 1, 50), "must be a number of pixels from 1 to 50");
+    check('count', value => Number.isInteger(value) && isNumberIn(value, 1, 10), "must be a whole number from 1 to 10");
+    if (effect.type === 'video' && !(typeof effect.src === 'string' && isUrlOrPath(effect.src))) {
+      errors.push(`${prefix}.src must be a URL or a path starting with "/"`);
+    }
+    if (effect.type === 'banner' && !(typeof effect.text === 'string' && effect.text.trim() && effect.text.length <= MAX_BANNER_LENGTH)) {
+      errors.push(`${prefix}.text must be text of up to ${MAX_BANNER_LENGTH} characters`);
+    }
+    return errors;
+  });
+}
+
+function validateCustomShape(customShape) {
+  if (typeof customShape !== 'object' || customShape === null || Array.isArray(customShape)) {
+    return ["customShape must be an object"];
+  }
+  const errors = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+  errors.push(...unknownFieldErrors(customShape, CUSTOM_SHAPE_KEYS, 'customShape has an '));
+  if (customShape.glyphs !== undefined && (!isStringList(customShape.glyphs) || customShape.glyphs.some(g => [...g].length > MAX_GLYPH_LENGTH))) {
+    errors.push(`customShape.glyphs must be a list of emoji or text of up to ${MAX_GLYPH_LENGTH} characters`);
+  }
+  if (customShape.images !== undefined && (!isStringList(customShape.images) || !customShape.images.every(isUrlOrPath))) {
+    errors.push('customShape.images must be a list of URLs or paths starting with "/"');
+  }
+  const photoOptions = CUSTOM_SHAPE_PHOTO_OPTIONS.map(o => o.value).filter(Boolean);
+  if (customShape.nomineePhotos !== undefined && !photoOptions.includes(customShape.nomineePhotos)) {
+    errors.push(`customShape.nomineePhotos must be one of ${photoOptions.join(', ')}`);
+  }
+  if (customShape.paths !== undefined && (!isStringList(customShape.paths) || !customShape.paths.every(d => SVG_PATH_PATTERN.test(d)))) {
+    errors.push("customShape.paths must be a list of SVG path strings (like \"M12 2 L22 22 L2 22 Z\")");
+  }
+  if (customShape.size !== undefined && !(Number.isInteger(customShape.size) && customShape.size >= 4 && customShape.size <= 200)) {
+    errors.push("customShape.size must be a whole number from 4 to 200");
+  }
+  if (!['glyphs', 'images', 'nomineePhotos', 'paths'].some(key => customShape[key]?.length > 0)) {
+    errors.push("customShape needs glyphs, images, nomineePhotos or paths");
+  }
+  return errors;
+}
+
+/**
+ * Checks a superlative document before it is written.
+ * @param {object} superlative
+ * @returns {string[]} Problems; empty when it can be saved.
+ */
+export function validateSuperlative(superlative) {
+  const errors = [];
+  if (typeof superlative.title !== 'string' || !superlative.title.trim()) errors.push("title is required");
+  else if (superlative.title.length > MAX_TITLE_LENGTH) errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  if (typeof superlative.order !== 'number') errors.push("order must be a number");
+  if (!Array.isArray(superlative.nominees)) {
+    errors.push("nominees must be a list");
+  } else {
+    if (superlative.nominees.some(n => typeof n?.name !== 'string' || !n.name.trim())) errors.push("every nominee needs a name");
+    const names = superlative.nominees.map(n => String(n?.name || '').trim().toLowerCase()).filter(Boolean);
+    if (new Set(names).size !== names.length) errors.push("nominee names must be unique");
+    superlative.nominees.forEach(n => {
+      if (n?.image !== undefined && (typeof n.image !== 'string' || !isUrlOrPath(n.image))) {
+        errors.push(`${n?.name || 'a nominee'}'s image must be a URL or a path starting with "/"`);
+      }
+    });
+  }
+  if (superlative.resultAnimation !== undefined) errors.push(...validateResultAnimation(superlative.resultAnimation));
+  if (superlative.timer?.seconds !== undefined && !(Number.isInteger(superlative.timer.seconds) && superlative.timer.seconds > 0)) {
+    errors.push("timer.seconds must be a positive whole number");
+  }
+  if (superlative.tieBreakers !== undefined) {
+    if (!Array.isArray(superlative.tieBreakers)) {
+      errors.push("tieBreakers must be a list");
+    } else {
+      superlative.tieBreakers.filter(name => !TIE_BREAKER_NAMES.includes(name)).forEach(name => {
+        errors.push(`unknown tie-breaker "${name}", expected one of ${TIE_BREAKER_NAMES.join(', ')}${suggest(name, TIE_BREAKER_NAMES)}`);
+      });
+    }
+  }
+  return errors;
+}
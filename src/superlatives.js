@@ -0,0 +1,306 @@
+import { db } from './firebase';
+import {
+  addDoc,
+  deleteField,
+  doc,
+  getDocs,
+  query,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { STATE_COLLECTION, CURRENT_STATE_DOC, SUPERLATIVES_COLLECTION } from './appState';
+import { VOTES_COLLECTION, TALLIES_COLLECTION, getTallyShardIds } from './votes';
+import { NOMINATIONS_COLLECTION } from './nominations';
+import { eventDoc, eventCollection } from './events';
+import { MAX_TITLE_LENGTH, MAX_CONFETTI_PIECES, MAX_GLYPH_LENGTH, isUrlOrPath, validateResultAnimation } from './superlativeSchema.mjs';
+
+// Admin editing of the current event's superlatives (see SuperlativeEditor.jsx). Everyone's
+// superlatives subscription picks the changes up live.
+
+export const MIN_NOMINEES = 2; // A nomination round fills the nominees in later, so it may start with none
+const MAX_BATCH_WRITES = 500; // Firestore's limit per batch
+
+/**
+ * Checks an editor draft before it is saved.
+ * @param {{ title: string, nominees: { name: string, image: string }[], nominationsEnabled: boolean,
+ *   resultAnimation: { confettiShape: string, colors: string, numberOfPieces: string, recycle: boolean, soundEffectUrl: string,
+ *     glyphs: string, images: string, nomineePhotos: string, pieceSize: string,
+ *     spotlight: boolean, videoSrc: string, bannerText: string, shake: boolean, flashColor: string } }} draft
+ * @param {object | null} [superlative] - The superlative being edited; its resultAnimation fields the editor
+ *   doesn't show are checked too.
+ * @returns {string[]} User-facing problems; empty when the draft can be saved.
+ */
+export function validateSuperlativeDraft(draft, superlative = null) {
+  const errors = [];
+  const title = draft.title.trim();
+  if (!title) errors.push("The title is required.");
+  if (title.length > MAX_TITLE_LENGTH) errors.push(`The title must be at most ${MAX_TITLE_LENGTH} characters.`);
+
+  const names = draft.nominees.map(n => n.name.trim());
+  if (names.some(name => !name)) errors.push("Every nominee needs a name.");
+  const lowerNames = names.filter(Boolean).map(name => name.toLowerCase());
+  if (new Set(lowerNames).size !== lowerNames.length) errors.push("Nominee names must be unique.");
+  if (!draft.nominationsEnabled && names.length < MIN_NOMINEES) {
+    errors.push(`Add at least ${MIN_NOMINEES} nominees, or turn on the nomination round.`);
+  }
+  draft.nominees.forEach(n => {
+    if (n.image.trim() && !isUrlOrPath(n.image.trim())) {
+      errors.push(`${n.name.trim() || 'A nominee'}'s image must be a URL or a path starting with "/".`);
+    }
+  });
+
+  const animation = draft.resultAnimation;
+  if (animation.numberOfPieces.trim()) {
+    const pieces = Number(animation.numberOfPieces);
+    if (!Number.isInteger(pieces) || pieces < 0 || pieces > MAX_CONFETTI_PIECES) {
+      errors.push(`Confetti pieces must be a whole number from 0 to ${MAX_CONFETTI_PIECES}.`);
+    }
+  }
+  const badColors = splitCommaList(animation.colors).filter(color => !CSS.supports('color', color));
+  if (badColors.length > 0) errors.push(`Not a valid color: ${badColors.join(', ')}.`);
+  if (animation.soundEffectUrl.trim() && !isUrlOrPath(animation.soundEffectUrl.trim())) {
+    errors.push('The sound must be a URL or a path starting with "/".');
+  }
+  const longGlyphs = splitGlyphs(animation.glyphs).filter(glyph => [...glyph].length > MAX_GLYPH_LENGTH);
+  if (longGlyphs.length > 0) errors.push(`Custom pieces can be at most ${MAX_GLYPH_LENGTH} characters: ${longGlyphs.join(', ')}.`);
+  const badImages = splitCommaList(animation.images).filter(src => !isUrlOrPath(src));
+  if (badImages.length > 0) errors.push(`Piece pictures must be URLs or paths starting with "/": ${badImages.join(', ')}.`);
+  if (animation.pieceSize.trim()) {
+    const pieceSize = Number(animation.pieceSize);
+    if (!Number.isInteger(pieceSize) || pieceSize < 4 || pieceSize > 200) errors.push("Piece size must be a whole number from 4 to 200.");
+  }
+  if (animation.videoSrc.trim() && !isUrlOrPath(animation.videoSrc.trim())) {
+    errors.push('The video or GIF must be a URL or a path starting with "/".');
+  }
+  if (animation.flashColor.trim() && !CSS.supports('color', animation.flashColor.trim())) {
+    errors.push(`Not a valid flash color: ${animation.flashColor.trim()}.`);
+  }
+  // The fields above are fine by now, so anything left is in the saved animation (set by import or the CLI)
+  if (errors.length === 0) {
+    const resultAnimation = toResultAnimation(animation, superlative?.resultAnimation);
+    if (resultAnimation) errors.push(...validateResultAnimation(resultAnimation).map(error => `Result animation: ${error}.`));
+  }
+  return errors;
+}
+
+function splitCommaList(text) {
+  return text.split(',').map(color => color.trim()).filter(Boolean);
+}
+
+// Emoji and text pieces are separated by spaces
+function splitGlyphs(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * An editor draft for a superlative (or a blank one for null).
+ * @param {object | null} superlative
+ */
+export function toSuperlativeDraft(superlative) {
+  const animation = superlative?.resultAnimation || {};
+  const findEffect = (type) => (animation.effects || []).find(effect => effect?.type === type);
+  return {
+    title: superlative?.title || '',
+    nominees: (superlative?.nominees || []).map(n => ({ name: n.name || '', image: n.image || '' })),
+    nominationsEnabled: superlative?.nominations?.enabled === true,
+    resultAnimation: {
+      confettiShape: animation.confettiShape || '',
+      colors: (animation.colors || []).join(', '),
+      numberOfPieces: animation.numberOfPieces !== undefined ? String(animation.numberOfPieces) : '',
+      recycle: animation.recycle === true,
+      soundEffectUrl: animation.soundEffectUrl || '',
+      glyphs: (animation.customShape?.glyphs || []).join(' '),
+      images: (animation.customShape?.images || []).join(', '),
+      nomineePhotos: animation.customShape?.nomineePhotos || '',
+      pieceSize: animation.customShape?.size !== undefined ? String(animation.customShape.size) : '',
+      spotlight: Boolean(findEffect('spotlight')),
+      videoSrc: findEffect('video')?.src || '',
+      bannerText: findEffect('banner')?.text || '',
+      shake: Boolean(findEffect('shake')),
+      flashColor: findEffect('flash')?.color || '',
+    },
+  };
+}
+
+const setOrDelete = (object, key, value) => {
+  if (value === undefined) delete object[key];
+  else object[key] = value;
+};
+
+// Custom pieces from the editor; SVG paths can only be set by import or the CLI, so they are kept
+function toCustomShape(draftAnimation, existing = {}) {
+  const customShape = { ...existing };
+  const glyphs = splitGlyphs(draftAnimation.glyphs);
+  const images = splitCommaList(draftAnimation.images);
+  setOrDelete(customShape, 'glyphs', glyphs.length > 0 ? glyphs : undefined);
+  setOrDelete(customShape, 'images', images.length > 0 ? images : undefined);
+  setOrDelete(customShape, 'nomineePhotos', draftAnimation.nomineePhotos || undefined);
+  setOrDelete(customShape, 'size', draftAnimation.pieceSize.trim() ? Number(draftAnimation.pieceSize) : undefined);
+  const hasPieces = ['glyphs', 'images', 'nomineePhotos', 'paths'].some(key => customShape[key]?.length > 0);
+  return hasPieces ? customShape : undefined;
+}
+
+// The editor turns one effect of each type on or off and sets its main option; timing and the other
+// settings (from import or the CLI) are kept
+function toEffects(draftAnimation, existing = []) {
+  const changesByType = {
+    spotlight: draftAnimation.spotlight ? {} : undefined,
+    video: draftAnimation.videoSrc.trim() ? { src: draftAnimation.videoSrc.trim() } : undefined,
+    banner: draftAnimation.bannerText.trim() ? { text: draftAnimation.bannerText.trim() } : undefined,
+    shake: draftAnimation.shake ? {} : undefined,
+    flash: draftAnimation.flashColor.trim() ? { color: draftAnimation.flashColor.trim() } : undefined,
+  };
+  const effects = existing.filter(effect => changesByType[effect?.type]);
+  Object.entries(changesByType).forEach(([type, changes]) => {
+    if (!changes) return;
+    const index = effects.findIndex(effect => effect.type === type);
+    if (index === -1) effects.push({ type, ...changes });
+    else effects[index] = { ...effects[index], ...changes };
+  });
+  return effects.length > 0 ? effects : undefined;
+}
+
+// The editor only covers some resultAnimation fields; the rest (origin, physics...) are kept as they are
+function toResultAnimation(draftAnimation, existing = {}) {
+  const resultAnimation = { ...existing };
+  const setOrDeleteField = (key, value) => setOrDelete(resultAnimation, key, value);
+  const colors = splitCommaList(draftAnimation.colors);
+  setOrDeleteField('confettiShape', draftAnimation.confettiShape || undefined);
+  setOrDeleteField('colors', colors.length > 0 ? colors : undefined);
+  setOrDeleteField('numberOfPieces', draftAnimation.numberOfPieces.trim() ? Number(draftAnimation.numberOfPieces) : undefined);
+  setOrDeleteField('recycle', draftAnimation.recycle || undefined);
+  setOrDeleteField('soundEffectUrl', draftAnimation.soundEffectUrl.trim() || undefined);
+  setOrDeleteField('customShape', toCustomShape(draftAnimation, existing.customShape));
+  setOrDeleteField('effects', toEffects(draftAnimation, existing.effects));
+  return Object.keys(resultAnimation).length > 0 ? resultAnimation : null;
+}
+
+/**
+ * The superlative as it would be saved from the draft, for previewing the reveal before saving.
+ * @param {ReturnType<typeof toSuperlativeDraft>} draft
+ * @param {object | null} [superlative] - The superlative being edited.
+ * @returns {object}
+ */
+export function toPreviewSuperlative(draft, superlative = null) {
+  const resultAnimation = toResultAnimation(draft.resultAnimation, superlative?.resultAnimation);
+  return {
+    ...superlative,
+    id: superlative?.id || 'preview',
+    title: draft.title.trim() || 'Untitled superlative',
+    nominees: draft.nominees.filter(n => n.name.trim()).map(toNominee),
+    resultAnimation: resultAnimation || undefined,
+  };
+}
+
+/**
+ * Creates a superlative from a validated draft, after the existing ones (admin only).
+ * @param {ReturnType<typeof toSuperlativeDraft>} draft
+ * @param {number} order
+ */
+export async function createSuperlative(draft, order) {
+  const resultAnimation = toResultAnimation(draft.resultAnimation);
+  await addDoc(eventCollection(SUPERLATIVES_COLLECTION), {
+    title: draft.title.trim(),
+    order,
+    nominees: draft.nominees.map(toNominee),
+    ...(draft.nominationsEnabled ? { nominations: { enabled: true } } : {}),
+    ...(resultAnimation ? { resultAnimation } : {}),
+  });
+}
+
+/**
+ * Saves a validated draft over an existing superlative (admin only). Settings the editor
+ * doesn't show (voting, timer, reveal...) are left untouched.
+ * @param {object} superlative - The superlative as loaded, with its id.
+ * @param {ReturnType<typeof toSuperlativeDraft>} draft
+ */
+export async function updateSuperlative(superlative, draft) {
+  const resultAnimation = toResultAnimation(draft.resultAnimation, superlative.resultAnimation);
+  await updateDoc(eventDoc(SUPERLATIVES_COLLECTION, superlative.id), {
+    title: draft.title.trim(),
+    nominees: draft.nominees.map(toNominee),
+    'nominations.enabled': draft.nominationsEnabled,
+    resultAnimation: resultAnimation || deleteField(),
+  });
+}
+
+function toNominee(nominee) {
+  const image = nominee.image.trim();
+  return image ? { name: nominee.name.trim(), image } : { name: nominee.name.trim() };
+}
+
+/**
+ * Rewrites `order` to match the given list (admin only). While a session is running, the session
+ * state's currentQuestionIndex moves with the current superlative, so nobody jumps to another one.
+ * @param {string[]} orderedIds
+ * @param {string | null} currentSuperlativeId
+ */
+export async function reorderSuperlatives(orderedIds, currentSuperlativeId) {
+  const batch = writeBatch(db);
+  orderedIds.forEach((id, index) => {
+    batch.update(eventDoc(SUPERLATIVES_COLLECTION, id), { order: index });
+  });
+  if (currentSuperlativeId && orderedIds.includes(currentSuperlativeId)) {
+    batch.update(eventDoc(STATE_COLLECTION, CURRENT_STATE_DOC), { currentQuestionIndex: orderedIds.indexOf(currentSuperlativeId) });
+  }
+  await batch.commit();
+}
+
+// Commits (batch) => void writes, MAX_BATCH_WRITES at a time
+async function commitWrites(writes) {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Deletes a superlative with its votes, tally and nominations, and renumbers the rest (admin only).
+ * @param {string} superlativeId
+ * @param {string[]} orderedIds - Every superlative id in order, including the deleted one.
+ * @param {string | null} currentSuperlativeId
+ */
+export async function deleteSuperlative(superlativeId, orderedIds, currentSuperlativeId) {
+  const [voteDocs, nominationDocs] = await Promise.all([
+    getDocs(query(eventCollection(VOTES_COLLECTION), where('superlativeId', '==', superlativeId))),
+    getDocs(query(eventCollection(NOMINATIONS_COLLECTION), where('superlativeId', '==', superlativeId))),
+  ]);
+  // The superlative goes last, so a failed chunk leaves it there to delete again
+  const refsToDelete = [
+    ...voteDocs.docs.map(d => d.ref),
+    ...nominationDocs.docs.map(d => d.ref),
+    ...getTallyShardIds(superlativeId).map(tallyId => eventDoc(TALLIES_COLLECTION, tallyId)),
+    eventDoc(SUPERLATIVES_COLLECTION, superlativeId),
+  ];
+  await commitWrites(refsToDelete.map(ref => batch => batch.delete(ref)));
+  await reorderSuperlatives(orderedIds.filter(id => id !== superlativeId), currentSuperlativeId);
+}
+
+/**
+ * Writes a bulk import (admin only; see superlativeImport.mjs): creates, updates and, if asked,
+ * removes superlatives along with the votes, tallies and nominations of removed ones.
+ * @param {ReturnType<typeof import('./superlativeImport.mjs').diffImport>} diff
+ */
+export async function applySuperlativeImport(diff) {
+  const removedIds = diff.removes.map(s => s.id);
+  const relatedDocs = await Promise.all(removedIds.flatMap(id => [
+    getDocs(query(eventCollection(VOTES_COLLECTION), where('superlativeId', '==', id))),
+    getDocs(query(eventCollection(NOMINATIONS_COLLECTION), where('superlativeId', '==', id))),
+  ]));
+  const refsToDelete = [
+    ...relatedDocs.flatMap(snapshot => snapshot.docs.map(d => d.ref)),
+    ...removedIds.flatMap(id => [
+      ...getTallyShardIds(id).map(tallyId => eventDoc(TALLIES_COLLECTION, tallyId)),
+      eventDoc(SUPERLATIVES_COLLECTION, id),
+    ]),
+  ];
+
+  const writes = [
+    ...diff.creates.map(data => batch => batch.set(doc(eventCollection(SUPERLATIVES_COLLECTION)), data)),
+    ...diff.updates.map(({ id, data }) => batch => batch.update(eventDoc(SUPERLATIVES_COLLECTION, id), data)),
+    ...refsToDelete.map(ref => batch => batch.delete(ref)),
+  ];
+  await commitWrites(writes);
+}
@@ -0,0 +1,474 @@
+// Winner computation for a superlative, independent of React and Firestore.
+//
+// Votes are first aggregated into per-nominee stats:
+//   { [nomineeName]: { score, voteCount, votesByType, graduatingVotes, firstVoteTimestamp } }
+// (live from the ballots in the tally shards, or from the raw votes at the reveal), then ranked by score and the
+// superlative's tie-breakers. Each choice on a ballot is worth points (1, or Borda points for
+// ranked ballots) times the vote weight set per voter type in the superlative's
+// `voting.weights` (every vote counts 1 by default). Ranked ballots tallied by instant
+// runoff are counted round by round instead; see runInstantRunoff.
+
+export const VOTER_TYPES = ['graduating', 'guest', 'admin'];
+export const DEFAULT_VOTE_WEIGHT = 1;
+
+// Voting modes set by a superlative's `voting.mode`:
+//   single   - pick one nominee (the default)
+//   approval - pick up to `voting.maxSelections` nominees
+//   ranked   - order your top `voting.maxSelections`, tallied by `voting.rankedMethod` ('irv' or 'borda')
+export const VOTING_MODES = ['single', 'approval', 'ranked'];
+export const RANKED_METHODS = ['irv', 'borda'];
+const DEFAULT_MAX_SELECTIONS = 3;
+const MAX_SELECTIONS_LIMIT = 10; // Matches the choices list size allowed by firestore.rules
+
+const VOTER_TYPE_LABELS = { graduating: 'Graduating', guest: 'Guest', admin: 'Admin' };
+
+/**
+ * Resolves the vote weight per voter type for a superlative.
+ * Missing or invalid weights fall back to DEFAULT_VOTE_WEIGHT; a weight of 0 means those votes don't count.
+ * @param {{ voting?: { weights?: Object<string, number> } } | null} superlative
+ * @returns {Object<string, number>}
+ */
+export function getVoteWeights(superlative) {
+  const configuredWeights = superlative?.voting?.weights || {};
+  const weights = {};
+  VOTER_TYPES.forEach(type => {
+    const weight = configuredWeights[type];
+    weights[type] = typeof weight === 'number' && weight >= 0 ? weight : DEFAULT_VOTE_WEIGHT;
+  });
+  return weights;
+}
+
+/**
+ * Resolves a superlative's voting configuration: mode, ballot size, ranked tallying method and weights.
+ * @param {{ voting?: object } | null} superlative
+ * @returns {{ mode: string, maxSelections: number, rankedMethod: string, weights: Object<string, number> }}
+ */
+export function getVotingConfig(superlative) {
+  const voting = superlative?.voting || {};
+  const mode = VOTING_MODES.includes(voting.mode) ? voting.mode : 'single';
+  const maxSelections = Number.isInteger(voting.maxSelections) && voting.maxSelections > 0
+    ? Math.min(voting.maxSelections, MAX_SELECTIONS_LIMIT)
+    : DEFAULT_MAX_SELECTIONS;
+  return {
+    mode,
+    maxSelections: mode === 'single' ? 1 : maxSelections,
+    rankedMethod: RANKED_METHODS.includes(voting.rankedMethod) ? voting.rankedMethod : 'irv',
+    weights: getVoteWeights(superlative),
+  };
+}
+
+/**
+ * The nominees chosen on a vote doc, in ballot order. Single-choice votes store `nomineeName`;
+ * approval and ranked votes store a `choices` array.
+ * @param {{ nomineeName?: string, choices?: string[] }} vote
+ * @returns {string[]}
+ */
+export function getVoteChoices(vote) {
+  if (Array.isArray(vote?.choices)) return vote.choices;
+  return vote?.nomineeName ? [vote.nomineeName] : [];
+}
+
+/**
+ * The choices a vote is counted for: repeats dropped and cut to the ballot size, so a vote doc written
+ * by hand can't count a nominee twice or pick more nominees than the voting mode allows.
+ * @param {{ nomineeName?: string, choices?: string[] }} vote
+ * @param {ReturnType<typeof getVotingConfig>} voting
+ * @returns {string[]}
+ */
+export function getBallotChoices(vote, voting) {
+  return [...new Set(getVoteChoices(vote))].slice(0, voting.maxSelections);
+}
+
+/**
+ * Points a choice earns from its position on the ballot: 1 in single and approval mode,
+ * Borda points (maxSelections for a first choice down to 1) for ranked Borda count, and
+ * first preferences only for ranked instant runoff (its live, round-one view).
+ * @param {ReturnType<typeof getVotingConfig>} voting
+ * @param {number} position - Zero-based position on the ballot.
+ * @returns {number}
+ */
+export function getChoicePoints(voting, position) {
+  if (voting.mode !== 'ranked') return 1;
+  if (voting.rankedMethod === 'borda') return Math.max(voting.maxSelections - position, 0);
+  return position === 0 ? 1 : 0;
+}
+
+/**
+ * Whether any voter type counts for something other than one point per vote.
+ * @param {Object<string, number>} weights
+ * @returns {boolean}
+ */
+export function isWeightedVoting(weights) {
+  return Object.values(weights).some(weight => weight !== DEFAULT_VOTE_WEIGHT);
+}
+
+/**
+ * A short human-readable description of the weighting, for the results screen.
+ * @param {Object<string, number>} weights
+ * @returns {string | null} null when every vote counts the same.
+ */
+export function describeVoteWeights(weights) {
+  if (!isWeightedVoting(weights)) return null;
+  const countingTypes = ['graduating', 'guest'].filter(type => weights[type] > 0);
+  if (countingTypes.length === 1) {
+    return `Only ${VOTER_TYPE_LABELS[countingTypes[0]].toLowerCase()} votes count`;
+  }
+  return ['graduating', 'guest']
+    .map(type => `${VOTER_TYPE_LABELS[type]} votes ×${weights[type]}`)
+    .join(', ');
+}
+
+/**
+ * Tie-breakers that can be listed in a superlative's `tieBreakers` field, applied in order
+ * when scores are equal. Each compares two stats entries the way Array#sort expects
+ * (negative when `a` should rank above `b`).
+ */
+export const TIE_BREAKERS = {
+  // More votes from graduating users wins
+  graduatingVotes: (a, b) => b.graduatingVotes - a.graduatingVotes,
+  // The nominee who received a vote first wins; nominees without a timestamp rank after those with one
+  firstVote: (a, b) => {
+    if (!a.firstVoteTimestamp && !b.firstVoteTimestamp) return 0;
+    if (!a.firstVoteTimestamp) return 1;
+    if (!b.firstVoteTimestamp) return -1;
+    return toMillis(a.firstVoteTimestamp) - toMillis(b.firstVoteTimestamp);
+  },
+};
+
+// The tie-break order used before it became configurable: score, then graduating votes, then first vote.
+export const DEFAULT_TIE_BREAKERS = ['graduatingVotes', 'firstVote'];
+
+function toMillis(timestamp) {
+  if (timestamp?.toMillis) return timestamp.toMillis(); // Firestore Timestamp
+  return new Date(timestamp).getTime();
+}
+
+/**
+ * Resolves a superlative's tie-breaker list, dropping unknown names.
+ * @param {string[] | undefined} tieBreakers - Names from TIE_BREAKERS; undefined means DEFAULT_TIE_BREAKERS.
+ * @returns {string[]}
+ */
+export function resolveTieBreakers(tieBreakers) {
+  if (!Array.isArray(tieBreakers)) return DEFAULT_TIE_BREAKERS;
+  // validateSuperlative refuses unknown names, so one only turns up in a doc written around it
+  return tieBreakers.filter(name => TIE_BREAKERS[name]);
+}
+
+/**
+ * Aggregates raw vote docs into per-nominee stats. Choices that are not nominees are ignored
+ * (as are repeats and choices past the ballot size; see getBallotChoices),
+ * and votes with a weight of 0 are counted in voteCount only (voteCount is unweighted points).
+ * @param {{ name: string }[]} nominees
+ * @param {{ nomineeName?: string, choices?: string[], userType: string, timestamp?: any }[]} votes
+ * @param {{ voting?: ReturnType<typeof getVotingConfig> }} [options] - Defaults to single mode, 1 per vote.
+ * @returns {Object<string, { score: number, voteCount: number, votesByType: Object<string, number>, graduatingVotes: number, firstVoteTimestamp: Date | null }>}
+ */
+export function aggregateVotes(nominees, votes, options = {}) {
+  const voting = options.voting || getVotingConfig(null);
+  const stats = {};
+  nominees.forEach(n => {
+    stats[n.name] = { score: 0, voteCount: 0, votesByType: {}, graduatingVotes: 0, firstVoteTimestamp: null };
+  });
+
+  votes.forEach(vote => {
+    const weight = voting.weights[vote.userType] ?? DEFAULT_VOTE_WEIGHT;
+    getBallotChoices(vote, voting).forEach((nomineeName, position) => {
+      const nomineeStats = stats[nomineeName];
+      const points = getChoicePoints(voting, position);
+      if (!nomineeStats || points === 0) return;
+      nomineeStats.voteCount += points;
+      nomineeStats.votesByType[vote.userType] = (nomineeStats.votesByType[vote.userType] || 0) + points;
+      if (weight === 0) return;
+      nomineeStats.score += points * weight;
+      if (vote.userType === 'graduating') {
+        nomineeStats.graduatingVotes += 1;
+      }
+      // Timestamps can be null while a serverTimestamp() is pending
+      if (vote.timestamp) {
+        const voteDate = vote.timestamp.toDate ? vote.timestamp.toDate() : new Date(vote.timestamp);
+        if (!nomineeStats.firstVoteTimestamp || voteDate < nomineeStats.firstVoteTimestamp) {
+          nomineeStats.firstVoteTimestamp = voteDate;
+        }
+      }
+    });
+  });
+  return stats;
+}
+
+/**
+ * Ranks nominees from aggregated stats.
+ *
+ * Nominees equal on score and every tie-breaker share a rank. The winners are the nominees
+ * ranked first with at least one vote.
+ *
+ * @param {{ name: string, image?: string }[]} nominees
+ * @param {Object<string, { score: number, graduatingVotes: number, firstVoteTimestamp: Date | null }>} nomineeStats
+ * @param {{ tieBreakers?: string[] }} [options]
+ * @returns {{
+ *   status: 'winner' | 'tie' | 'noVotes',
+ *   isTie: boolean,
+ *   decidedBy: string | null,
+ *   tieBreakers: string[],
+ *   rankings: { name: string, image?: string, score: number, voteCount: number, graduatingVotes: number, firstVoteTimestamp: Date | null, rank: number }[],
+ *   winners: object[],
+ * }}
+ *   decidedBy names what separated the winner from the runner-up: 'score', a tie-breaker name,
+ *   'unopposed' when nobody else got a vote, or null for a tie or no votes.
+ */
+export function rankNominees(nominees, nomineeStats, options = {}) {
+  const tieBreakers = resolveTieBreakers(options.tieBreakers);
+  const comparators = [(a, b) => b.score - a.score, ...tieBreakers.map(name => TIE_BREAKERS[name])];
+  const compare = (a, b) => {
+    for (const comparator of comparators) {
+      const result = comparator(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+
+  const sorted = nominees
+    .map(n => ({
+      ...n,
+      score: nomineeStats[n.name]?.score || 0,
+      voteCount: nomineeStats[n.name]?.voteCount || 0,
+      graduatingVotes: nomineeStats[n.name]?.graduatingVotes || 0,
+      firstVoteTimestamp: nomineeStats[n.name]?.firstVoteTimestamp || null,
+    }))
+    .sort(compare);
+
+  const rankings = [];
+  sorted.forEach((entry, index) => {
+    const previous = rankings[index - 1];
+    const rank = previous && compare(previous, entry) === 0 ? previous.rank : index + 1;
+    rankings.push({ ...entry, rank });
+  });
+
+  const winners = rankings.filter(r => r.rank === 1 && r.score > 0);
+  const isTie = winners.length > 1;
+  let status = 'winner';
+  if (winners.length === 0) status = 'noVotes';
+  else if (isTie) status = 'tie';
+
+  let decidedBy = null;
+  if (status === 'winner') {
+    const winner = winners[0];
+    const runnerUp = rankings.find(r => r.rank !== 1);
+    if (!runnerUp || runnerUp.score === 0) {
+      decidedBy = 'unopposed';
+    } else if (winner.score !== runnerUp.score) {
+      decidedBy = 'score';
+    } else {
+      decidedBy = tieBreakers.find(name => TIE_BREAKERS[name](winner, runnerUp) !== 0) || null;
+    }
+  }
+
+  return { status, isTie, decidedBy, tieBreakers, rankings, winners };
+}
+
+/**
+ * Tallies ranked ballots by instant runoff: each round counts every ballot for its highest-ranked
+ * nominee still in the running, and the nominee(s) with the fewest votes are eliminated until
+ * someone holds a majority. If everyone left is tied, they all win.
+ * @param {{ name: string, image?: string }[]} nominees
+ * @param {object[]} votes - Raw vote docs with ranked `choices`.
+ * @param {{ voting?: ReturnType<typeof getVotingConfig> }} [options]
+ * @returns {ReturnType<typeof rankNominees> & { rounds: { counts: Object<string, number>, eliminated: string[] }[] }}
+ */
+export function runInstantRunoff(nominees, votes, options = {}) {
+  const voting = options.voting || getVotingConfig(null);
+  const nomineeNames = new Set(nominees.map(n => n.name));
+  const ballots = votes
+    .map(vote => ({
+      choices: getBallotChoices(vote, voting).filter(name => nomineeNames.has(name)),
+      weight: voting.weights[vote.userType] ?? DEFAULT_VOTE_WEIGHT,
+    }))
+    .filter(ballot => ballot.weight > 0 && ballot.choices.length > 0);
+
+  const firstPreferences = {};
+  ballots.forEach(ballot => {
+    firstPreferences[ballot.choices[0]] = (firstPreferences[ballot.choices[0]] || 0) + 1;
+  });
+
+  const rounds = [];
+  const eliminatedGroups = []; // Most recently eliminated first
+  let continuing = nominees.map(n => n.name);
+  let winnerNames = [];
+  while (continuing.length > 0) {
+    const counts = Object.fromEntries(continuing.map(name => [name, 0]));
+    let activeTotal = 0;
+    ballots.forEach(ballot => {
+      const choice = ballot.choices.find(name => counts[name] !== undefined);
+      if (choice) {
+        counts[choice] += ballot.weight;
+        activeTotal += ballot.weight;
+      }
+    });
+    const round = { counts, eliminated: [] };
+    rounds.push(round);
+    if (activeTotal === 0) break; // No votes at all
+
+    const highest = Math.max(...Object.values(counts));
+    if (highest * 2 > activeTotal) {
+      winnerNames = continuing.filter(name => counts[name] === highest);
+      break;
+    }
+    const lowest = Math.min(...Object.values(counts));
+    const lowestNames = continuing.filter(name => counts[name] === lowest);
+    if (lowestNames.length === continuing.length) {
+      winnerNames = continuing; // Everyone left is tied
+      break;
+    }
+    round.eliminated = lowestNames;
+    eliminatedGroups.unshift(lowestNames);
+    continuing = continuing.filter(name => !lowestNames.includes(name));
+  }
+
+  // Rank winners first, then the rest of the final round by their count, then each elimination group in reverse order
+  const lastRound = rounds[rounds.length - 1];
+  const lastScore = (name) => {
+    for (let i = rounds.length - 1; i >= 0; i--) {
+      if (rounds[i].counts[name] !== undefined) return rounds[i].counts[name];
+    }
+    return 0;
+  };
+  const groups = [
+    winnerNames,
+    ...Object.entries(lastRound?.counts || {})
+      .filter(([name]) => !winnerNames.includes(name))
+      .sort((a, b) => b[1] - a[1])
+      .map(([name]) => [name]),
+    ...eliminatedGroups,
+  ].filter(group => group.length > 0);
+
+  const rankings = [];
+  groups.forEach(group => {
+    const rank = rankings.length + 1;
+    group.forEach(name => {
+      const nominee = nominees.find(n => n.name === name);
+      rankings.push({
+        ...nominee,
+        score: lastScore(name),
+        voteCount: firstPreferences[name] || 0,
+        graduatingVotes: 0,
+        firstVoteTimestamp: null,
+        rank,
+      });
+    });
+  });
+
+  const winners = rankings.filter(r => r.rank === 1 && r.score > 0);
+  const isTie = winners.length > 1;
+  let status = 'winner';
+  if (winners.length === 0) status = 'noVotes';
+  else if (isTie) status = 'tie';
+
+  let decidedBy = null;
+  if (status === 'winner') decidedBy = rounds.length === 1 ? 'majority' : 'instantRunoff';
+
+  return { status, isTie, decidedBy, tieBreakers: [], rankings, winners, rounds };
+}
+
+/**
+ * Tallies raw votes for a superlative using its voting mode: instant runoff for ranked 'irv'
+ * ballots, otherwise aggregateVotes followed by rankNominees.
+ * @param {{ name: string, image?: string }[]} nominees
+ * @param {object[]} votes - Raw vote docs.
+ * @param {{ tieBreakers?: string[], voting?: ReturnType<typeof getVotingConfig> }} [options]
+ */
+export function tallyVotes(nominees, votes, options = {}) {
+  const voting = options.voting || getVotingConfig(null);
+  if (voting.mode === 'ranked' && voting.rankedMethod === 'irv') {
+    return runInstantRunoff(nominees, votes, { ...options, voting });
+  }
+  return rankNominees(nominees, aggregateVotes(nominees, votes, { ...options, voting }), options);
+}
+
+/**
+ * Whether the live tally doc can't produce the final result, so clients must wait for the
+ * admin's revealedResults (instant runoff needs the full ranked ballots).
+ * @param {ReturnType<typeof getVotingConfig>} voting
+ * @returns {boolean}
+ */
+export function needsRawBallots(voting) {
+  return voting.mode === 'ranked' && voting.rankedMethod === 'irv';
+}
+
+/**
+ * The unit scores are shown in: points when votes are weighted or ranked by Borda count, otherwise votes.
+ * @param {ReturnType<typeof getVotingConfig>} voting
+ * @returns {string}
+ */
+export function getScoreUnit(voting) {
+  const isBorda = voting.mode === 'ranked' && voting.rankedMethod === 'borda';
+  return isWeightedVoting(voting.weights) || isBorda ? 'point(s)' : 'vote(s)';
+}
+
+/**
+ * Explains a voting method for the results screen.
+ * @param {ReturnType<typeof getVotingConfig>} voting
+ * @returns {string}
+ */
+export function describeVotingMethod(voting) {
+  if (voting.mode === 'approval') {
+    return `Approval voting: everyone picked up to ${voting.maxSelections} nominees, and the most approvals wins.`;
+  }
+  if (voting.mode === 'ranked' && voting.rankedMethod === 'borda') {
+    const points = Array.from({ length: voting.maxSelections }, (_, i) => voting.maxSelections - i);
+    return `Ranked choice (Borda count): choices earn ${points.join(', ')} point(s) from first to last, and the most points wins.`;
+  }
+  if (voting.mode === 'ranked') {
+    return "Ranked choice (instant runoff): the nominee with the fewest votes is eliminated each round and their votes move to each voter's next choice, until someone has a majority.";
+  }
+  return "One vote each, and the most votes wins.";
+}
+
+const DECISION_DESCRIPTIONS = {
+  unopposed: "They were the only nominee to receive votes.",
+  score: "They had the highest score.",
+  graduatingVotes: "Tied on score; won the tie-break on votes from graduating users.",
+  firstVote: "Tied on score and every earlier tie-break; won by receiving a vote first.",
+  majority: "They won a majority of first choices outright.",
+};
+
+/**
+ * Explains what decided a result, for the results screen.
+ * @param {{ status: string, decidedBy: string | null, rounds?: object[] }} result
+ * @returns {string}
+ */
+export function describeDecision(result) {
+  if (result.status === 'noVotes') return "No votes were cast.";
+  if (result.status === 'tie') return "The top nominees were tied after every tie-break.";
+  if (result.decidedBy === 'instantRunoff') {
+    const eliminationRounds = (result.rounds?.length || 1) - 1;
+    return `They reached a majority after ${eliminationRounds} elimination round(s).`;
+  }
+  return DECISION_DESCRIPTIONS[result.decidedBy] || '';
+}
+
+/**
+ * Rebuilds a tally result from a superlative's stored `revealedResults`, so every device shows
+ * exactly what the admin revealed.
+ * @param {object} revealedResults
+ * @returns {ReturnType<typeof rankNominees>}
+ */
+export function fromRevealedResults(revealedResults) {
+  const rankings = revealedResults.rankings || [];
+  return {
+    status: revealedResults.status,
+    isTie: revealedResults.isTie,
+    decidedBy: revealedResults.decidedBy,
+    tieBreakers: revealedResults.tieBreakers || [],
+    rounds: revealedResults.rounds || null,
+    rankings,
+    winners: rankings.filter(r => r.rank === 1 && r.score > 0),
+  };
+}
+
+/**
+ * The shape stored as a superlative's `revealedWinnerData` (read by the final summary).
+ * @param {ReturnType<typeof rankNominees>} result
+ * @returns {{ name: string, image?: string, count: number, isTie: boolean }[]}
+ */
+export function toRevealedWinnerData(result) {
+  return result.winners.map(w => ({ name: w.name, image: w.image || null, count: w.score, isTie: result.isTie }));
+}
@@ -0,0 +1,310 @@
+import test, { describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getVotingConfig,
+  aggregateVotes,
+  rankNominees,
+  runInstantRunoff,
+  tallyVotes,
+  fromRevealedResults,
+  describeDecision,
+  getBallotChoices,
+  TIE_BREAKERS,
+} from './tally.js';
+import { TIE_BREAKER_NAMES } from './superlativeSchema.mjs';
+
+// Run with `npm test`. tally.js has no Firebase or React imports, so plain `node --test` can load it.
+
+const nominees = [{ name: 'Ann' }, { name: 'Ben' }, { name: 'Cy' }];
+const at = (seconds) => new Date(Date.UTC(2025, 5, 1, 20, 0, seconds));
+const vote = (choices, userType = 'guest', timestamp = at(0)) =>
+  (Array.isArray(choices) ? { choices, userType, timestamp } : { nomineeName: choices, userType, timestamp });
+const tally = (votes, { voting, tieBreakers, superlative = {} } = {}) =>
+  tallyVotes(nominees, votes, { voting: voting || getVotingConfig(superlative), tieBreakers });
+const ranks = (result) => Object.fromEntries(result.rankings.map(r => [r.name, r.rank]));
+
+describe('getVotingConfig', () => {
+  test('defaults to single mode with one vote each', () => {
+    const voting = getVotingConfig(null);
+    assert.equal(voting.mode, 'single');
+    assert.equal(voting.maxSelections, 1);
+    assert.deepEqual(voting.weights, { graduating: 1, guest: 1, admin: 1 });
+  });
+
+  test('caps maxSelections and ignores bad weights', () => {
+    const voting = getVotingConfig({ voting: { mode: 'approval', maxSelections: 50, weights: { guest: -1, graduating: 0 } } });
+    assert.equal(voting.maxSelections, 10);
+    assert.deepEqual(voting.weights, { graduating: 0, guest: 1, admin: 1 });
+  });
+});
+
+describe('zero votes', () => {
+  test('every nominee shares first place and nobody wins', () => {
+    const result = tally([]);
+    assert.equal(result.status, 'noVotes');
+    assert.equal(result.isTie, false);
+    assert.equal(result.decidedBy, null);
+    assert.deepEqual(result.winners, []);
+    assert.deepEqual(ranks(result), { Ann: 1, Ben: 1, Cy: 1 });
+    assert.equal(describeDecision(result), "No votes were cast.");
+  });
+
+  test('votes for names that are not nominees are ignored', () => {
+    const result = tally([vote('Zed'), vote('Zed')]);
+    assert.equal(result.status, 'noVotes');
+  });
+
+  test('instant runoff with no ballots has one empty round', () => {
+    const result = tally([], { superlative: { voting: { mode: 'ranked' } } });
+    assert.equal(result.status, 'noVotes');
+    assert.equal(result.rounds.length, 1);
+  });
+});
+
+describe('rankNominees', () => {
+  test('a higher score wins outright', () => {
+    const result = tally([vote('Ann'), vote('Ann'), vote('Ben')]);
+    assert.equal(result.status, 'winner');
+    assert.equal(result.decidedBy, 'score');
+    assert.deepEqual(result.winners.map(w => w.name), ['Ann']);
+    assert.deepEqual(ranks(result), { Ann: 1, Ben: 2, Cy: 3 });
+  });
+
+  test('the only nominee with votes wins unopposed', () => {
+    const result = tally([vote('Cy')]);
+    assert.equal(result.decidedBy, 'unopposed');
+    assert.deepEqual(ranks(result), { Cy: 1, Ann: 2, Ben: 2 });
+  });
+
+  test('graduating votes break a tie on score', () => {
+    const result = tally([vote('Ann', 'guest', at(1)), vote('Ben', 'graduating', at(2))]);
+    assert.equal(result.decidedBy, 'graduatingVotes');
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+
+  test('the first vote breaks a tie after graduating votes', () => {
+    const result = tally([vote('Ann', 'guest', at(5)), vote('Ben', 'guest', at(3))]);
+    assert.equal(result.decidedBy, 'firstVote');
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+
+  test('nominees equal on score and every tie-breaker share a rank', () => {
+    const result = tally([vote('Ann', 'guest', at(1)), vote('Ben', 'guest', at(1)), vote('Cy', 'guest', at(9))], { tieBreakers: ['graduatingVotes'] });
+    assert.equal(result.status, 'tie');
+    assert.equal(result.isTie, true);
+    assert.equal(result.decidedBy, null);
+    assert.deepEqual(ranks(result), { Ann: 1, Ben: 1, Cy: 1 });
+  });
+
+  test('ranks after a shared rank skip ahead', () => {
+    const result = tally([vote('Ann'), vote('Ann'), vote('Ben'), vote('Cy')], { tieBreakers: [] });
+    assert.deepEqual(ranks(result), { Ann: 1, Ben: 2, Cy: 2 });
+    assert.equal(result.decidedBy, 'score');
+  });
+
+  test('an empty tie-breaker list leaves score ties as ties', () => {
+    const result = tally([vote('Ann', 'graduating', at(1)), vote('Ben', 'guest', at(2))], { tieBreakers: [] });
+    assert.equal(result.status, 'tie');
+    assert.deepEqual(result.tieBreakers, []);
+  });
+
+  test('unknown tie-breakers are dropped', () => {
+    const result = tally([vote('Ann', 'guest', at(5)), vote('Ben', 'guest', at(3))], { tieBreakers: ['coinFlip', 'firstVote'] });
+    assert.deepEqual(result.tieBreakers, ['firstVote']);
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+
+  test('the schema accepts exactly the tie-breakers the tally knows', () => {
+    assert.deepEqual(Object.keys(TIE_BREAKERS).sort(), [...TIE_BREAKER_NAMES].sort());
+  });
+});
+
+describe('null timestamps', () => {
+  test('a pending timestamp is skipped when finding the first vote', () => {
+    const stats = aggregateVotes(nominees, [vote('Ann', 'guest', null), vote('Ann', 'guest', at(7))]);
+    assert.deepEqual(stats.Ann.firstVoteTimestamp, at(7));
+  });
+
+  test('a nominee with a timestamp ranks above one without', () => {
+    const result = tally([vote('Ann', 'guest', null), vote('Ben', 'guest', at(4))], { tieBreakers: ['firstVote'] });
+    assert.equal(result.decidedBy, 'firstVote');
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+
+  test('two nominees without timestamps stay tied', () => {
+    const result = tally([vote('Ann', 'guest', null), vote('Ben', 'guest', null)], { tieBreakers: ['firstVote'] });
+    assert.equal(result.status, 'tie');
+    assert.deepEqual(result.winners.map(w => w.name).sort(), ['Ann', 'Ben']);
+  });
+
+  test('Firestore Timestamps are read with toDate', () => {
+    const timestamp = { toDate: () => at(2), toMillis: () => at(2).getTime() };
+    const stats = aggregateVotes(nominees, [vote('Cy', 'guest', timestamp)]);
+    assert.deepEqual(stats.Cy.firstVoteTimestamp, at(2));
+  });
+});
+
+describe('weights', () => {
+  const guestsOnly = { voting: { weights: { graduating: 0 } } };
+
+  test('weight-0 votes are counted but score nothing', () => {
+    const stats = aggregateVotes(nominees, [vote('Ann', 'graduating', at(1)), vote('Ben', 'guest', at(2))], { voting: getVotingConfig(guestsOnly) });
+    assert.equal(stats.Ann.score, 0);
+    assert.equal(stats.Ann.voteCount, 1);
+    assert.deepEqual(stats.Ann.votesByType, { graduating: 1 });
+    // ...and don't feed the tie-breakers either
+    assert.equal(stats.Ann.graduatingVotes, 0);
+    assert.equal(stats.Ann.firstVoteTimestamp, null);
+    assert.equal(stats.Ben.score, 1);
+  });
+
+  test('weight-0 votes cannot decide a tie', () => {
+    const votes = [
+      vote('Ann', 'guest', at(5)), vote('Ann', 'graduating', at(1)),
+      vote('Ben', 'guest', at(3)),
+    ];
+    const result = tally(votes, { superlative: guestsOnly });
+    // Ann's graduating vote would win both tie-breakers, but it doesn't count
+    assert.equal(result.decidedBy, 'firstVote');
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+
+  test('only weight-0 votes means no winner', () => {
+    const result = tally([vote('Ann', 'graduating')], { superlative: guestsOnly });
+    assert.equal(result.status, 'noVotes');
+  });
+
+  test('weights multiply the score', () => {
+    const result = tally([vote('Ann', 'graduating'), vote('Ben', 'guest'), vote('Ben', 'guest')], { superlative: { voting: { weights: { graduating: 3 } } } });
+    assert.equal(result.winners[0].name, 'Ann');
+    assert.equal(result.winners[0].score, 3);
+  });
+
+  test('instant runoff drops weight-0 ballots', () => {
+    const superlative = { voting: { mode: 'ranked', weights: { guest: 0 } } };
+    const result = tally([vote(['Ann']), vote(['Ann']), vote(['Ben'], 'graduating')], { superlative });
+    assert.equal(result.winners[0].name, 'Ben');
+    assert.equal(result.decidedBy, 'majority');
+  });
+});
+
+describe('live ballots', () => {
+  // The tally shards hold a { choices, userType, timestamp } copy of each vote (see castVote in votes.js)
+  const toBallot = (v) => ({ choices: v.choices || [v.nomineeName], userType: v.userType, timestamp: v.timestamp });
+
+  test('rank like the raw votes at the reveal, weight-0 votes included', () => {
+    const superlative = { voting: { weights: { graduating: 0 } } };
+    const votes = [
+      vote('Ann', 'guest', at(5)), vote('Ann', 'graduating', at(1)),
+      vote('Ben', 'guest', at(3)), vote('Cy', 'graduating', at(2)),
+    ];
+    assert.deepEqual(tally(votes.map(toBallot), { superlative }), tally(votes, { superlative }));
+  });
+
+  test('a changed vote counts from when it was changed', () => {
+    // Ann's first voter (at 1s) moved to Cy at 9s, so Ben's vote at 3s is now the first one
+    const votes = [vote('Cy', 'guest', at(9)), vote('Ann', 'guest', at(6)), vote('Ben', 'guest', at(3))];
+    const result = tally(votes.map(toBallot));
+    assert.equal(result.decidedBy, 'firstVote');
+    assert.equal(result.winners[0].name, 'Ben');
+  });
+});
+
+describe('approval and Borda', () => {
+  test('approval counts one point per choice', () => {
+    const superlative = { voting: { mode: 'approval', maxSelections: 2 } };
+    const result = tally([vote(['Ann', 'Ben']), vote(['Ben'])], { superlative });
+    assert.equal(result.winners[0].name, 'Ben');
+    assert.equal(result.winners[0].score, 2);
+  });
+
+  test('Borda gives maxSelections points down to 1', () => {
+    const superlative = { voting: { mode: 'ranked', rankedMethod: 'borda', maxSelections: 3 } };
+    const stats = aggregateVotes(nominees, [vote(['Ann', 'Ben', 'Cy'])], { voting: getVotingConfig(superlative) });
+    assert.deepEqual([stats.Ann.score, stats.Ben.score, stats.Cy.score], [3, 2, 1]);
+  });
+});
+
+describe('forged ballots', () => {
+  const stuffed = [vote(['Ann', 'Ann', 'Ann']), vote('Ben'), vote('Ben')];
+
+  test('repeats and extra choices are dropped', () => {
+    const voting = getVotingConfig({ voting: { mode: 'approval', maxSelections: 2 } });
+    assert.deepEqual(getBallotChoices(vote(['Ann', 'Ann', 'Ben', 'Cy']), voting), ['Ann', 'Ben']);
+  });
+
+  test('a choices list counts once in single mode', () => {
+    const result = tally(stuffed);
+    assert.equal(result.winners[0].name, 'Ben');
+    assert.equal(result.rankings.find(r => r.name === 'Ann').score, 1);
+  });
+
+  test('approval counts each nominee once, up to maxSelections', () => {
+    const result = tally(stuffed, { superlative: { voting: { mode: 'approval', maxSelections: 1 } } });
+    assert.equal(result.winners[0].name, 'Ben');
+    const wide = tally([vote(['Ann', 'Ben', 'Cy'])], { superlative: { voting: { mode: 'approval', maxSelections: 2 } } });
+    assert.equal(wide.rankings.find(r => r.name === 'Cy').score, 0);
+  });
+
+  test('instant runoff ignores repeated choices', () => {
+    const result = tally(stuffed, { superlative: { voting: { mode: 'ranked' } } });
+    assert.equal(result.winners[0].name, 'Ben');
+    assert.deepEqual(result.rounds[0].counts, { Ann: 1, Ben: 2, Cy: 0 });
+  });
+});
+
+describe('runInstantRunoff', () => {
+  const voting = getVotingConfig({ voting: { mode: 'ranked' } });
+
+  test('a first-round majority wins', () => {
+    const result = runInstantRunoff(nominees, [vote(['Ann']), vote(['Ann']), vote(['Ben'])], { voting });
+    assert.equal(result.decidedBy, 'majority');
+    assert.equal(result.rounds.length, 1);
+  });
+
+  test('the last nominee is eliminated and their ballots move on', () => {
+    const votes = [vote(['Ann', 'Ben']), vote(['Ann', 'Cy']), vote(['Ben', 'Ann']), vote(['Ben', 'Cy']), vote(['Cy', 'Ben'])];
+    const result = runInstantRunoff(nominees, votes, { voting });
+    assert.equal(result.status, 'winner');
+    assert.equal(result.decidedBy, 'instantRunoff');
+    assert.equal(result.rounds.length, 2);
+    assert.deepEqual(result.rounds[0].counts, { Ann: 2, Ben: 2, Cy: 1 });
+    assert.deepEqual(result.rounds[0].eliminated, ['Cy']);
+    assert.deepEqual(result.rounds[1].counts, { Ann: 2, Ben: 3 });
+    assert.deepEqual(ranks(result), { Ben: 1, Ann: 2, Cy: 3 });
+    assert.deepEqual(result.rankings.map(r => r.voteCount), [2, 2, 1]); // First preferences
+    assert.match(describeDecision(result), /after 1 elimination round/);
+  });
+
+  test('nominees tied for last are eliminated together', () => {
+    const votes = [vote(['Ann']), vote(['Ann']), vote(['Ann']), vote(['Ben', 'Ann']), vote(['Cy', 'Ann'])];
+    const fourNominees = [...nominees, { name: 'Dee' }];
+    const result = runInstantRunoff(fourNominees, votes, { voting });
+    assert.equal(result.decidedBy, 'majority');
+    const spread = runInstantRunoff(fourNominees, [vote(['Ann']), vote(['Ann']), vote(['Ben', 'Ann']), vote(['Cy', 'Ann']), vote(['Dee', 'Ben'])], { voting });
+    assert.deepEqual(spread.rounds[0].eliminated, ['Ben', 'Cy', 'Dee']);
+    assert.equal(spread.winners[0].name, 'Ann');
+  });
+
+  test('everyone left tied ends in a tie', () => {
+    const result = runInstantRunoff(nominees, [vote(['Ann']), vote(['Ben'])], { voting });
+    assert.equal(result.status, 'tie');
+    assert.equal(result.decidedBy, null);
+    assert.deepEqual(result.winners.map(w => w.name), ['Ann', 'Ben']);
+    assert.deepEqual(ranks(result), { Ann: 1, Ben: 1, Cy: 3 });
+  });
+
+  test('exhausted ballots stop counting', () => {
+    const votes = [vote(['Ann']), vote(['Ann']), vote(['Ben']), vote(['Ben']), vote(['Cy'])];
+    const result = runInstantRunoff(nominees, votes, { voting });
+    assert.equal(result.rounds[1].counts.Ann + result.rounds[1].counts.Ben, 4);
+    assert.equal(result.status, 'tie');
+  });
+});
+
+test('fromRevealedResults restores the winners', () => {
+  const result = tally([vote('Ann'), vote('Ben'), vote('Ben')]);
+  const restored = fromRevealedResults({ ...result, rankings: result.rankings.map(({ name, score, voteCount, rank }) => ({ name, score, voteCount, rank })) });
+  assert.deepEqual(restored.winners.map(w => w.name), ['Ben']);
+  assert.equal(restored.status, 'winner');
+});
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { serverTimestamp } from 'firebase/firestore';
+
+// Voting timers. The admin starts a round by writing votingStartedAt (a server timestamp) and
+// votingDurationSeconds to the global state; every client counts down to the same deadline, and
+// firestore.rules rejects votes that arrive after it.
+
+/**
+ * The timer length for a superlative: its own `timer.seconds`, else the session-wide default.
+ * @param {{ timer?: { seconds?: number } } | null} superlative
+ * @param {number | null} sessionTimerSeconds - Session state `timerSeconds`.
+ * @returns {number | null} null when there's no timer.
+ */
+export function getTimerSeconds(superlative, sessionTimerSeconds) {
+  const seconds = superlative?.timer?.seconds ?? sessionTimerSeconds;
+  return Number.isInteger(seconds) && seconds > 0 ? seconds : null;
+}
+
+/**
+ * Global state fields that start a voting timer.
+ * @param {number} seconds
+ * @returns {object}
+ */
+export function getTimerStartFields(seconds) {
+  return { votingStartedAt: serverTimestamp(), votingDurationSeconds: seconds };
+}
+
+// Global state fields for "no timer running"
+export const CLEARED_TIMER_FIELDS = { votingStartedAt: null, votingDurationSeconds: null };
+
+/**
+ * When the running timer ends.
+ * @param {import('firebase/firestore').Timestamp | null} votingStartedAt
+ * @param {number | null} votingDurationSeconds
+ * @returns {number | null} Milliseconds since the epoch, or null when no timer is running.
+ */
+export function getVotingEndsAt(votingStartedAt, votingDurationSeconds) {
+  if (!votingStartedAt?.toMillis || !votingDurationSeconds) return null;
+  return votingStartedAt.toMillis() + votingDurationSeconds * 1000;
+}
+
+/**
+ * Formats a countdown as m:ss.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getRemainingSeconds(endsAt) {
+  return endsAt === null ? null : Math.max(Math.ceil((endsAt - Date.now()) / 1000), 0);
+}
+
+/**
+ * Whole seconds left until endsAt, re-rendering as it counts down.
+ * @param {number | null} endsAt - From getVotingEndsAt.
+ * @returns {number | null} null when no timer is running; 0 once it has run out.
+ */
+export function useCountdown(endsAt) {
+  const [remainingSeconds, setRemainingSeconds] = useState(() => getRemainingSeconds(endsAt));
+
+  useEffect(() => {
+    setRemainingSeconds(getRemainingSeconds(endsAt));
+    if (endsAt === null) return;
+    const interval = setInterval(() => {
+      const remaining = getRemainingSeconds(endsAt);
+      setRemainingSeconds(remaining);
+      if (remaining === 0) clearInterval(interval);
+    }, 250);
+    return () => clearInterval(interval);
+  }, [endsAt]);
+
+  return remainingSeconds;
+}
@@ -0,0 +1,97 @@
+import { db } from './firebase';
+import { getDoc, onSnapshot, query, serverTimestamp, where, writeBatch } from 'firebase/firestore';
+import { getVoteChoices } from './tally';
+import { eventCollection, eventDoc } from './events';
+
+// Firestore collection names. Raw vote docs are only readable by the admin and their owner;
+// everyone else follows the superlative's tally shards, which hold the same ballots without
+// saying whose they are.
+export const VOTES_COLLECTION = 'votes';
+export const TALLIES_COLLECTION = 'tallies';
+
+// Ballots are spread over this many shard docs per superlative, so a room full of voters isn't
+// writing to a single doc.
+const TALLY_SHARD_COUNT = 16;
+
+/**
+ * The id of a user's vote doc for a superlative (one vote doc per user per superlative).
+ * @param {string} superlativeId
+ * @param {string} userId
+ * @returns {string}
+ */
+export function getVoteDocId(superlativeId, userId) {
+  return `${superlativeId}_${userId}`;
+}
+
+const randomHex = (length) => Array.from(crypto.getRandomValues(new Uint8Array(length)), byte => (byte % 16).toString(16)).join('');
+
+/**
+ * Casts or changes a vote, writing its ballot to one of the superlative's tally shards in the same batch.
+ *
+ * Vote doc: single-choice votes store `nomineeName`; approval and ranked votes store the
+ * ordered `choices` array (see getVoteChoices in tally.js). `ballotId` and `tallyId` say where
+ * its ballot lives; they are picked on the first vote and kept after that.
+ *
+ * Tally shard (tallies/{superlativeId}_{0-f}):
+ *   superlativeId
+ *   ballots - { [ballotId]: { choices, userType, timestamp } }, a copy of each vote under a random id
+ *
+ * firestore.rules checks that each ballot matches its vote, so the counts everyone sees can't be
+ * made up, and tally.js counts ballots exactly like the raw votes at the reveal.
+ *
+ * @param {{ superlativeId: string, userId: string, userType: string, choices: string[], voting: object }} vote
+ *   voting is the superlative's config from getVotingConfig.
+ */
+export async function castVote({ superlativeId, userId, userType, choices, voting }) {
+  const voteDocRef = eventDoc(VOTES_COLLECTION, getVoteDocId(superlativeId, userId));
+  const voteSnap = await getDoc(voteDocRef);
+  const previousVote = voteSnap.exists() ? voteSnap.data() : null;
+  const ballotChoices = voting.mode === 'single' ? choices.slice(0, 1) : choices;
+
+  if (previousVote?.ballotId && previousVote.userType === userType && getVoteChoices(previousVote).join('\n') === ballotChoices.join('\n')) {
+    return; // Nothing changed
+  }
+
+  const ballotId = previousVote?.ballotId || randomHex(16);
+  const tallyId = previousVote?.tallyId || `${superlativeId}_${randomHex(1)}`;
+  const timestamp = serverTimestamp();
+  const batch = writeBatch(db);
+  batch.set(voteDocRef, {
+    superlativeId,
+    ...(voting.mode === 'single' ? { nomineeName: ballotChoices[0] } : { choices: ballotChoices }),
+    userId,
+    userType,
+    ballotId,
+    tallyId,
+    timestamp,
+  });
+  batch.set(eventDoc(TALLIES_COLLECTION, tallyId), {
+    superlativeId,
+    ballots: { [ballotId]: { choices: ballotChoices, userType, timestamp } },
+  }, { merge: true });
+  await batch.commit();
+}
+
+/**
+ * Follows a superlative's ballots across its tally shards. Each ballot has the fields tally.js
+ * reads from a vote doc, so they can go straight into aggregateVotes or tallyVotes.
+ * @param {string} superlativeId
+ * @param {(ballots: { choices: string[], userType: string, timestamp: any }[]) => void} onBallots
+ * @param {(error: Error) => void} onError
+ * @returns {() => void} Unsubscribe.
+ */
+export function subscribeToBallots(superlativeId, onBallots, onError) {
+  const tallyQuery = query(eventCollection(TALLIES_COLLECTION), where('superlativeId', '==', superlativeId));
+  return onSnapshot(tallyQuery, (snapshot) => {
+    onBallots(snapshot.docs.flatMap(d => Object.values(d.data().ballots || {})));
+  }, onError);
+}
+
+/**
+ * The ids of every tally shard a superlative can have, for deleting them along with its votes.
+ * @param {string} superlativeId
+ * @returns {string[]}
+ */
+export function getTallyShardIds(superlativeId) {
+  return Array.from({ length: TALLY_SHARD_COUNT }, (_, shard) => `${superlativeId}_${shard.toString(16)}`);
+}
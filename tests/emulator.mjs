@@ -0,0 +1,82 @@
+import { randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, serverTimestamp, setDoc, writeBatch } from 'firebase/firestore';
+
+// Shared setup for the tests in this folder. They run against the Firestore emulator with the real
+// firestore.rules, so they need firebase-tools and Java: `npm run test:emulator`.
+
+export const EVENT_ID = 'test-event';
+export const SUPERLATIVE_ID = 'mostLikely';
+
+/**
+ * Starts a rules test environment for the emulator that `firebase emulators:exec` is running.
+ * @param {string} projectId A demo- project id, unique per test file so they don't share data.
+ */
+export function createTestEnvironment(projectId) {
+  return initializeTestEnvironment({
+    projectId,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+}
+
+/**
+ * Writes docs with the rules turned off, e.g. seed(testEnv, { 'events/x/state/current': {...} }).
+ * @param {import('@firebase/rules-unit-testing').RulesTestEnvironment} testEnv
+ * @param {Record<string, object>} docs Keyed by path.
+ */
+export async function seed(testEnv, docs) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(docs)) await setDoc(doc(db, path), data);
+  });
+}
+
+/**
+ * The docs of an event in the middle of a vote on SUPERLATIVE_ID.
+ * @param {object} [voting] The superlative's voting config.
+ * @param {object} [state] Fields to change in the session state.
+ */
+export function votingSessionDocs(voting = { mode: 'single' }, state = {}) {
+  return {
+    [`events/${EVENT_ID}`]: { name: 'Test event' },
+    [`events/${EVENT_ID}/superlatives/${SUPERLATIVE_ID}`]: {
+      title: 'Most likely to test',
+      order: 1,
+      nominees: [{ name: 'Ann' }, { name: 'Ben' }, { name: 'Cy' }],
+      voting,
+    },
+    [`events/${EVENT_ID}/state/current`]: {
+      isSessionStarted: true,
+      isResultShown: false,
+      allSuperlativesCompleted: false,
+      currentSuperlativeId: SUPERLATIVE_ID,
+      ...state,
+    },
+  };
+}
+
+export const newBallotId = () => randomBytes(8).toString('hex');
+export const newTallyId = () => `${SUPERLATIVE_ID}_${randomBytes(1).toString('hex')[0]}`;
+
+/**
+ * The two writes castVote (src/votes.js) makes: the vote doc and its ballot in a tally shard.
+ * Every field can be overridden, to try the writes the rules should turn down.
+ * @param {import('firebase/firestore').Firestore} db A context's firestore().
+ * @param {string} uid
+ * @param {{ vote?: object, ballot?: object, ballotId?: string, tallyId?: string }} [overrides]
+ * @returns {Promise<void>}
+ */
+export function writeVote(db, uid, { vote = {}, ballot = {}, ballotId = newBallotId(), tallyId = newTallyId() } = {}) {
+  const timestamp = serverTimestamp();
+  const ballotFields = vote.choices ? {} : { nomineeName: 'Ann' }; // Approval and ranked votes pass choices instead
+  const voteFields = { superlativeId: SUPERLATIVE_ID, ...ballotFields, userId: uid, userType: 'guest', ballotId, tallyId, timestamp, ...vote };
+  const choices = voteFields.choices || [voteFields.nomineeName];
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'events', EVENT_ID, 'votes', `${SUPERLATIVE_ID}_${uid}`), voteFields);
+  batch.set(doc(db, 'events', EVENT_ID, 'tallies', tallyId), {
+    superlativeId: SUPERLATIVE_ID,
+    ballots: { [ballotId]: { choices, userType: voteFields.userType, timestamp, ...ballot } },
+  }, { merge: true });
+  return batch.commit();
+}
@@ -0,0 +1,206 @@
+import { after, afterEach, before, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, serverTimestamp, setDoc, Timestamp, updateDoc } from 'firebase/firestore';
+import {
+  EVENT_ID,
+  SUPERLATIVE_ID,
+  createTestEnvironment,
+  newBallotId,
+  newTallyId,
+  seed,
+  votingSessionDocs,
+  writeVote,
+} from './emulator.mjs';
+
+// firestore.rules against the emulator. Run with `npm run test:emulator` (needs Java for the emulator).
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnvironment('demo-superlatives-rules');
+});
+
+afterEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+const dbFor = (uid) => testEnv.authenticatedContext(uid).firestore();
+const adminDb = () => testEnv.authenticatedContext('admin', { admin: true }).firestore();
+const eventPath = (...segments) => [`events/${EVENT_ID}`, ...segments].join('/');
+
+describe('session state and superlatives', () => {
+  const superlative = { title: 'Best laugh', order: 2, nominees: [{ name: 'Ann' }] };
+
+  test('only admins change the session state', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('state/current')), { isResultShown: true }));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('state/current')), { isResultShown: false }));
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), eventPath('state/current'))));
+  });
+
+  test('only admins write superlatives', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertSucceeds(setDoc(doc(adminDb(), eventPath('superlatives/bestLaugh')), superlative));
+    await assertFails(setDoc(doc(dbFor('alice'), eventPath('superlatives/bestLaugh2')), superlative));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('superlatives', SUPERLATIVE_ID)), { title: 'Hacked' }));
+    await assertFails(deleteDoc(doc(dbFor('alice'), eventPath('superlatives', SUPERLATIVE_ID))));
+  });
+
+  test('superlatives must have a title and only known resultAnimation fields', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertFails(setDoc(doc(adminDb(), eventPath('superlatives/untitled')), { ...superlative, title: '' }));
+    await assertFails(setDoc(doc(adminDb(), eventPath('superlatives/typo')), { ...superlative, resultAnimation: { numberOfPeices: 100 } }));
+  });
+
+  test('unknown confettiShape names are accepted; the app falls back to default confetti', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertSucceeds(setDoc(doc(adminDb(), eventPath('superlatives/custom')), { ...superlative, resultAnimation: { confettiShape: 'notARegisteredShape' } }));
+  });
+});
+
+describe('votes', () => {
+  test('a voter casts and changes their own vote', async () => {
+    await seed(testEnv, votingSessionDocs());
+    const ballotId = newBallotId();
+    const tallyId = newTallyId();
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId }));
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId, vote: { nomineeName: 'Ben' } }));
+  });
+
+  test("nobody writes or reads someone else's vote", async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertSucceeds(writeVote(dbFor('bob'), 'bob'));
+    await assertFails(writeVote(dbFor('alice'), 'bob'));
+    await assertFails(getDoc(doc(dbFor('alice'), eventPath('votes', `${SUPERLATIVE_ID}_bob`))));
+    await assertSucceeds(getDoc(doc(dbFor('bob'), eventPath('votes', `${SUPERLATIVE_ID}_bob`))));
+    await assertSucceeds(getDoc(doc(adminDb(), eventPath('votes', `${SUPERLATIVE_ID}_bob`))));
+  });
+
+  test('votes are turned down outside the voting phase', async () => {
+    const closedStates = [
+      { isSessionStarted: false },
+      { isResultShown: true },
+      { allSuperlativesCompleted: true },
+      { currentSuperlativeId: 'another' },
+      { votingStartedAt: Timestamp.fromMillis(Date.now() - 120 * 1000), votingDurationSeconds: 60 },
+    ];
+    for (const state of closedStates) {
+      await seed(testEnv, votingSessionDocs({ mode: 'single' }, state));
+      await assertFails(writeVote(dbFor('alice'), 'alice'));
+    }
+  });
+
+  test('votes wait for the nomination round to close', async () => {
+    const docs = votingSessionDocs();
+    docs[eventPath('superlatives', SUPERLATIVE_ID)].nominations = { enabled: true };
+    await seed(testEnv, docs);
+    await assertFails(writeVote(dbFor('alice'), 'alice'));
+  });
+
+  test('only roster claims vote as graduating and only admins as admin', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertFails(writeVote(dbFor('alice'), 'alice', { vote: { userType: 'graduating' } }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { vote: { userType: 'admin' } }));
+    await seed(testEnv, { [eventPath('rosterClaims/alice')]: { rosterId: 'CODE1', name: 'Alice' } });
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', { vote: { userType: 'graduating' } }));
+  });
+
+  test('ballots must fit the voting mode', async () => {
+    await seed(testEnv, votingSessionDocs({ mode: 'approval', maxSelections: 2 }));
+    const approval = (choices) => ({ vote: { choices } });
+    await assertFails(writeVote(dbFor('alice'), 'alice', approval(['Ann', 'Ben', 'Cy'])));
+    await assertFails(writeVote(dbFor('alice'), 'alice', approval(['Ann', 'Ann'])));
+    await assertFails(writeVote(dbFor('alice'), 'alice', approval([])));
+    await assertFails(writeVote(dbFor('alice'), 'alice')); // nomineeName in approval mode
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', approval(['Ann', 'Ben'])));
+  });
+});
+
+describe('nominations', () => {
+  const nominate = (db, uid, names) => setDoc(doc(db, eventPath('nominations', `${SUPERLATIVE_ID}_${uid}`)), {
+    superlativeId: SUPERLATIVE_ID, userId: uid, names, timestamp: serverTimestamp(),
+  });
+
+  test('write-ins must be up to three names of at most 60 characters', async () => {
+    const docs = votingSessionDocs();
+    docs[eventPath('superlatives', SUPERLATIVE_ID)].nominations = { enabled: true };
+    await seed(testEnv, docs);
+    await assertFails(nominate(dbFor('alice'), 'alice', ['Ann', 'Ben', 'Cy', 'Dee']));
+    await assertFails(nominate(dbFor('alice'), 'alice', ['Ann', 42]));
+    await assertFails(nominate(dbFor('alice'), 'alice', ['x'.repeat(61)]));
+    await assertFails(nominate(dbFor('alice'), 'alice', ['Ann', '']));
+    await assertSucceeds(nominate(dbFor('alice'), 'alice', ['Ann', 'x'.repeat(60)]));
+  });
+});
+
+describe('tally shards', () => {
+  test('a vote must come with its ballot, and a ballot with its vote', async () => {
+    await seed(testEnv, votingSessionDocs());
+    const db = dbFor('alice');
+    await assertFails(setDoc(doc(db, eventPath('votes', `${SUPERLATIVE_ID}_alice`)), {
+      superlativeId: SUPERLATIVE_ID, nomineeName: 'Ann', userId: 'alice', userType: 'guest',
+      ballotId: newBallotId(), tallyId: newTallyId(), timestamp: serverTimestamp(),
+    }));
+    await assertFails(setDoc(doc(db, eventPath('tallies', `${SUPERLATIVE_ID}_0`)), {
+      superlativeId: SUPERLATIVE_ID,
+      ballots: { [newBallotId()]: { choices: ['Ann'], userType: 'guest', timestamp: serverTimestamp() } },
+    }));
+  });
+
+  test('the ballot must match the vote', async () => {
+    await seed(testEnv, votingSessionDocs());
+    await assertFails(writeVote(dbFor('alice'), 'alice', { ballot: { choices: ['Ben'] } }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { ballot: { choices: ['Ann', 'Ann'] } }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { ballot: { userType: 'graduating' } }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { tallyId: 'another_0' }));
+  });
+
+  test("nobody rewrites someone else's ballot or moves their own", async () => {
+    await seed(testEnv, votingSessionDocs());
+    const ballotId = newBallotId();
+    const tallyId = newTallyId();
+    await assertSucceeds(writeVote(dbFor('bob'), 'bob', { ballotId, tallyId }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId, vote: { nomineeName: 'Ben' } }));
+    await assertFails(writeVote(dbFor('bob'), 'bob', { tallyId }));
+    await assertFails(deleteDoc(doc(dbFor('bob'), eventPath('tallies', tallyId))));
+  });
+});
+
+describe('participants', () => {
+  const participant = (fields = {}) => ({ name: 'Alice', userType: 'guest', joinedAt: serverTimestamp(), lastSeen: serverTimestamp(), ...fields });
+
+  test('a voter can only keep a name the admin changed', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('alice'), eventPath('participants/alice')), participant()));
+    await assertFails(setDoc(doc(dbFor('bob'), eventPath('participants/alice')), participant()));
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('participants/alice')), { name: 'A.', renamedByAdmin: true }));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { name: 'Alice', lastSeen: serverTimestamp() }));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { renamedByAdmin: false, lastSeen: serverTimestamp() }));
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { lastSeen: serverTimestamp() }));
+  });
+
+  test('a removed voter cannot join again until let back in', async () => {
+    await assertSucceeds(setDoc(doc(dbFor('alice'), eventPath('participants/alice')), participant()));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { removed: true }));
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('participants/alice')), { removed: true }));
+    await assertFails(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { lastSeen: serverTimestamp() }));
+    await assertFails(setDoc(doc(dbFor('alice'), eventPath('participants/alice')), participant()));
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('participants/alice')), { removed: false }));
+    await assertSucceeds(updateDoc(doc(dbFor('alice'), eventPath('participants/alice')), { lastSeen: serverTimestamp() }));
+  });
+
+  test('a removed voter cannot vote', async () => {
+    await seed(testEnv, votingSessionDocs());
+    const ballotId = newBallotId();
+    const tallyId = newTallyId();
+    await assertSucceeds(setDoc(doc(dbFor('alice'), eventPath('participants/alice')), participant()));
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId }));
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('participants/alice')), { removed: true }));
+    await assertFails(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId, vote: { nomineeName: 'Ben' } }));
+    await assertSucceeds(updateDoc(doc(adminDb(), eventPath('participants/alice')), { removed: false }));
+    await assertSucceeds(writeVote(dbFor('alice'), 'alice', { ballotId, tallyId, vote: { nomineeName: 'Ben' } }));
+  });
+});
@@ -0,0 +1,91 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { EVENT_ID, SUPERLATIVE_ID, createTestEnvironment, seed, votingSessionDocs, writeVote } from './emulator.mjs';
+
+// Load test for the tally shards: how many documents the listeners of a round are sent when they follow
+// the tally shards, compared with the old way of every phone streaming every vote doc. Phones join late
+// and reconnect all through a round, and each (re)join of a votes listener reads every vote cast so far.
+
+const VOTERS = 60;
+const LISTENERS = 6; // One joins at the start, the rest spread over the round
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnvironment('demo-tally-reads');
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+// Counts every document a listener is sent, and resolves `done` once it has seen `expected` of something
+function countReads(targetQuery, countSeen, expected) {
+  const listener = { reads: 0 };
+  listener.done = new Promise((resolve, reject) => {
+    listener.unsubscribe = onSnapshot(targetQuery, (snapshot) => {
+      listener.reads += snapshot.docChanges().length;
+      if (countSeen(snapshot) === expected) resolve();
+    }, reject);
+  });
+  return listener;
+}
+
+const countBallots = (snapshot) => snapshot.docs.reduce((total, d) => total + Object.keys(d.data().ballots || {}).length, 0);
+
+test('following the tally shards reads fewer docs than streaming every vote', { timeout: 120000 }, async (t) => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, votingSessionDocs());
+  const guestDb = testEnv.authenticatedContext('listening-guest').firestore();
+  const adminDb = testEnv.authenticatedContext('admin', { admin: true }).firestore();
+  const shardListeners = [];
+  const voteListeners = [];
+
+  for (let voter = 0; voter < VOTERS; voter++) {
+    if (voter % (VOTERS / LISTENERS) === 0) {
+      shardListeners.push(countReads(
+        query(collection(guestDb, 'events', EVENT_ID, 'tallies'), where('superlativeId', '==', SUPERLATIVE_ID)),
+        countBallots,
+        VOTERS,
+      ));
+      voteListeners.push(countReads(
+        query(collection(adminDb, 'events', EVENT_ID, 'votes'), where('superlativeId', '==', SUPERLATIVE_ID)),
+        (snapshot) => snapshot.size,
+        VOTERS,
+      ));
+    }
+    const uid = `voter${voter}`;
+    await writeVote(testEnv.authenticatedContext(uid).firestore(), uid, { vote: { nomineeName: ['Ann', 'Ben', 'Cy'][voter % 3] } });
+  }
+
+  await Promise.all([...shardListeners, ...voteListeners].map(listener => listener.done));
+  const sum = (listeners) => listeners.reduce((total, listener) => total + listener.reads, 0);
+  const shardReads = sum(shardListeners);
+  const voteReads = sum(voteListeners);
+  [...shardListeners, ...voteListeners].forEach(listener => listener.unsubscribe());
+
+  t.diagnostic(`${VOTERS} votes, ${LISTENERS} listeners: ${shardReads} docs read from the tally shards, ${voteReads} from the votes`);
+  assert.ok(shardReads < voteReads);
+});
+
+test('voters all casting at once are all counted', { timeout: 120000 }, async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, votingSessionDocs());
+
+  // The old single tally doc made these transactions retry against each other; the shard writes are plain merges
+  await Promise.all(Array.from({ length: VOTERS }, (_, voter) => {
+    const uid = `voter${voter}`;
+    return writeVote(testEnv.authenticatedContext(uid).firestore(), uid);
+  }));
+
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const listener = countReads(
+      query(collection(context.firestore(), 'events', EVENT_ID, 'tallies'), where('superlativeId', '==', SUPERLATIVE_ID)),
+      countBallots,
+      VOTERS,
+    );
+    await listener.done;
+    listener.unsubscribe();
+  });
+});